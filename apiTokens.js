@@ -0,0 +1,265 @@
+// apiTokens.js
+// Shared by background.js and the options page: where the Outline API tokens of the profiles are kept.
+// A profile's entry is either a manually entered API token (string) or an OAuth sign-in (see outlineOAuth.js).
+// Tokens stay in this browser by default (optionally encrypted with a passphrase and unlocked per
+// browser session), or sync across the signed-in browsers when the user chooses so.
+import {
+    getLocalStorage,
+    setLocalStorage,
+    getSyncStorage,
+    setSyncStorage,
+    getSessionStorage,
+    setSessionStorage,
+    removeStorage
+} from './storage.js';
+import { DEFAULT_PROFILE_ID } from './profiles.js';
+
+const LOCAL_KEY = "apiTokens";               // chrome.storage.local: profileId -> token or OAuth credential
+const ENCRYPTED_KEY = "encryptedApiTokens";  // chrome.storage.local: { salt, iv, data, iterations }
+const SYNC_KEY = "apiTokens";                // chrome.storage.sync: profileId -> token
+// chrome.storage.session (cleared when the browser closes): { tokens, key, salt } while unlocked
+export const UNLOCKED_TOKENS_KEY = "unlockedApiTokens";
+
+const PBKDF2_ITERATIONS = 310000;
+
+export const API_TOKENS_LOCKED_MESSAGE =
+    "The Outline API tokens are locked. Open the extension options and enter your passphrase to unlock them.";
+
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Derives the AES-GCM key that encrypts the tokens from a passphrase.
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt stored with the encrypted tokens
+ * @param {number} [iterations] - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+    const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+    return crypto.subtle.deriveKey(
+        { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+        material,
+        { name: "AES-GCM", length: 256 },
+        true, // Exported into session storage, so the tokens can be re-encrypted without asking again
+        ["encrypt", "decrypt"]
+    );
+}
+
+async function importKey(rawKey) {
+    return crypto.subtle.importKey("raw", fromBase64(rawKey), "AES-GCM", false, ["encrypt", "decrypt"]);
+}
+
+/**
+ * Reads the tokens from wherever they are stored. The storage mode follows from the stored data.
+ * @returns {Promise<Object>} { mode: "local"|"encrypted"|"sync", tokens } (encrypted: { mode, encrypted })
+ */
+async function readStoredTokens() {
+    const local = await getLocalStorage([LOCAL_KEY, ENCRYPTED_KEY]);
+    if (local[ENCRYPTED_KEY]) {
+        return { mode: "encrypted", encrypted: local[ENCRYPTED_KEY] };
+    }
+    if (local[LOCAL_KEY]) {
+        return { mode: "local", tokens: local[LOCAL_KEY] };
+    }
+    const sync = await getSyncStorage(SYNC_KEY);
+    if (sync[SYNC_KEY]) {
+        return { mode: "sync", tokens: sync[SYNC_KEY] };
+    }
+    return { mode: "local", tokens: {} };
+}
+
+async function readUnlockedTokens() {
+    const session = await getSessionStorage(UNLOCKED_TOKENS_KEY);
+    return session[UNLOCKED_TOKENS_KEY] || null;
+}
+
+/**
+ * Tells how the tokens are stored and whether they are locked.
+ * @returns {Promise<Object>} { mode: "local"|"encrypted"|"sync", locked }
+ */
+export async function getTokenStorage() {
+    const { mode } = await readStoredTokens();
+    return { mode, locked: mode === "encrypted" && !(await readUnlockedTokens()) };
+}
+
+/**
+ * Returns the API tokens of all profiles.
+ * @returns {Promise<Object>} Map of profileId -> token
+ * @throws {Error} When the tokens are encrypted and not unlocked in this session
+ */
+export async function getApiTokens() {
+    const stored = await readStoredTokens();
+    if (stored.mode !== "encrypted") {
+        return stored.tokens;
+    }
+    const unlocked = await readUnlockedTokens();
+    if (!unlocked) {
+        throw new Error(API_TOKENS_LOCKED_MESSAGE);
+    }
+    return unlocked.tokens;
+}
+
+/**
+ * Tells whether a stored token is an OAuth sign-in rather than a manually entered API token.
+ * @param {string|Object} credential - Entry of the token map
+ * @returns {boolean}
+ */
+export function isOAuthCredential(credential) {
+    return Boolean(credential) && typeof credential === "object" && credential.type === "oauth";
+}
+
+/**
+ * Returns the stored token entry of a profile.
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<string|Object>} The API token, the OAuth credential, or "" when the profile has none
+ */
+export async function getCredential(profileId) {
+    const tokens = await getApiTokens();
+    return tokens[profileId] || "";
+}
+
+/**
+ * Replaces the token entry of one profile, keeping the storage mode (e.g. after an OAuth refresh).
+ * @param {string} profileId - Profile ID
+ * @param {string|Object} credential - API token or OAuth credential
+ * @returns {Promise<void>}
+ */
+export async function setCredential(profileId, credential) {
+    const { mode } = await getTokenStorage();
+    const tokens = await getApiTokens();
+    await saveApiTokens({ ...tokens, [profileId]: credential }, { mode });
+}
+
+/**
+ * Stores the API tokens of all profiles, replacing the stored ones.
+ * @param {Object} tokens - Map of profileId -> token or OAuth credential
+ * @param {Object} [options]
+ *   - mode {string}: "local" (default), "encrypted" or "sync"
+ *   - passphrase {string}: New passphrase for "encrypted"; without one, the unlocked session key is reused.
+ * @returns {Promise<void>}
+ */
+export async function saveApiTokens(tokens, { mode = "local", passphrase = "" } = {}) {
+    const cleaned = Object.fromEntries(Object.entries(tokens).filter(([, token]) => token));
+
+    if (mode === "encrypted") {
+        let unlocked;
+        if (passphrase) {
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            const key = await deriveKey(passphrase, salt);
+            unlocked = { key: toBase64(await crypto.subtle.exportKey("raw", key)), salt: toBase64(salt) };
+        } else {
+            unlocked = await readUnlockedTokens();
+            if (!unlocked) {
+                throw new Error("Enter a passphrase to encrypt the API tokens.");
+            }
+        }
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: "AES-GCM", iv },
+            await importKey(unlocked.key),
+            new TextEncoder().encode(JSON.stringify(cleaned))
+        );
+        await setLocalStorage({
+            [ENCRYPTED_KEY]: { salt: unlocked.salt, iv: toBase64(iv), data: toBase64(data), iterations: PBKDF2_ITERATIONS }
+        });
+        await setSessionStorage({ [UNLOCKED_TOKENS_KEY]: { tokens: cleaned, key: unlocked.key, salt: unlocked.salt } });
+        await removeStorage("local", LOCAL_KEY);
+        await removeStorage("sync", SYNC_KEY);
+        return;
+    }
+
+    if (mode === "sync") {
+        await setSyncStorage({ [SYNC_KEY]: cleaned });
+        await removeStorage("local", [LOCAL_KEY, ENCRYPTED_KEY]);
+    } else {
+        await setLocalStorage({ [LOCAL_KEY]: cleaned });
+        await removeStorage("local", ENCRYPTED_KEY);
+        await removeStorage("sync", SYNC_KEY);
+    }
+    await removeStorage("session", UNLOCKED_TOKENS_KEY);
+}
+
+/**
+ * Decrypts the tokens with the passphrase and keeps them unlocked until the browser closes.
+ * @param {string} passphrase - The passphrase the tokens were encrypted with
+ * @returns {Promise<Object>} Map of profileId -> token
+ */
+export async function unlockApiTokens(passphrase) {
+    const stored = await readStoredTokens();
+    if (stored.mode !== "encrypted") {
+        throw new Error("The API tokens aren't encrypted.");
+    }
+    const { salt, iv, data, iterations } = stored.encrypted;
+    const key = await deriveKey(passphrase, fromBase64(salt), iterations);
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(iv) }, key, fromBase64(data));
+    } catch (err) {
+        // AES-GCM fails its integrity check when the key is wrong
+        throw new Error("Wrong passphrase.");
+    }
+    const tokens = JSON.parse(new TextDecoder().decode(plaintext));
+    await setSessionStorage({
+        [UNLOCKED_TOKENS_KEY]: { tokens, key: toBase64(await crypto.subtle.exportKey("raw", key)), salt }
+    });
+    return tokens;
+}
+
+/**
+ * Locks encrypted tokens again before the browser closes.
+ * @returns {Promise<void>}
+ */
+export async function lockApiTokens() {
+    await removeStorage("session", UNLOCKED_TOKENS_KEY);
+}
+
+/**
+ * Tells whether a storage change affects the tokens (stored or unlocked).
+ * @param {Object} changes - chrome.storage.onChanged changes
+ * @param {string} areaName - Storage area of the changes
+ * @returns {boolean}
+ */
+export function isApiTokenChange(changes, areaName) {
+    const keys = { local: [LOCAL_KEY, ENCRYPTED_KEY], sync: [SYNC_KEY], session: [UNLOCKED_TOKENS_KEY] }[areaName] || [];
+    return keys.some((key) => changes[key]);
+}
+
+/**
+ * Moves tokens saved in plain text in chrome.storage.sync (in the profiles, or the single-workspace
+ * "apiToken" setting) into the token storage, then removes them from sync.
+ * Encrypted tokens that are locked can't take new tokens; the migration then waits for the next call.
+ * @returns {Promise<boolean>} Whether tokens were migrated
+ */
+export async function migrateApiTokens() {
+    const stored = await getSyncStorage(["profiles", "apiToken"]);
+    const profiles = Array.isArray(stored.profiles) ? stored.profiles : [];
+    const found = {};
+    profiles.forEach((profile) => {
+        if (profile.apiToken) found[profile.id] = profile.apiToken;
+    });
+    if (stored.apiToken && profiles.length === 0) {
+        found[DEFAULT_PROFILE_ID] = stored.apiToken;
+    }
+    if (Object.keys(found).length === 0) {
+        return false;
+    }
+
+    const { mode, locked } = await getTokenStorage();
+    if (locked) {
+        return false;
+    }
+    const tokens = { ...(await getApiTokens()), ...found };
+    await saveApiTokens(tokens, { mode });
+
+    if (profiles.some((profile) => profile.apiToken)) {
+        await setSyncStorage({ profiles: profiles.map(({ apiToken, ...profile }) => profile) });
+    }
+    await removeStorage("sync", "apiToken");
+    return true;
+}
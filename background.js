@@ -1,29 +1,131 @@
 // background.js
 import OutlineAPI from './outlineAPI.js';
+import { OutlineAPIError, OutlineAuthError, OutlineNotFoundError, withContext } from './outlineErrors.js';
 import { appendHeaderToDocument } from './headerUpdateHelper.js';
 import { logger } from './logger.js';
-import { getLocalStorage, setLocalStorage, getSyncStorage } from './storage.js';
+import { getLocalStorage, setLocalStorage, getSyncStorage, getSessionStorage, setSessionStorage, removeStorage } from './storage.js';
+import { getLinkedDocumentId, linkDocument, unlinkDocument } from './documentLinks.js';
+import {
+    getTrackedDocuments,
+    getTrackedDocument,
+    trackDocument,
+    updateTrackedDocument,
+    untrackDocument
+} from './syncTracking.js';
+import { tsvToMarkdownTable } from './sheetMarkdown.js';
+import { extractExcerpt, findHeadingId } from './markdownExcerpt.js';
+import { normalizeMarkdown } from './markdownNormalizer.js';
+import { readDocxComments, postComments, renderDiscussionSection } from './googleComments.js';
+import { readPresentation, renderSlidesMarkdown } from './googleSlides.js';
+import { fetchDriveMetadata } from './googleDrive.js';
+import { uploadEmbeddedImages } from './imageAttachments.js';
+import {
+    googleIdFromSourceId,
+    getSaveDestination,
+    rememberSaveDestination,
+    forgetSaveDestination
+} from './saveDestinations.js';
+import { findMatchingRule, parseTarget } from './routingRules.js';
+import { renderHeader, stripHeader, DEFAULT_HEADER_TEMPLATE } from './headerTemplate.js';
+import { diffMarkdown } from './markdownDiff.js';
+import { createBulkJob, getBulkJob, updateBulkFile, finishBulkJob, getUnfinishedBulkJobs } from './bulkExports.js';
+import { addHistoryEntry, getHistory, getHistoryEntry, clearHistory } from './exportHistory.js';
+import { getProfile, getProfileSettings, profileScopedKey, DEFAULT_PROFILE_ID, LEGACY_PROFILE_KEYS } from './profiles.js';
+import {
+    getApiTokens,
+    getCredential,
+    setCredential,
+    isOAuthCredential,
+    getTokenStorage,
+    migrateApiTokens,
+    isApiTokenChange,
+    API_TOKENS_LOCKED_MESSAGE,
+    UNLOCKED_TOKENS_KEY
+} from './apiTokens.js';
+import { refreshCredential, readAccount } from './outlineOAuth.js';
+import {
+    createSaveJob,
+    getSaveJob,
+    getUnfinishedSaveJobs,
+    updateSaveJob,
+    recordJobStep,
+    finishSaveJob
+} from './saveJobs.js';
 
 /* --- Change 3: Cache the configuration values --- */
-let cachedConfig = null;
+const cachedConfigs = new Map(); // profileId ("" for the default profile) -> validated config
+const collectionNames = new Map(); // collectionId -> name, for the {{collection}} header placeholder
+let bulkExportChain = Promise.resolve(); // Serializes bulk export jobs
 const REQUEST_TIMEOUT = 30000; // 30 seconds timeout for all requests
 const MAX_RETRIES = 3; // Maximum number of retries for operations
+const AUTO_SYNC_ALARM = "autoSync";
+const FLUSH_QUEUE_ALARM = "flushSaveQueue";
+// Errors from Google fetches after which a save is queued until Google can be reached again
+// (Outline errors carry a retryable flag instead, see isConnectivityError)
+const CONNECTIVITY_ERROR_PATTERN = /Failed to fetch|NetworkError|ERR_INTERNET_DISCONNECTED/i;
+const DEFAULT_SYNC_INTERVAL = 60; // Minutes between auto-sync runs
+const DEFAULT_SHEET_MAX_ROWS = 1000; // Row cap for sheets rendered as Markdown tables
+const DEFAULT_ORIGINAL_MAX_SIZE_MB = 10; // Size cap for original files attached to saved documents
+// Profile settings that identify its workspace and collections; a new token keeps the cached collection IDs
+const WORKSPACE_KEYS = [...LEGACY_PROFILE_KEYS.filter((key) => key !== "apiToken"), "googleSlidesCollectionName"];
+
+// Tokens saved in plain text in sync storage by earlier versions move to the token storage
+const tokenMigration = migrateApiTokens().catch((err) => logger.error("Failed to migrate API tokens:", err));
+
+/**
+ * Lists the profiles whose workspace or collection names changed (or that were deleted).
+ * @param {Object} changes - chrome.storage.onChanged changes of the sync area
+ * @returns {string[]} Profile IDs
+ */
+function getChangedProfileIds(changes) {
+    const changedIds = new Set();
+    if (LEGACY_PROFILE_KEYS.some((key) => changes[key] && changes[key].newValue !== undefined)) {
+        changedIds.add(DEFAULT_PROFILE_ID);
+    }
+    if (changes.profiles) {
+        const previous = changes.profiles.oldValue || [];
+        const current = changes.profiles.newValue || [];
+        if (!changes.profiles.oldValue) {
+            // First save with profiles: the "default" profile may differ from the settings it replaces
+            changedIds.add(DEFAULT_PROFILE_ID);
+        }
+        for (const old of previous) {
+            const profile = current.find((item) => item.id === old.id);
+            if (!profile || WORKSPACE_KEYS.some((key) => (profile[key] || "") !== (old[key] || ""))) {
+                changedIds.add(old.id);
+            }
+        }
+    }
+    return [...changedIds];
+}
 
 // Clear cache when settings change
 chrome.storage.onChanged.addListener((changes, areaName) => {
     if (areaName === 'sync') {
-        if (
-            changes.outlineUrl ||
-            changes.apiToken ||
-            changes.googleDocsCollectionName ||
-            changes.googleSheetsCollectionName
-        ) {
-            cachedConfig = null;
+        if (changes.profiles || changes.defaultProfileId || LEGACY_PROFILE_KEYS.some((key) => changes[key])) {
+            cachedConfigs.clear();
             // Optionally clear locally stored collection IDs so they are re-created with the new settings.
-            chrome.storage.local.remove(["collectionId", "collectionId_sheet"], () => {
-                logger.info("Cleared cached collection IDs due to config change.");
-            });
+            const staleKeys = getChangedProfileIds(changes).flatMap((profileId) => [
+                profileScopedKey("collectionId", profileId),
+                profileScopedKey("collectionId_sheet", profileId),
+                profileScopedKey("collectionId_slides", profileId)
+            ]);
+            if (staleKeys.length > 0) {
+                chrome.storage.local.remove(staleKeys, () => {
+                    logger.info("Cleared cached collection IDs due to config change.");
+                });
+            }
         }
+        if (changes.autoSyncInterval) {
+            scheduleAutoSync().catch((err) => logger.error("Failed to reschedule auto-sync:", err));
+        }
+    }
+    if (isApiTokenChange(changes, areaName)) {
+        cachedConfigs.clear();
+    }
+    // Saves made while the tokens were locked go out once they are unlocked
+    if (areaName === 'session' && changes[UNLOCKED_TOKENS_KEY] && changes[UNLOCKED_TOKENS_KEY].newValue) {
+        flushSaveQueue().catch((err) => logger.error("Save queue flush error:", err));
     }
 });
 
@@ -83,57 +185,125 @@ function isValidApiToken(token) {
 }
 
 /**
- * Helper function to load and validate Outline config
- * @param {Function} sendResponse - Function to send response back to caller
- * @param {Function} callback - Callback to execute with config values
+ * Loads and validates the Outline config of a profile, caching it for subsequent calls.
+ * @param {string} [profileId] - Profile ID; empty for the default profile
+ * @returns {Promise<Object>} { profileId, profileName, outlineUrl, apiToken, googleDocsCollectionName,
+ *   googleSheetsCollectionName, googleSlidesCollectionName }
  */
-async function withOutlineConfig(sendResponse, callback) {
-    try {
-        if (!cachedConfig) {
-            const { outlineUrl, apiToken, googleDocsCollectionName, googleSheetsCollectionName } = await getSyncStorage([
-                "outlineUrl",
-                "apiToken",
-                "googleDocsCollectionName",
-                "googleSheetsCollectionName"
-            ]);
+async function loadOutlineConfig(profileId = "") {
+    const cacheKey = profileId || "";
+    if (!cachedConfigs.has(cacheKey)) {
+        await tokenMigration;
+        const profile = await getProfile(profileId);
+        if (!profile) {
+            throw new Error(profileId
+                ? "Outline profile not found. Please pick another profile."
+                : "Outline settings not configured. Please update options.");
+        }
+        const { outlineUrl, googleDocsCollectionName, googleSheetsCollectionName, googleSlidesCollectionName } = profile;
+        // Expired OAuth access tokens are used as they are: OutlineAPI refreshes them when Outline rejects
+        // them (see refreshExpiredToken), so loading a config never needs the network
+        const credential = await getCredential(profile.id);
+        const apiToken = isOAuthCredential(credential) ? credential.accessToken : credential;
 
-            // Enhanced validation
-            if (!outlineUrl || !apiToken) {
-                respondWithError(sendResponse, new Error("Outline settings not configured. Please update options."));
-                return;
-            }
+        // Enhanced validation
+        if (!outlineUrl || !apiToken) {
+            throw new Error("Outline settings not configured. Please update options.");
+        }
 
-            // Validate URL format
-            if (!isValidUrl(outlineUrl)) {
-                respondWithError(sendResponse, new Error("Invalid Outline URL format. Please check your settings."));
-                return;
-            }
+        // Validate URL format
+        if (!isValidUrl(outlineUrl)) {
+            throw new Error("Invalid Outline URL format. Please check your settings.");
+        }
 
-            // Validate API token format
-            if (!isValidApiToken(apiToken)) {
-                respondWithError(sendResponse, new Error("Invalid API token format. Please check your settings."));
-                return;
-            }
+        // Validate API token format (OAuth access tokens come from Outline itself)
+        if (!isOAuthCredential(credential) && !isValidApiToken(apiToken)) {
+            throw new Error("Invalid API token format. Please check your settings.");
+        }
 
-            // Normalize and store config
-            const normalizedUrl = outlineUrl.trim().replace(/\/$/, ''); // Remove trailing slash
+        // Normalize and store config
+        const normalizedUrl = outlineUrl.trim().replace(/\/$/, ''); // Remove trailing slash
 
-            cachedConfig = {
-                outlineUrl: normalizedUrl,
-                apiToken: apiToken.trim(),
-                googleDocsCollectionName: googleDocsCollectionName?.trim() || "google-docs",
-                googleSheetsCollectionName: googleSheetsCollectionName?.trim() || "google-sheets"
-            };
+        cachedConfigs.set(cacheKey, {
+            profileId: profile.id,
+            profileName: profile.name || "",
+            outlineUrl: normalizedUrl,
+            apiToken: apiToken.trim(),
+            googleDocsCollectionName: googleDocsCollectionName?.trim() || "google-docs",
+            googleSheetsCollectionName: googleSheetsCollectionName?.trim() || "google-sheets",
+            googleSlidesCollectionName: googleSlidesCollectionName?.trim() || "google-slides"
+        });
 
-            logger.info(`Configuration loaded and validated successfully: ${normalizedUrl}`);
-        }
+        logger.info(`Configuration loaded and validated successfully: ${normalizedUrl} (profile "${profile.name}")`);
+    }
+
+    return cachedConfigs.get(cacheKey);
+}
+
+/* --- OAuth token refresh --- */
+
+const tokenRefreshes = new Map(); // Expired access token -> refresh (in progress or done)
+
+/**
+ * Refreshes a profile's OAuth credential and stores it. Requests that hit the same expired token share
+ * one refresh, since Outline may hand out a new refresh token each time.
+ * @param {Object} profile - The profile
+ * @param {Object} credential - Its expired OAuth credential
+ * @returns {Promise<Object>} The refreshed credential
+ */
+function refreshProfileCredential(profile, credential) {
+    if (!tokenRefreshes.has(credential.accessToken)) {
+        const refresh = (async () => {
+            logger.info(`Refreshing the Outline access token of profile "${profile.name}".`);
+            const refreshed = await refreshCredential(profile.outlineUrl, credential);
+            await setCredential(profile.id, refreshed);
+            return refreshed;
+        })();
+        refresh.catch(() => tokenRefreshes.delete(credential.accessToken));
+        tokenRefreshes.set(credential.accessToken, refresh);
+    }
+    return tokenRefreshes.get(credential.accessToken);
+}
+
+/**
+ * Token refresher for OutlineAPI: refreshes the profile signed in with the token Outline rejected.
+ * @param {string} baseUrl - Outline base URL of the request
+ * @param {string} expiredToken - The rejected token
+ * @returns {Promise<string|null>} New access token, or null for tokens that aren't OAuth sign-ins
+ */
+async function refreshExpiredToken(baseUrl, expiredToken) {
+    if (tokenRefreshes.has(expiredToken)) {
+        return (await tokenRefreshes.get(expiredToken)).accessToken;
+    }
+    const tokens = await getApiTokens();
+    const profileId = Object.keys(tokens).find((id) => isOAuthCredential(tokens[id]) && tokens[id].accessToken === expiredToken);
+    const profile = profileId ? await getProfile(profileId) : null;
+    if (!profile) {
+        return null;
+    }
+    const refreshed = await refreshProfileCredential(profile, tokens[profileId]);
+    return refreshed.accessToken;
+}
+
+OutlineAPI.setTokenRefresher(refreshExpiredToken);
+
+/**
+ * Helper function to load and validate Outline config
+ * @param {Function} sendResponse - Function to send response back to caller
+ * @param {Function} callback - Callback to execute with config values
+ * @param {string} [profileId] - Profile to load; empty for the default profile
+ */
+async function withOutlineConfig(sendResponse, callback, profileId = "") {
+    try {
+        const config = await loadOutlineConfig(profileId);
 
         // Pass the config values to the callback.
         await callback(
-            cachedConfig.outlineUrl,
-            cachedConfig.apiToken,
-            cachedConfig.googleDocsCollectionName,
-            cachedConfig.googleSheetsCollectionName
+            config.outlineUrl,
+            config.apiToken,
+            config.googleDocsCollectionName,
+            config.googleSheetsCollectionName,
+            config.profileId
         );
     } catch (err) {
         logger.error("withOutlineConfig error:", err);
@@ -188,10 +358,7 @@ async function getOrCreateCollection(api, storageKey, collectionName) {
                 logger.error(`Verification attempt ${retryCount + 1}/${maxRetries + 1} failed for collection ${collectionId}: ${err.message}`);
 
                 // Don't retry certain errors
-                if (err.message.includes('not found') ||
-                    err.message.includes('deleted') ||
-                    err.message.includes('archived') ||
-                    err.message.includes('Authentication error')) {
+                if (err instanceof OutlineNotFoundError || err instanceof OutlineAuthError) {
                     // These errors indicate the collection doesn't exist or isn't accessible
                     // Stop retrying and create a new collection
                     isVerified = false;
@@ -234,9 +401,9 @@ async function getOrCreateCollection(api, storageKey, collectionName) {
             } catch (createErr) {
                 logger.error(`Creation attempt ${retryCount + 1}/${maxRetries + 1} failed: ${createErr.message}`);
 
-                // Don't retry authentication errors
-                if (createErr.message.includes('Authentication error')) {
-                    throw new Error(`Failed to create collection: ${createErr.message}`);
+                // Don't retry errors that won't go away (authentication, invalid name, ...)
+                if (createErr instanceof OutlineAPIError && !createErr.retryable) {
+                    throw createErr;
                 }
 
                 retryCount++;
@@ -248,7 +415,7 @@ async function getOrCreateCollection(api, storageKey, collectionName) {
                     await new Promise(resolve => setTimeout(resolve, delay));
                 } else {
                     logger.error(`Failed to create collection after ${maxRetries + 1} attempts`);
-                    throw new Error(`Failed to create or access collection after multiple attempts: ${createErr.message}`);
+                    throw withContext(createErr, "Failed to create or access collection after multiple attempts");
                 }
             }
         }
@@ -257,6 +424,545 @@ async function getOrCreateCollection(api, storageKey, collectionName) {
     return collectionId;
 }
 
+/**
+ * Looks up the Outline document linked to a Google doc/spreadsheet and checks it still exists.
+ * Links to deleted, archived or inaccessible documents are dropped so the caller creates a new one.
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {string} sourceId - Google source identifier sent by the content script
+ * @param {string} [profileId] - Profile the document was saved with
+ * @returns {Promise<Object|null>} The linked document data, or null if there is none
+ */
+async function resolveLinkedDocument(api, sourceId, profileId = "") {
+    const linkedId = await getLinkedDocumentId(sourceId, profileId);
+    if (!linkedId) return null;
+
+    logger.info(`Found linked document ${linkedId} for ${sourceId}. Verifying its existence...`);
+    try {
+        const docInfo = await api.getDocument(linkedId);
+        const data = docInfo.data;
+        if (data && !data.deletedAt && !data.archivedAt) {
+            return data;
+        }
+        logger.info(`Linked document ${linkedId} is deleted or archived.`);
+    } catch (err) {
+        const forbidden = err instanceof OutlineAuthError && err.status === 403;
+        if (!(err instanceof OutlineNotFoundError) && !forbidden) {
+            throw err;
+        }
+        logger.info(`Linked document ${linkedId} is no longer accessible: ${err.message}`);
+    }
+
+    await unlinkDocument(sourceId, profileId);
+    return null;
+}
+
+/**
+ * Adds a save to the end of a linked document as a new "Saved <date>" section, keeping its title,
+ * text and header (overwriteMode "append", picked in the overwrite preview).
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {string} documentId - Linked document ID
+ * @param {string} fallbackTitle - Title to keep if the document's can't be read
+ * @param {string} content - Markdown of the new section, without the header
+ * @param {boolean} publish - Publish the document (false keeps drafts drafts)
+ */
+async function appendSavedSection(api, documentId, fallbackTitle, content, publish) {
+    const docInfo = await api.getDocument(documentId);
+    const savedDate = new Date().toISOString().split("T")[0];
+    await api.updateDocument({
+        id: documentId,
+        title: (docInfo.data && docInfo.data.title) || fallbackTitle,
+        text: `\n\n## Saved ${savedDate}\n\n${content}`,
+        append: true,
+        publish,
+        done: true
+    });
+}
+
+/**
+ * Combines document content with the metadata header at the requested position.
+ * @param {string} content - Document body
+ * @param {string} headerMarkdown - Metadata header (optional)
+ * @param {string} position - "top" or "bottom"
+ * @returns {string} The full document text
+ */
+function composeDocumentText(content, headerMarkdown, position = 'top') {
+    if (!headerMarkdown) return content;
+    return position === 'top'
+        ? `${headerMarkdown}\n\n${content}`
+        : `${content}\n\n${headerMarkdown}`;
+}
+
+/**
+ * Fetches every collection the token can access.
+ * @param {OutlineAPI} api - Outline API instance
+ * @returns {Promise<Object[]>} Collections as { id, name }
+ */
+async function listAllCollections(api) {
+    const collections = await api.listAll("listCollections", {}, { maxItems: 1000 });
+    return collections.map((collection) => ({ id: collection.id, name: collection.name }));
+}
+
+/**
+ * Turns a routing rule target ("Collection" or "Collection/Parent/Child") into a destination.
+ * Missing collections and parent documents are created.
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {string} target - Rule target
+ * @returns {Promise<Object>} { collectionId, parentDocumentId }
+ */
+async function resolveRoutingTarget(api, target) {
+    const { collectionName, parentPath } = parseTarget(target);
+    if (!collectionName) {
+        throw new Error(`Invalid routing target "${target}"`);
+    }
+
+    const collections = await listAllCollections(api);
+    const collection = collections.find((item) => item.name.toLowerCase() === collectionName.toLowerCase());
+    const collectionId = collection ? collection.id : await api.createCollection(collectionName);
+
+    let parentDocumentId = "";
+    for (const segment of parentPath) {
+        let existing = null;
+        for await (const doc of api.paginate("listDocuments", { collectionId, parentDocumentId: parentDocumentId || null })) {
+            if (doc.title === segment) {
+                existing = doc;
+                break;
+            }
+        }
+        if (existing) {
+            parentDocumentId = existing.id;
+        } else {
+            logger.info(`Creating routing parent document "${segment}" in ${collectionName}.`);
+            const created = await api.createDocument({
+                title: segment,
+                text: "",
+                collectionId,
+                parentDocumentId,
+                publish: true
+            });
+            parentDocumentId = created.data.id;
+        }
+    }
+
+    return { collectionId, parentDocumentId };
+}
+
+/**
+ * Resolves where a new document should be created.
+ * An explicitly picked destination wins and is remembered for the Google Drive document; then the
+ * last remembered destination, then the first matching routing rule, and finally the configured
+ * default collection.
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {Object} request - The request object (sourceId, title, sourceUrl, profileId, optional destination)
+ * @param {string} storageKey - Local storage key of the default collection ID (scoped to the profile here)
+ * @param {string} collectionName - Name of the default collection
+ * @returns {Promise<Object>} { collectionId, parentDocumentId, explicit }
+ */
+async function resolveDestination(api, request, storageKey, collectionName) {
+    const googleId = googleIdFromSourceId(request.sourceId);
+    const destination = request.destination || await getSaveDestination(googleId, request.profileId);
+
+    if (destination && destination.collectionId) {
+        try {
+            await api.getCollection(destination.collectionId);
+            if (request.destination) {
+                await rememberSaveDestination(googleId, request.destination, request.profileId);
+            }
+            return {
+                collectionId: destination.collectionId,
+                parentDocumentId: destination.parentDocumentId || "",
+                explicit: Boolean(request.destination)
+            };
+        } catch (err) {
+            if (request.destination) {
+                throw err;
+            }
+            logger.info(`Remembered destination for ${googleId} is no longer available: ${err.message}`);
+            await forgetSaveDestination(googleId, request.profileId);
+        }
+    }
+
+    const { routingRules } = await getSyncStorage("routingRules");
+    const sourceType = (request.sourceId || "").split(":")[0];
+    const match = findMatchingRule(routingRules, {
+        title: request.title,
+        url: request.sourceUrl || request.sourceId,
+        type: sourceType === "doc" || sourceType === "slides" ? sourceType : "sheet"
+    });
+    if (match) {
+        logger.info(`Routing rule #${match.index + 1} matched; routing to "${match.rule.target}".`);
+        const routed = await resolveRoutingTarget(api, match.rule.target);
+        return { ...routed, explicit: false };
+    }
+
+    const collectionId = await getOrCreateCollection(api, profileScopedKey(storageKey, request.profileId), collectionName);
+    return { collectionId, parentDocumentId: "", explicit: false };
+}
+
+/**
+ * Moves a linked document to the picked collection/parent if it currently lives elsewhere.
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {Object} doc - Linked document data
+ * @param {string} collectionId - Target collection ID
+ * @param {string} parentDocumentId - Target parent document ID ("" for the collection root)
+ * @returns {Promise<Object>} The document data with its new location
+ */
+async function relocateDocument(api, doc, collectionId, parentDocumentId = "") {
+    const sameCollection = doc.collectionId === collectionId;
+    const sameParent = (doc.parentDocumentId || "") === (parentDocumentId || "");
+    if ((sameCollection && sameParent) || parentDocumentId === doc.id) {
+        return doc;
+    }
+
+    logger.info(`Moving document ${doc.id} to collection ${collectionId}${parentDocumentId ? ` under ${parentDocumentId}` : ""}.`);
+    await api.moveDocument({ id: doc.id, collectionId, parentDocumentId });
+    return { ...doc, collectionId, parentDocumentId };
+}
+
+/**
+ * Returns a collection's name, cached for the lifetime of the service worker.
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {string} collectionId - Collection ID
+ * @returns {Promise<string>} Collection name ("" if it can't be read)
+ */
+async function getCollectionName(api, collectionId) {
+    if (!collectionId) return "";
+    if (!collectionNames.has(collectionId)) {
+        try {
+            const info = await api.getCollection(collectionId);
+            collectionNames.set(collectionId, (info.data && info.data.name) || "");
+        } catch (err) {
+            logger.error(`Failed to read name of collection ${collectionId}: ${err.message}`);
+            return "";
+        }
+    }
+    return collectionNames.get(collectionId);
+}
+
+/**
+ * Builds the metadata header for a save.
+ * A prebuilt `headerMarkdown` is used as-is; otherwise `metadata` is rendered with the configured
+ * header template and style, which also decides the position (footer style goes to the bottom).
+ * Saves with `includeHeader: false` (turned off in the pre-save dialog) get no header.
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {Object} source - { headerMarkdown, headerPosition, metadata, includeHeader }
+ * @param {string} collectionId - Collection the document lives in (for {{collection}})
+ * @returns {Promise<Object>} { headerMarkdown, headerPosition }
+ */
+async function resolveHeader(api, source, collectionId) {
+    if (!source || source.includeHeader === false) {
+        return { headerMarkdown: "", headerPosition: 'top' };
+    }
+    if (source.headerMarkdown) {
+        return { headerMarkdown: source.headerMarkdown, headerPosition: source.headerPosition || 'top' };
+    }
+    if (!source.metadata) {
+        return { headerMarkdown: "", headerPosition: 'top' };
+    }
+
+    const { headerTemplate, headerStyle } = await getSyncStorage(["headerTemplate", "headerStyle"]);
+    const collection = await getCollectionName(api, collectionId);
+    return renderHeader(
+        { ...source.metadata, collection },
+        {
+            template: typeof headerTemplate === "string" ? headerTemplate : DEFAULT_HEADER_TEMPLATE,
+            style: headerStyle || "table"
+        }
+    );
+}
+
+/**
+ * Fills in the owner and last modification of a save's header metadata from Google Drive, when
+ * Google Drive is connected in the options. Values Drive doesn't have keep what the page showed.
+ * @param {Object} request - Save request ({ sourceId, metadata })
+ * @returns {Promise<Object|null>} The metadata, or null if the save has none
+ */
+async function resolveSourceMetadata(request) {
+    if (!request.metadata) {
+        return null;
+    }
+    const googleId = (request.sourceId || "").split(":")[1];
+    const { driveMetadata } = await getSyncStorage("driveMetadata");
+    if (!googleId || !driveMetadata) {
+        return request.metadata;
+    }
+
+    try {
+        const { owner, lastModified } = await fetchDriveMetadata(googleId);
+        return {
+            ...request.metadata,
+            owner: owner || request.metadata.owner,
+            lastModified: lastModified || request.metadata.lastModified
+        };
+    } catch (err) {
+        if (isConnectivityError(err)) {
+            throw err;
+        }
+        logger.error(`Failed to read Google Drive metadata of ${request.sourceId}: ${err.message}`);
+        return request.metadata;
+    }
+}
+
+/**
+ * Reads how sheets should be turned into Outline documents.
+ * @returns {Promise<Object>} { format: "markdown" | "csvImport", maxRows }
+ */
+async function getSheetRenderOptions() {
+    const { sheetImportFormat, sheetMaxRows } = await getSyncStorage(["sheetImportFormat", "sheetMaxRows"]);
+    const maxRows = parseInt(sheetMaxRows, 10);
+    return {
+        format: sheetImportFormat === "csvImport" ? "csvImport" : "markdown",
+        maxRows: Number.isNaN(maxRows) ? DEFAULT_SHEET_MAX_ROWS : Math.max(0, maxRows)
+    };
+}
+
+/**
+ * Reads whether and how the original Google file is attached to saved documents.
+ * @returns {Promise<Object>} { enabled, docFormat: "docx"|"pdf", sheetFormat: "xlsx"|"pdf", maxBytes (0 = no limit) }
+ */
+async function getOriginalFileOptions() {
+    const { attachOriginal, originalDocFormat, originalSheetFormat, originalMaxSizeMb } = await getSyncStorage([
+        "attachOriginal",
+        "originalDocFormat",
+        "originalSheetFormat",
+        "originalMaxSizeMb"
+    ]);
+    const maxSizeMb = parseFloat(originalMaxSizeMb);
+    return {
+        enabled: attachOriginal === true,
+        docFormat: originalDocFormat === "pdf" ? "pdf" : "docx",
+        sheetFormat: originalSheetFormat === "pdf" ? "pdf" : "xlsx",
+        maxBytes: (Number.isNaN(maxSizeMb) ? DEFAULT_ORIGINAL_MAX_SIZE_MB : Math.max(0, maxSizeMb)) * 1024 * 1024
+    };
+}
+
+/**
+ * Step runner used outside save jobs: runs every step immediately.
+ * @param {string} name - Step name (unused)
+ * @param {Function} fn - Step body
+ * @returns {Promise<*>}
+ */
+function runStepDirectly(name, fn) {
+    return fn();
+}
+
+/**
+ * Permanently deletes the temporary import of a sheet re-save, so re-saves don't fill the trash with
+ * copies of the sheet. Outline only deletes trashed documents permanently, so the import is moved to
+ * the trash first. Connectivity errors are thrown, so a queued job retries the deletion when it
+ * resumes; other failures are only logged.
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {string} importedId - ID of the temporary import
+ */
+async function deleteTemporaryImport(api, importedId) {
+    try {
+        try {
+            await api.deleteDocument(importedId);
+        } catch (err) {
+            // Already in the trash, e.g. a resumed job whose permanent deletion was interrupted
+            if (!(err instanceof OutlineNotFoundError)) {
+                throw err;
+            }
+        }
+        await api.deleteDocument(importedId, true);
+    } catch (err) {
+        if (isConnectivityError(err)) {
+            throw err;
+        }
+        logger.error(`Failed to delete temporary import ${importedId}: ${err.message}`);
+    }
+}
+
+/**
+ * Turns a TSV sheet into an Outline document, or refreshes the document already linked to it.
+ * In "markdown" format the table is rendered by the extension and created/updated directly.
+ * In "csvImport" format new sheets go through documents.import and are retitled; linked sheets are
+ * imported into a temporary document whose converted text replaces the linked document's body.
+ * Every Outline write runs as a named step so a resumed save job continues where it stopped.
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {Object} params - { outlineUrl, apiToken, profileId, collectionId, parentDocumentId, sourceId, title,
+ *   fileContent, header, renderOptions, relocate, publish, overwriteMode, step }
+ *   `header` holds { headerMarkdown, headerPosition, metadata } as accepted by resolveHeader.
+ *   A new document stays a draft when `publish` is false.
+ *   `overwriteMode` (picked in the overwrite preview) "append" adds the table to the linked document
+ *   as a new section; "new" creates a separate document that isn't linked to the sheet.
+ *   A linked document is moved to collectionId/parentDocumentId when `relocate` is set.
+ *   `step` is the job's step runner (see createStepRunner).
+ * @returns {Promise<Object>} { docId, collectionId, updated }
+ */
+async function importSheetDocument(api, {
+    outlineUrl,
+    apiToken,
+    profileId = "",
+    collectionId,
+    parentDocumentId = "",
+    sourceId,
+    title,
+    fileContent,
+    header = null,
+    renderOptions = { format: "markdown", maxRows: DEFAULT_SHEET_MAX_ROWS },
+    relocate = false,
+    publish = true,
+    overwriteMode = "overwrite",
+    step = runStepDirectly
+}) {
+    const detached = overwriteMode === "new";
+    const linkedDoc = await step("linked", async () => {
+        if (detached) {
+            return null;
+        }
+        let doc = await resolveLinkedDocument(api, sourceId, profileId);
+        if (doc && relocate) {
+            doc = await relocateDocument(api, doc, collectionId, parentDocumentId);
+        }
+        return doc ? { id: doc.id, title: doc.title, collectionId: doc.collectionId } : null;
+    });
+    const { headerMarkdown, headerPosition } = await resolveHeader(
+        api,
+        header,
+        linkedDoc ? linkedDoc.collectionId : collectionId
+    );
+
+    if (renderOptions.format === "markdown") {
+        const table = tsvToMarkdownTable(fileContent, { maxRows: renderOptions.maxRows });
+        const text = composeDocumentText(table, headerMarkdown, headerPosition);
+
+        if (linkedDoc && overwriteMode === "append") {
+            await step("append", async () => {
+                logger.info(`Appending to linked document ${linkedDoc.id} for ${sourceId}.`);
+                await appendSavedSection(api, linkedDoc.id, title || linkedDoc.title, table, publish);
+            });
+            return { docId: linkedDoc.id, collectionId: linkedDoc.collectionId, updated: true };
+        }
+
+        if (linkedDoc) {
+            await step("update", async () => {
+                logger.info(`Updating linked document ${linkedDoc.id} for ${sourceId}.`);
+                await api.updateDocument({
+                    id: linkedDoc.id,
+                    title: title || linkedDoc.title,
+                    text,
+                    append: false,
+                    publish,
+                    done: true
+                });
+            });
+            return { docId: linkedDoc.id, collectionId: linkedDoc.collectionId, updated: true };
+        }
+
+        const { docId } = await step("create", async () => {
+            const res = await api.createDocument({
+                title: title || "",
+                text,
+                collectionId,
+                parentDocumentId,
+                publish
+            });
+            logger.info(`Document creation response: ${JSON.stringify(res)}`);
+
+            const createdId = res.data && res.data.id;
+            if (!createdId) {
+                throw new Error("Failed to get document ID from API response");
+            }
+            if (!detached) {
+                await linkDocument(sourceId, createdId, profileId);
+            }
+            return { docId: createdId };
+        });
+        return { docId, collectionId, updated: false };
+    }
+
+    // Import document (a linked document is refreshed through a temporary import in its collection)
+    const { importedId } = await step("import", async () => {
+        // Prepare file for upload
+        const fileBlob = new Blob([fileContent], { type: "text/csv" });
+        // Use provided title or default name
+        const fileName = (title || "import") + ".csv";
+        const fileObj = new File([fileBlob], fileName, { type: "text/csv" });
+
+        const res = await api.importDocument({
+            collectionId: linkedDoc ? linkedDoc.collectionId : collectionId,
+            file: fileObj,
+            parentDocumentId: linkedDoc ? "" : parentDocumentId,
+            publish
+        });
+        logger.info(`Import document response: ${JSON.stringify(res)}`);
+
+        const id = res.data && res.data.id;
+        if (!id) {
+            throw new Error("Failed to get document ID from import response");
+        }
+        // Link new imports right away so a resumed job or a re-save never imports the sheet twice
+        if (!linkedDoc && !detached) {
+            await linkDocument(sourceId, id, profileId);
+        }
+        return { importedId: id };
+    });
+
+    if (linkedDoc) {
+        // Re-save: copy the converted table into the linked document, then drop the temporary import.
+        // A save queued for the connection still needs the import when it resumes.
+        try {
+            await step(overwriteMode === "append" ? "append" : "update", async () => {
+                const importedInfo = await api.getDocument(importedId);
+                const importedText = (importedInfo.data && importedInfo.data.text) || "";
+                if (overwriteMode === "append") {
+                    logger.info(`Appending to linked document ${linkedDoc.id} for ${sourceId}.`);
+                    await appendSavedSection(api, linkedDoc.id, title || linkedDoc.title, importedText, publish);
+                    return;
+                }
+                logger.info(`Updating linked document ${linkedDoc.id} for ${sourceId}.`);
+                await api.updateDocument({
+                    id: linkedDoc.id,
+                    title: title || linkedDoc.title,
+                    text: composeDocumentText(importedText, headerMarkdown, headerPosition),
+                    append: false,
+                    publish,
+                    done: true
+                });
+            });
+        } catch (err) {
+            if (!isConnectivityError(err)) {
+                await deleteTemporaryImport(api, importedId);
+            }
+            throw err;
+        }
+        await step("cleanup", () => deleteTemporaryImport(api, importedId));
+        return { docId: linkedDoc.id, collectionId: linkedDoc.collectionId, updated: true };
+    }
+
+    // Update title if provided
+    if (title) {
+        await step("retitle", async () => {
+            const docInfo = await api.getDocument(importedId);
+            const currentText = (docInfo.data && docInfo.data.text) || "";
+            await api.updateDocument({
+                id: importedId,
+                title,
+                text: currentText,
+                append: false,
+                publish,
+                done: true
+            });
+        });
+    }
+
+    // Add header if provided
+    if (headerMarkdown) {
+        await step("header", async () => {
+            await appendHeaderToDocument(
+                outlineUrl,
+                apiToken,
+                importedId,
+                headerMarkdown,
+                headerPosition,
+                publish
+            );
+        });
+    }
+
+    return { docId: importedId, collectionId, updated: false };
+}
+
 /**
  * Validates document request parameters
  * @param {Object} request - The request object
@@ -271,7 +977,15 @@ function validateDocumentRequest(request) {
         };
     }
 
-    if (!request.content) {
+    // Saves queued while offline carry no content; it is exported once the browser is back online
+    if (request.deferredExport) {
+        if (!request.deferredExport.googleId) {
+            return {
+                isValid: false,
+                error: "Missing required field: deferredExport.googleId"
+            };
+        }
+    } else if (!request.content) {
         return {
             isValid: false,
             error: "Missing required field: content"
@@ -279,7 +993,7 @@ function validateDocumentRequest(request) {
     }
 
     // Validate content isn't empty
-    if (request.content.trim() === '') {
+    if (!request.deferredExport && request.content.trim() === '') {
         return {
             isValid: false,
             error: "Empty document content"
@@ -294,6 +1008,22 @@ function validateDocumentRequest(request) {
         };
     }
 
+    // Excerpts are cut from the export by the selected text
+    if (request.excerpt && (!request.excerpt.selectionText || request.excerpt.selectionText.trim() === '')) {
+        return {
+            isValid: false,
+            error: "Missing required field: excerpt.selectionText"
+        };
+    }
+
+    // Picked in the overwrite preview; a save without it overwrites the linked document
+    if (request.overwriteMode && !["overwrite", "append", "new"].includes(request.overwriteMode)) {
+        return {
+            isValid: false,
+            error: `Unknown overwrite mode: ${request.overwriteMode}`
+        };
+    }
+
     return { isValid: true };
 }
 
@@ -303,8 +1033,15 @@ function validateDocumentRequest(request) {
  * @returns {Object} Object with isValid and error properties
  */
 function validateSheetRequest(request) {
-    // Check for required fields
-    if (!request.fileContent) {
+    // Saves queued while offline carry no content; it is exported once the browser is back online
+    if (request.deferredExport) {
+        if (!request.deferredExport.googleId) {
+            return {
+                isValid: false,
+                error: "Missing required field: deferredExport.googleId"
+            };
+        }
+    } else if (!request.fileContent) {
         return {
             isValid: false,
             error: "Missing required field: fileContent"
@@ -312,7 +1049,7 @@ function validateSheetRequest(request) {
     }
 
     // Validate file content isn't empty
-    if (!request.fileContent || request.fileContent.trim() === '') {
+    if (!request.deferredExport && request.fileContent.trim() === '') {
         return {
             isValid: false,
             error: "Empty file content provided"
@@ -327,147 +1064,1648 @@ function validateSheetRequest(request) {
         };
     }
 
-    return { isValid: true };
-}
+    // Picked in the overwrite preview; a save without it overwrites the linked document
+    if (request.overwriteMode && !["overwrite", "append", "new"].includes(request.overwriteMode)) {
+        return {
+            isValid: false,
+            error: `Unknown overwrite mode: ${request.overwriteMode}`
+        };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * Validates workbook import request parameters
+ * @param {Object} request - The request object
+ * @returns {Object} Object with isValid and error properties
+ */
+function validateWorkbookRequest(request) {
+    if (!request.title) {
+        return {
+            isValid: false,
+            error: "Missing required field: title"
+        };
+    }
+
+    if (!request.sourceId) {
+        return {
+            isValid: false,
+            error: "Missing required field: sourceId"
+        };
+    }
+
+    if (!Array.isArray(request.sheets) || request.sheets.length === 0) {
+        return {
+            isValid: false,
+            error: "Missing required field: sheets"
+        };
+    }
+
+    for (const sheet of request.sheets) {
+        const sheetValidation = validateSheetRequest({ fileContent: sheet.fileContent, title: sheet.name });
+        if (!sheetValidation.isValid) {
+            return {
+                isValid: false,
+                error: `Sheet "${sheet.name}": ${sheetValidation.error}`
+            };
+        }
+    }
+
+    if (request.title.length > 255) {
+        return {
+            isValid: false,
+            error: "Title exceeds maximum length (255 characters)"
+        };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * Validates Google Slides save request parameters
+ * @param {Object} request - The request object
+ * @returns {Object} Object with isValid and error properties
+ */
+function validateSlidesRequest(request) {
+    if (!request.title) {
+        return {
+            isValid: false,
+            error: "Missing required field: title"
+        };
+    }
+
+    // The deck is exported by the extension, so saves made offline are simply queued
+    if (!request.presentationId) {
+        return {
+            isValid: false,
+            error: "Missing required field: presentationId"
+        };
+    }
+
+    if (request.pageIds && !Array.isArray(request.pageIds)) {
+        return {
+            isValid: false,
+            error: "Invalid field: pageIds must be a list of slide IDs"
+        };
+    }
+
+    if (request.title.length > 255) {
+        return {
+            isValid: false,
+            error: "Title exceeds maximum length (255 characters)"
+        };
+    }
+
+    return { isValid: true };
+}
+
+/* --- Save jobs --- */
+
+const activeSaveJobs = new Map(); // jobId -> running promise, so a job never runs twice in one worker
+
+/**
+ * Creates the step runner of a save job. A step whose result is already stored with the job
+ * is skipped and its stored result returned; otherwise it runs and its result is recorded.
+ * @param {Object} job - Save job
+ * @returns {Function} (name, fn) => Promise of the step result (must be JSON-serializable)
+ */
+function createStepRunner(job) {
+    return async (name, fn) => {
+        if (Object.prototype.hasOwnProperty.call(job.steps, name)) {
+            logger.info(`Save job ${job.id}: skipping completed step "${name}".`);
+            return job.steps[name];
+        }
+        await updateSaveJob(job.id, { currentStep: name });
+        const result = await fn();
+        const value = result === undefined ? null : result;
+        job.steps[name] = value;
+        await recordJobStep(job.id, name, value);
+        return value;
+    };
+}
+
+/**
+ * Returns the content of a save request, exporting it from Google first for saves queued offline.
+ * @param {Function} step - Step runner
+ * @param {Object} request - Save request
+ * @param {string} content - Content sent with the request, if any
+ * @returns {Promise<string>} Markdown/TSV content
+ */
+async function exportDeferredContent(step, request, content) {
+    if (!request.deferredExport) {
+        return content;
+    }
+    const exported = await step("export", async () => ({
+        content: (await fetchExport(request.deferredExport)).content
+    }));
+    return exported.content;
+}
+
+/**
+ * Cuts a Doc's Markdown export down to the selected text (see extractExcerpt) and titles it after
+ * the section it starts in. When the selection can't be found in the export, the selected text
+ * itself is saved.
+ * @param {Object} request - Save request with excerpt: { selectionText }
+ * @param {string} markdown - Markdown export of the whole Doc
+ * @returns {Promise<Object>} { content, title, section, sectionUrl }
+ */
+async function buildDocExcerpt(request, markdown) {
+    const selectionText = request.excerpt.selectionText;
+    const excerpt = extractExcerpt(markdown, selectionText);
+    if (!excerpt) {
+        logger.info(`Selection not found in the export of ${request.sourceId}; saving the selected text.`);
+        return { content: selectionText.trim(), title: `${request.title} (excerpt)`.slice(0, 255), section: "", sectionUrl: "" };
+    }
+    if (!excerpt.heading) {
+        return { content: excerpt.markdown, title: `${request.title} (excerpt)`.slice(0, 255), section: "", sectionUrl: "" };
+    }
+
+    let sectionUrl = "";
+    try {
+        sectionUrl = await findDocsHeadingUrl(googleIdFromSourceId(request.sourceId), excerpt.heading.text);
+    } catch (err) {
+        // The excerpt still links to the whole Doc
+        logger.error(`Failed to find the heading link for ${request.sourceId}: ${err.message}`);
+    }
+    return {
+        content: excerpt.markdown,
+        title: `${request.title} – ${excerpt.heading.text}`.slice(0, 255),
+        section: excerpt.heading.text,
+        sectionUrl
+    };
+}
+
+/**
+ * Builds a link to a heading of a Google Doc. The heading IDs are only available in the HTML export.
+ * @param {string} googleId - Google Doc ID
+ * @param {string} headingText - Heading text
+ * @returns {Promise<string>} "https://docs.google.com/document/d/<id>/edit#heading=h.xxx", or "" when not found
+ */
+async function findDocsHeadingUrl(googleId, headingText) {
+    if (!googleId) {
+        return "";
+    }
+    const controller = createControllerWithTimeout();
+    try {
+        const response = await fetch(`https://docs.google.com/document/d/${googleId}/export?format=html`, {
+            credentials: "include",
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`Failed to export doc ${googleId} as HTML (Status: ${response.status})`);
+        }
+        const headingId = findHeadingId(await response.text(), headingText);
+        return headingId ? `https://docs.google.com/document/d/${googleId}/edit#heading=${headingId}` : "";
+    } finally {
+        clearControllerTimeout(controller);
+    }
+}
+
+/**
+ * Exports a Google Doc as .docx, the only export format that includes its comments.
+ * @param {string} googleId - Google Doc ID
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function fetchDocxExport(googleId) {
+    const controller = createControllerWithTimeout();
+    try {
+        const response = await fetch(`https://docs.google.com/document/d/${googleId}/export?format=docx`, {
+            credentials: "include",
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`Failed to export doc ${googleId} as .docx (Status: ${response.status})`);
+        }
+        return await response.arrayBuffer();
+    } finally {
+        clearControllerTimeout(controller);
+    }
+}
+
+const ORIGINAL_FILE_TYPES = {
+    docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    pdf: "application/pdf"
+};
+
+/**
+ * Exports a Google Doc or spreadsheet in an original format (see buildExportUrl).
+ * @param {Object} entry - { type: "doc"|"sheet", googleId, gid, format }
+ * @param {number} maxBytes - Size limit (0 = no limit)
+ * @returns {Promise<Blob>}
+ * @throws {Error} When the export fails or is larger than the limit
+ */
+async function fetchOriginalFile(entry, maxBytes) {
+    const controller = createControllerWithTimeout();
+    try {
+        const response = await fetch(buildExportUrl(entry), {
+            credentials: "include",
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`Failed to export ${entry.type} ${entry.googleId} as .${entry.format} (Status: ${response.status})`);
+        }
+        const tooLarge = (size) => maxBytes > 0 && size > maxBytes;
+        const limit = `${Math.round(maxBytes / 1024 / 1024 * 10) / 10} MB`;
+        if (tooLarge(parseInt(response.headers.get("content-length"), 10))) {
+            throw new Error(`The .${entry.format} export is larger than the ${limit} limit`);
+        }
+        const blob = await response.blob();
+        if (tooLarge(blob.size)) {
+            throw new Error(`The .${entry.format} export is larger than the ${limit} limit`);
+        }
+        return blob;
+    } finally {
+        clearControllerTimeout(controller);
+    }
+}
+
+/**
+ * Uploads the Google file in its original format (.docx/.pdf for Docs, .xlsx/.pdf for Sheets) as an
+ * Outline attachment when "attachOriginal" is enabled, for the header's "Original file" link.
+ * Excerpts get no original. Files over the size limit and failed exports are logged and skipped,
+ * unless the connection is down (the job is then queued and resumes here).
+ * @param {Function} step - Step runner
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {Object} request - Save request ("doc:", "sheet:" or "workbook:" source)
+ * @param {string|null} documentId - Document the attachment belongs to, if it already exists
+ * @returns {Promise<Object|null>} { name, url }, or null when no file was attached
+ */
+async function attachOriginalFile(step, api, request, documentId) {
+    const [sourceType, googleId, gid] = (request.sourceId || "").split(":");
+    if (request.excerpt || !googleId || !["doc", "sheet", "workbook"].includes(sourceType)) {
+        return null;
+    }
+    const options = await getOriginalFileOptions();
+    if (!options.enabled) {
+        return null;
+    }
+
+    const { originalFile } = await step("original", async () => {
+        const type = sourceType === "doc" ? "doc" : "sheet";
+        const format = type === "doc" ? options.docFormat : options.sheetFormat;
+        // The PDF of a single sheet shows that tab only; the .xlsx is the whole spreadsheet
+        const entry = { type, googleId, gid: sourceType === "sheet" && format === "pdf" ? gid : null, format };
+        const name = `${(request.title || googleId).replace(/[\\/:*?"<>|]+/g, "-").trim()}.${format}`;
+        try {
+            const file = await fetchOriginalFile(entry, options.maxBytes);
+            const attachment = await api.uploadAttachment({
+                name,
+                contentType: ORIGINAL_FILE_TYPES[format],
+                file,
+                documentId
+            });
+            return { originalFile: { name, url: attachment.url } };
+        } catch (err) {
+            if (isConnectivityError(err)) {
+                throw err;
+            }
+            logger.error(`Failed to attach the original file of ${request.sourceId}: ${err.message}`);
+            return { originalFile: null };
+        }
+    });
+    return originalFile;
+}
+
+/**
+ * Adds the attached original file to a save's header metadata.
+ * @param {Object} source - Save request (or the source being saved)
+ * @param {Object|null} originalFile - Result of attachOriginalFile
+ * @returns {Object} The source, with metadata.originalFile when there is a file and a metadata header
+ */
+function withOriginalFile(source, originalFile) {
+    if (!originalFile || !source.metadata) {
+        return source;
+    }
+    return { ...source, metadata: { ...source.metadata, originalFile } };
+}
+
+/**
+ * Copies the Doc's comments to the saved Outline document when "carryComments" is enabled.
+ * Comments whose quoted text is in the document are posted as Outline comments; the others are
+ * appended as a "Discussion" section. A failure is logged and doesn't fail the save, unless the
+ * connection is down (the job is then queued and resumes here).
+ * @param {Function} step - Step runner
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {Object} request - Save request
+ * @param {string} documentId - Saved Outline document
+ * @param {string} markdown - Saved Markdown (without the header)
+ * @param {Object} config - { outlineUrl, apiToken }
+ */
+async function carryOverDocComments(step, api, request, documentId, markdown, { outlineUrl, apiToken }) {
+    if (request.excerpt) {
+        return;
+    }
+    const { carryComments } = await getSyncStorage("carryComments");
+    if (!carryComments) {
+        return;
+    }
+
+    const { discussion } = await step("comments", async () => {
+        try {
+            const threads = await readDocxComments(await fetchDocxExport(googleIdFromSourceId(request.sourceId)));
+            const { posted, unanchored } = await postComments(api, documentId, markdown, threads);
+            logger.info(`Carried over ${posted} comment(s) to ${documentId}; ${unanchored.length} thread(s) go to the Discussion section.`);
+            return { discussion: renderDiscussionSection(unanchored) };
+        } catch (err) {
+            if (isConnectivityError(err)) {
+                throw err;
+            }
+            logger.error(`Failed to carry over the comments of ${request.sourceId}: ${err.message}`);
+            return { discussion: "" };
+        }
+    });
+
+    if (discussion) {
+        await step("discussion", async () => {
+            await appendHeaderToDocument(outlineUrl, apiToken, documentId, discussion, "bottom", request.publish !== false);
+        });
+    }
+}
+
+// Excerpt headers have an "Excerpt" field in any header style (table, front matter, quote, footer)
+const EXCERPT_FIELD_PATTERN = /^[\s|>*_]*excerpt[\s*_]*[:|]/im;
+
+/**
+ * Names the default collection of a source type, as used by its save job.
+ * @param {string} sourceId - Google source identifier ("doc:", "sheet:", "workbook:" or "slides:")
+ * @param {Object} config - Outline config (see loadOutlineConfig)
+ * @returns {Object} { storageKey, collectionName }
+ */
+function getDefaultCollection(sourceId, config) {
+    const sourceType = (sourceId || "").split(":")[0];
+    if (sourceType === "doc") {
+        return { storageKey: "collectionId", collectionName: config.googleDocsCollectionName };
+    }
+    if (sourceType === "slides") {
+        return { storageKey: "collectionId_slides", collectionName: config.googleSlidesCollectionName };
+    }
+    return { storageKey: "collectionId_sheet", collectionName: config.googleSheetsCollectionName };
+}
+
+/**
+ * Tells whether an Outline document is a full save of a Google source, going by the source link
+ * in its metadata header. Excerpts link to their source too, but only hold part of it.
+ * @param {string} text - Document text
+ * @param {string} sourceId - Google source identifier
+ * @returns {boolean}
+ */
+function isSavedCopyOf(text, sourceId) {
+    const [sourceType, googleId, gid] = sourceId.split(":");
+    if (!text || !text.includes(googleId) || EXCERPT_FIELD_PATTERN.test(text)) {
+        return false;
+    }
+    // Saves of other tabs of the same spreadsheet link to another gid
+    if (sourceType === "sheet" && /[#?&]gid=\d+/.test(text)) {
+        return new RegExp(`[#?&]gid=${gid}\\b`).test(text);
+    }
+    return true;
+}
+
+/**
+ * Finds the existing collection a save would go to, like resolveDestination but without its side
+ * effects: nothing is created in Outline and the remembered destination is left as it is.
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {Object} request - Save request ({ sourceId, title, sourceUrl, destination, profileId })
+ * @param {string} storageKey - Local storage key of the default collection ID
+ * @returns {Promise<string|null>} The collection ID, or null if the save would create the collection
+ */
+async function findDestinationCollection(api, request, storageKey) {
+    const isAvailable = async (collectionId) => {
+        try {
+            await api.getCollection(collectionId);
+            return true;
+        } catch (err) {
+            logger.info(`Collection ${collectionId} is not available: ${err.message}`);
+            return false;
+        }
+    };
+
+    const googleId = googleIdFromSourceId(request.sourceId);
+    const destination = request.destination || await getSaveDestination(googleId, request.profileId);
+    if (destination && destination.collectionId) {
+        if (await isAvailable(destination.collectionId)) {
+            return destination.collectionId;
+        }
+        if (request.destination) {
+            return null;
+        }
+    }
+
+    const { routingRules } = await getSyncStorage("routingRules");
+    const sourceType = (request.sourceId || "").split(":")[0];
+    const match = findMatchingRule(routingRules, {
+        title: request.title,
+        url: request.sourceUrl || request.sourceId,
+        type: sourceType === "doc" || sourceType === "slides" ? sourceType : "sheet"
+    });
+    if (match) {
+        const { collectionName: routedName } = parseTarget(match.rule.target);
+        const collections = routedName ? await listAllCollections(api) : [];
+        const collection = collections.find((item) => item.name.toLowerCase() === routedName.toLowerCase());
+        return collection ? collection.id : null;
+    }
+
+    const key = profileScopedKey(storageKey, request.profileId);
+    const collectionId = (await getLocalStorage(key))[key];
+    return collectionId && await isAvailable(collectionId) ? collectionId : null;
+}
+
+/**
+ * Looks for Outline documents that may already hold a source that isn't linked in this browser,
+ * e.g. because a teammate saved it from theirs: documents whose header links to the source (found
+ * by its Google ID, so the saves of everyone in the workspace count), and documents with the same
+ * title in the collection the save would go to, if that collection exists already. Nothing is
+ * created or remembered, since the user may still cancel the save.
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {Object} request - Save request ({ sourceId, title, sourceUrl, destination, profileId })
+ * @param {Object} config - Outline config (see loadOutlineConfig)
+ * @returns {Promise<Object[]>} Up to 5 matches: [{ id, title, url, collection, updatedAt, updatedBy, matchedBy }]
+ *   with matchedBy "source" or "title", source matches first
+ */
+async function findExistingDocuments(api, request, config) {
+    const googleId = googleIdFromSourceId(request.sourceId);
+    const matches = new Map();
+    const addMatch = async (doc, matchedBy) => {
+        if (!doc || matches.has(doc.id) || doc.archivedAt || doc.deletedAt) return;
+        matches.set(doc.id, {
+            id: doc.id,
+            title: doc.title || "Untitled",
+            url: `${config.outlineUrl}/doc/${doc.id}`,
+            collection: await getCollectionName(api, doc.collectionId),
+            updatedAt: doc.updatedAt || "",
+            updatedBy: (doc.updatedBy && doc.updatedBy.name) || "",
+            matchedBy
+        });
+    };
+
+    // Quoted, so the ID's dashes aren't read as search operators
+    const bySource = await api.searchDocuments({ query: `"${googleId}"`, limit: 25 });
+    for (const result of bySource.data || []) {
+        if (result.document && isSavedCopyOf(result.document.text, request.sourceId)) {
+            await addMatch(result.document, "source");
+        }
+    }
+
+    const title = (request.title || "").trim().toLowerCase();
+    const { storageKey } = getDefaultCollection(request.sourceId, config);
+    // A collection the save would create holds no documents yet
+    const collectionId = title ? await findDestinationCollection(api, request, storageKey) : null;
+    if (collectionId) {
+        const byTitle = await api.searchDocuments({ query: request.title, collectionId, limit: 25 });
+        for (const result of byTitle.data || []) {
+            if (result.document && (result.document.title || "").trim().toLowerCase() === title) {
+                await addMatch(result.document, "title");
+            }
+        }
+    }
+
+    return [...matches.values()].slice(0, 5);
+}
+
+/**
+ * Tells whether a save makes a separate document: excerpts, and Docs saved with "Save as new
+ * document" from the overwrite preview. These never replace the linked document nor take its link.
+ * @param {Object} request - Save request
+ * @returns {boolean}
+ */
+function isDetachedSave(request) {
+    return Boolean(request.excerpt) || request.overwriteMode === "new";
+}
+
+/**
+ * Decides where a save goes: the Outline document linked to the source (moved to the picked
+ * destination, if any), or the picked/remembered/routed/default collection for a new document.
+ * Detached saves (see isDetachedSave) are always new documents.
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {Object} request - Save request
+ * @param {string} storageKey - Local storage key of the default collection ID
+ * @param {string} collectionName - Name of the default collection
+ * @returns {Promise<Object>} { linkedDocId, collectionId, parentDocumentId }
+ */
+async function resolveSaveTarget(api, request, storageKey, collectionName) {
+    let linkedDoc = isDetachedSave(request) ? null : await resolveLinkedDocument(api, request.sourceId, request.profileId);
+    if (linkedDoc) {
+        if (request.destination) {
+            const destination = await resolveDestination(api, request, storageKey, collectionName);
+            linkedDoc = await relocateDocument(api, linkedDoc, destination.collectionId, destination.parentDocumentId);
+        }
+        return { linkedDocId: linkedDoc.id, collectionId: linkedDoc.collectionId, parentDocumentId: "" };
+    }
+
+    const { collectionId, parentDocumentId } = await resolveDestination(api, request, storageKey, collectionName);
+    return { linkedDocId: null, collectionId, parentDocumentId };
+}
+
+/**
+ * Writes a save's Markdown to Outline: replaces the body of the linked document (or, with
+ * overwriteMode "append", adds it as a new section at the end), or creates a document, links it
+ * to the source (except for detached saves) and adds the metadata header. New documents stay
+ * drafts when the save has `publish: false`.
+ * @param {Function} step - Step runner
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {Object} config - { outlineUrl, apiToken }
+ * @param {Object} source - Save request, with the title and metadata to save under
+ * @param {Object} target - Result of resolveSaveTarget
+ * @param {string} content - Markdown without the header
+ * @returns {Promise<Object>} { url, documentId, collectionId, updated }
+ */
+async function writeSavedDocument(step, api, { outlineUrl, apiToken }, source, target, content) {
+    if (target.linkedDocId && source.overwriteMode === "append") {
+        // Picked in the overwrite preview: keep the current text and header, add the export below
+        await step("append", async () => {
+            logger.info(`Appending to linked document ${target.linkedDocId} for ${source.sourceId}.`);
+            await appendSavedSection(api, target.linkedDocId, source.title, content, source.publish !== false);
+        });
+        return {
+            url: `${outlineUrl}/doc/${target.linkedDocId}`,
+            documentId: target.linkedDocId,
+            collectionId: target.collectionId,
+            updated: true
+        };
+    }
+
+    if (target.linkedDocId) {
+        // Re-save: replace the body of the linked document instead of creating a duplicate
+        await step("update", async () => {
+            logger.info(`Updating linked document ${target.linkedDocId} for ${source.sourceId}.`);
+            const { headerMarkdown, headerPosition } = await resolveHeader(api, source, target.collectionId);
+            await api.updateDocument({
+                id: target.linkedDocId,
+                title: source.title,
+                text: composeDocumentText(content, headerMarkdown, headerPosition),
+                append: false,
+                publish: source.publish !== false,
+                done: true
+            });
+        });
+        return {
+            url: `${outlineUrl}/doc/${target.linkedDocId}`,
+            documentId: target.linkedDocId,
+            collectionId: target.collectionId,
+            updated: true
+        };
+    }
+
+    const { docId } = await step("create", async () => {
+        logger.info(`Using collectionId: ${target.collectionId} for document creation.`);
+        const res = await api.createDocument({
+            title: source.title,
+            text: content,
+            collectionId: target.collectionId,
+            parentDocumentId: target.parentDocumentId,
+            publish: source.publish !== false
+        });
+        logger.info(`Document creation response: ${JSON.stringify(res)}`);
+
+        const createdId = res.data && res.data.id;
+        if (!createdId) {
+            throw new Error("Failed to get document ID from API response");
+        }
+        if (!isDetachedSave(source)) {
+            await linkDocument(source.sourceId, createdId, source.profileId);
+        }
+        return { docId: createdId };
+    });
+
+    // Add header if provided
+    await step("header", async () => {
+        const { headerMarkdown, headerPosition } = await resolveHeader(api, source, target.collectionId);
+        if (headerMarkdown) {
+            await appendHeaderToDocument(
+                outlineUrl,
+                apiToken,
+                docId,
+                headerMarkdown,
+                headerPosition,
+                source.publish !== false
+            );
+        }
+    });
+
+    return { url: `${outlineUrl}/doc/${docId}`, documentId: docId, collectionId: target.collectionId, updated: false };
+}
+
+/**
+ * Saves a Google Doc: resolve destination, upload images, then create + header or update,
+ * and finally carry over the Doc's comments.
+ * @param {Object} job - Save job
+ * @param {Function} step - Step runner
+ * @param {Object} config - Outline config
+ * @returns {Promise<Object>} { url, documentId, collectionId, updated }
+ */
+async function runSaveGoogleDocJob(job, step, { outlineUrl, apiToken, googleDocsCollectionName }) {
+    const request = job.request;
+    const api = new OutlineAPI(outlineUrl, apiToken);
+
+    // Decided once, so a resumed job doesn't take the document it created itself for a linked one.
+    // Uses the picked/remembered destination or the configured Google Docs collection name.
+    const target = await step("resolve", () => resolveSaveTarget(api, request, "collectionId", googleDocsCollectionName));
+
+    let markdown = await exportDeferredContent(step, request, request.content);
+    let source = request;
+    if (request.excerpt) {
+        // Keep only the selected part; the header records the section it came from
+        const excerpt = await step("excerpt", () => buildDocExcerpt(request, markdown));
+        markdown = excerpt.content;
+        source = {
+            ...request,
+            title: excerpt.title,
+            metadata: request.metadata && {
+                ...request.metadata,
+                excerpt: { section: excerpt.section, sectionUrl: excerpt.sectionUrl }
+            }
+        };
+    }
+
+    // Clean up quirks of Google's export with the rules enabled in the options
+    const normalized = await step("normalize", async () => {
+        const { markdownRules } = await getSyncStorage("markdownRules");
+        return { content: normalizeMarkdown(markdown, markdownRules || {}) };
+    });
+
+    // Replace embedded images with stable attachment links before the text reaches Outline
+    const { content } = await step("images", async () => ({
+        content: await uploadEmbeddedImages(api, normalized.content, target.linkedDocId)
+    }));
+
+    // An appended section keeps the document's header, and the comments it already carries
+    if (target.linkedDocId && request.overwriteMode === "append") {
+        return writeSavedDocument(step, api, { outlineUrl, apiToken }, source, target, content);
+    }
+
+    // The exact original for readers who need its layout, linked from the header
+    source = withOriginalFile(source, await attachOriginalFile(step, api, request, target.linkedDocId));
+
+    const result = await writeSavedDocument(step, api, { outlineUrl, apiToken }, source, target, content);
+    await carryOverDocComments(step, api, request, result.documentId, content, { outlineUrl, apiToken });
+    return result;
+}
+
+/**
+ * Exports a Google Slides deck as .pptx, the only export that keeps the slide boundaries and speaker notes.
+ * @param {string} presentationId - Google Slides presentation ID
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function fetchSlidesExport(presentationId) {
+    const controller = createControllerWithTimeout();
+    try {
+        const response = await fetch(`https://docs.google.com/presentation/d/${presentationId}/export/pptx`, {
+            credentials: "include",
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`Failed to export presentation ${presentationId} as .pptx (Status: ${response.status})`);
+        }
+        return await response.arrayBuffer();
+    } finally {
+        clearControllerTimeout(controller);
+    }
+}
+
+/**
+ * Exports one slide as a PNG image and uploads it as an Outline attachment.
+ * A failure is logged and leaves the slide without its image, unless the connection is down.
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {string} presentationId - Google Slides presentation ID
+ * @param {string} pageId - Slide (page) ID
+ * @param {number} number - Slide number, for the file name
+ * @param {string|null} documentId - Document the attachment belongs to, if it already exists
+ * @returns {Promise<Object>} { url } ("" when the image couldn't be uploaded)
+ */
+async function uploadSlideImage(api, presentationId, pageId, number, documentId) {
+    const controller = createControllerWithTimeout();
+    try {
+        const response = await fetch(
+            `https://docs.google.com/presentation/d/${presentationId}/export/png?id=${presentationId}&pageid=${encodeURIComponent(pageId)}`,
+            { credentials: "include", signal: controller.signal }
+        );
+        if (!response.ok) {
+            throw new Error(`Failed to export slide ${number} as PNG (Status: ${response.status})`);
+        }
+        const blob = await response.blob();
+        const attachment = await api.uploadAttachment({
+            name: `slide-${number}.png`,
+            contentType: blob.type || "image/png",
+            file: blob,
+            documentId
+        });
+        return { url: attachment.url };
+    } catch (err) {
+        if (isConnectivityError(err)) {
+            throw err;
+        }
+        logger.error(`Failed to add the image of slide ${number} of ${presentationId}: ${err.message}`);
+        return { url: "" };
+    } finally {
+        clearControllerTimeout(controller);
+    }
+}
+
+/**
+ * Saves a Google Slides deck as one document with a section per slide: resolve destination,
+ * export the slide text and notes, upload an image of every slide, then create + header or update.
+ * Each slide image is its own step, "slide:<n>:image".
+ * @param {Object} job - Save job
+ * @param {Function} step - Step runner
+ * @param {Object} config - Outline config
+ * @returns {Promise<Object>} { url, documentId, collectionId, updated }
+ */
+async function runSaveGoogleSlidesJob(job, step, { outlineUrl, apiToken, googleSlidesCollectionName }) {
+    const request = job.request;
+    const api = new OutlineAPI(outlineUrl, apiToken);
+
+    // Use the picked/remembered destination or the configured Google Slides collection name
+    const target = await step("resolve", () => resolveSaveTarget(
+        api,
+        request,
+        "collectionId_slides",
+        googleSlidesCollectionName
+    ));
+
+    const { slides } = await step("export", async () => ({
+        slides: await readPresentation(await fetchSlidesExport(request.presentationId))
+    }));
+    if (slides.length === 0) {
+        throw new Error("The presentation has no slides");
+    }
+
+    // The page IDs come from the editor's slide list; without a match for every slide, images are left out
+    const pageIds = Array.isArray(request.pageIds) ? request.pageIds : [];
+    if (pageIds.length !== slides.length) {
+        logger.info(`Found ${pageIds.length} slide ID(s) for ${slides.length} slide(s) of ${request.sourceId}; saving without slide images.`);
+    }
+    const imageUrls = [];
+    if (pageIds.length === slides.length) {
+        for (let i = 0; i < slides.length; i++) {
+            const { url } = await step(`slide:${i + 1}:image`, () => uploadSlideImage(
+                api,
+                request.presentationId,
+                pageIds[i],
+                i + 1,
+                target.linkedDocId
+            ));
+            imageUrls.push(url);
+        }
+    }
+
+    const content = renderSlidesMarkdown(slides, imageUrls);
+    return writeSavedDocument(step, api, { outlineUrl, apiToken }, request, target, content);
+}
+
+/**
+ * Imports a single Google Sheet tab (see importSheetDocument for its steps).
+ * @param {Object} job - Save job
+ * @param {Function} step - Step runner
+ * @param {Object} config - Outline config
+ * @returns {Promise<Object>} { url, documentId, collectionId, updated }
+ */
+async function runImportGoogleSheetJob(job, step, { outlineUrl, apiToken, googleSheetsCollectionName }) {
+    const request = job.request;
+    const api = new OutlineAPI(outlineUrl, apiToken);
+
+    // Use the picked/remembered destination or the configured Google Sheets collection name
+    const { collectionId, parentDocumentId, explicit } = await step("resolve", () => resolveDestination(
+        api,
+        request,
+        "collectionId_sheet",
+        googleSheetsCollectionName
+    ));
+    logger.info(`Using collectionId: ${collectionId} for sheet import.`);
+
+    // An appended section keeps the document's header, so it links no original file
+    const originalFile = request.overwriteMode === "append" ? null : await attachOriginalFile(step, api, request, null);
+    const { docId, collectionId: savedCollectionId, updated } = await importSheetDocument(api, {
+        outlineUrl,
+        apiToken,
+        profileId: request.profileId,
+        collectionId,
+        parentDocumentId,
+        relocate: explicit,
+        sourceId: request.sourceId,
+        title: request.title,
+        fileContent: await exportDeferredContent(step, request, request.fileContent),
+        header: withOriginalFile(request, originalFile),
+        renderOptions: await getSheetRenderOptions(),
+        publish: request.publish !== false,
+        overwriteMode: request.overwriteMode,
+        step
+    });
+
+    return { url: `${outlineUrl}/doc/${docId}`, documentId: docId, collectionId: savedCollectionId, updated };
+}
+
+/**
+ * Imports every tab of a spreadsheet below a parent document that lists them.
+ * Each tab's steps are prefixed with "tab:<gid>:".
+ * @param {Object} job - Save job
+ * @param {Function} step - Step runner
+ * @param {Object} config - Outline config
+ * @returns {Promise<Object>} { url, documentId, collectionId, childDocumentIds, updated }
+ */
+async function runImportGoogleWorkbookJob(job, step, { outlineUrl, apiToken, googleSheetsCollectionName }) {
+    const request = job.request;
+    const api = new OutlineAPI(outlineUrl, apiToken);
+
+    // Use the picked/remembered destination or the configured Google Sheets collection name
+    const destination = await step("resolve", () => resolveDestination(
+        api,
+        request,
+        "collectionId_sheet",
+        googleSheetsCollectionName
+    ));
+    logger.info(`Using collectionId: ${destination.collectionId} for workbook import.`);
+
+    // Parent document for the whole spreadsheet
+    const parent = await step("parent", async () => {
+        let linkedParent = await resolveLinkedDocument(api, request.sourceId, request.profileId);
+        if (linkedParent) {
+            if (destination.explicit) {
+                linkedParent = await relocateDocument(api, linkedParent, destination.collectionId, destination.parentDocumentId);
+            }
+            logger.info(`Reusing linked workbook document ${linkedParent.id} for ${request.sourceId}.`);
+            return { parentId: linkedParent.id, collectionId: linkedParent.collectionId, updated: true };
+        }
+
+        const res = await api.createDocument({
+            title: request.title,
+            text: "",
+            collectionId: destination.collectionId,
+            parentDocumentId: destination.parentDocumentId,
+            publish: request.publish !== false
+        });
+        const parentId = res.data && res.data.id;
+        if (!parentId) {
+            throw new Error("Failed to get document ID from API response");
+        }
+        await linkDocument(request.sourceId, parentId, request.profileId);
+        return { parentId, collectionId: destination.collectionId, updated: false };
+    });
+
+    // One child document per tab, in tab order
+    const renderOptions = await getSheetRenderOptions();
+    const children = [];
+    for (const sheet of request.sheets) {
+        const { docId } = await importSheetDocument(api, {
+            outlineUrl,
+            apiToken,
+            profileId: request.profileId,
+            collectionId: parent.collectionId,
+            parentDocumentId: parent.parentId,
+            sourceId: `${request.sourceId}:${sheet.gid}`,
+            title: sheet.name,
+            fileContent: sheet.fileContent,
+            renderOptions,
+            publish: request.publish !== false,
+            step: (name, fn) => step(`tab:${sheet.gid}:${name}`, fn)
+        });
+        children.push({ name: sheet.name, docId });
+    }
+
+    // List the tabs in the parent body below/above the metadata header
+    const originalFile = await attachOriginalFile(step, api, request, parent.parentId);
+    await step("index", async () => {
+        const tabList = children.map((child) => `- [${child.name}](/doc/${child.docId})`).join("\n");
+        const header = withOriginalFile(request, originalFile);
+        const { headerMarkdown, headerPosition } = await resolveHeader(api, header, parent.collectionId);
+        await api.updateDocument({
+            id: parent.parentId,
+            title: request.title,
+            text: composeDocumentText(tabList, headerMarkdown, headerPosition),
+            append: false,
+            publish: request.publish !== false,
+            done: true
+        });
+    });
+
+    return {
+        url: `${outlineUrl}/doc/${parent.parentId}`,
+        documentId: parent.parentId,
+        collectionId: parent.collectionId,
+        childDocumentIds: children.map((child) => child.docId),
+        updated: parent.updated
+    };
+}
+
+const SAVE_JOB_TYPES = {
+    "saveGoogleDoc": "doc",
+    "importGoogleSheet": "sheet",
+    "importGoogleWorkbook": "workbook",
+    "saveGoogleSlides": "slides"
+};
+
+const saveJobRunners = {
+    "saveGoogleDoc": runSaveGoogleDocJob,
+    "importGoogleSheet": runImportGoogleSheetJob,
+    "importGoogleWorkbook": runImportGoogleWorkbookJob,
+    "saveGoogleSlides": runSaveGoogleSlidesJob
+};
+
+/**
+ * Runs (or resumes) a save job until it is done or failed.
+ * A job interrupted MAX_RETRIES times is marked failed instead of being retried again.
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} The finished job
+ */
+async function executeSaveJob(jobId) {
+    const job = await getSaveJob(jobId);
+    if (!job) {
+        throw new Error(`Unknown save job: ${jobId}`);
+    }
+    if (job.finishedAt) {
+        return job;
+    }
+    if (job.attempts >= MAX_RETRIES) {
+        logger.error(`Save job ${jobId} was interrupted ${job.attempts} times; giving up.`);
+        return completeSaveJob(jobId, {
+            status: "failed",
+            error: `Save was interrupted ${job.attempts} times at step "${job.currentStep || "start"}"`
+        });
+    }
+
+    if (!navigator.onLine) {
+        return deferSaveJob(job, new Error("Browser is offline"));
+    }
+    if ((await getTokenStorage()).locked) {
+        return deferSaveJob(job, new Error(API_TOKENS_LOCKED_MESSAGE));
+    }
+
+    const startedAt = Date.now();
+    job.attempts += 1;
+    await updateSaveJob(jobId, { status: "running", attempts: job.attempts });
+    logger.info(`Save job ${jobId} (${job.action}) started, attempt ${job.attempts}.`);
+
+    try {
+        // Saves always go to the profile they were submitted with, even if the default changed since
+        const config = await loadOutlineConfig(job.request.profileId);
+        const step = createStepRunner(job);
+        // Every kind of save, including those made in the background, gets its header metadata here
+        const metadata = await step("metadata", () => resolveSourceMetadata(job.request));
+        if (metadata) {
+            job.request = { ...job.request, metadata };
+        }
+        const result = await saveJobRunners[job.action](job, step, config);
+        logger.info(`Save job ${jobId} finished: ${result.url}`);
+        return completeSaveJob(jobId, { status: "done", result }, startedAt);
+    } catch (err) {
+        if (isConnectivityError(err)) {
+            return deferSaveJob(job, err);
+        }
+        logger.error(`Save job ${jobId} failed: ${err.message}`);
+        return completeSaveJob(jobId, { status: "failed", error: err.message || "Unknown error occurred" }, startedAt);
+    }
+}
+
+/**
+ * Finishes a save job, logs it in the export history and updates the queued count.
+ * @param {string} jobId - Job ID
+ * @param {Object} outcome - See finishSaveJob
+ * @param {number|null} startedAt - Start of the job's last run (ms), for the logged duration
+ * @returns {Promise<Object>} The finished job
+ */
+async function completeSaveJob(jobId, outcome, startedAt = null) {
+    const finished = await finishSaveJob(jobId, outcome);
+    await recordSaveHistory(finished, startedAt).catch((err) => {
+        logger.error(`Failed to record save job ${jobId} in the history: ${err.message}`);
+    });
+    await notifySaveQueueChanged();
+    return finished;
+}
+
+/**
+ * Adds a finished save job to the export history.
+ * The target collection comes from the result, or from the "resolve" step of a failed job.
+ * @param {Object} job - The finished job
+ * @param {number|null} startedAt - Start of the job's last run (ms)
+ */
+async function recordSaveHistory(job, startedAt) {
+    const request = job.request || {};
+    const result = job.result || {};
+    const resolved = job.steps && job.steps.resolve && typeof job.steps.resolve === "object" ? job.steps.resolve : {};
+    const collectionId = result.collectionId || resolved.collectionId || "";
+
+    let collection = "";
+    let profile = "";
+    try {
+        const config = await loadOutlineConfig(request.profileId);
+        profile = config.profileName;
+        if (collectionId) {
+            collection = await getCollectionName(new OutlineAPI(config.outlineUrl, config.apiToken), collectionId);
+        }
+    } catch (err) {
+        // E.g. the profile was deleted meanwhile: log the save without its collection name
+        logger.error(`Failed to look up the collection of save job ${job.id}: ${err.message}`);
+    }
+
+    await addHistoryEntry({
+        action: job.action,
+        type: SAVE_JOB_TYPES[job.action],
+        title: request.title || "",
+        sourceId: request.sourceId || "",
+        sourceUrl: request.sourceUrl || "",
+        excerpt: request.excerpt || null,
+        profileId: request.profileId || "",
+        profile,
+        collectionId,
+        collection,
+        outlineUrl: result.url || "",
+        documentId: result.documentId || "",
+        status: job.status,
+        error: job.error || "",
+        startedAt: startedAt ? new Date(startedAt).toISOString() : job.createdAt,
+        durationMs: startedAt ? Date.now() - startedAt : null,
+        jobId: job.id
+    });
+}
+
+/**
+ * Tells whether an error means Outline or Google could not be reached (rather than rejecting the save).
+ * Outline errors say so themselves; Google fetch errors are recognized by their message.
+ * @param {Error} err - The error
+ * @returns {boolean}
+ */
+function isConnectivityError(err) {
+    if (!navigator.onLine) {
+        return true;
+    }
+    if (err instanceof OutlineAPIError) {
+        return err.retryable;
+    }
+    return CONNECTIVITY_ERROR_PATTERN.test((err && err.message) || "");
+}
+
+/**
+ * Puts a save job in the offline queue. It keeps its completed steps and is retried
+ * by the flush alarm or when a content script reports that the browser is back online.
+ * @param {Object} job - Save job
+ * @param {Error} err - The connectivity error
+ * @returns {Promise<Object>} The waiting job
+ */
+async function deferSaveJob(job, err) {
+    logger.info(`Save job ${job.id} queued until the connection is back: ${err.message}`);
+    const waiting = await updateSaveJob(job.id, { status: "waiting", currentStep: null, attempts: 0, error: err.message });
+    chrome.alarms.create(FLUSH_QUEUE_ALARM, { periodInMinutes: 1 });
+    await notifySaveQueueChanged();
+    return waiting;
+}
+
+/**
+ * Returns the save jobs waiting for a connection.
+ * @returns {Promise<Object[]>}
+ */
+async function getQueuedSaveJobs() {
+    const jobs = await getUnfinishedSaveJobs();
+    return jobs.filter((job) => job.status === "waiting");
+}
+
+/**
+ * Updates the queued count on the toolbar icon, the settings page and the floating buttons of open Docs/Sheets/Slides tabs.
+ */
+async function notifySaveQueueChanged() {
+    const count = (await getQueuedSaveJobs()).length;
+    chrome.action.setBadgeText({ text: count > 0 ? String(count) : "" });
+    chrome.action.setBadgeBackgroundColor({ color: "#ff9500" });
+
+    // The settings page lists the queue; nothing listens when it is closed
+    chrome.runtime.sendMessage({ action: "saveQueueChanged", count }).catch(() => {});
+
+    const tabs = await chrome.tabs.query({
+        url: [
+            "https://docs.google.com/document/*",
+            "https://docs.google.com/spreadsheets/*",
+            "https://docs.google.com/presentation/*"
+        ]
+    });
+    tabs.forEach((tab) => {
+        chrome.tabs.sendMessage(tab.id, { action: "saveQueueChanged", count }).catch(() => {
+            // Tabs opened before the extension was loaded have no content script
+        });
+    });
+}
+
+/**
+ * Retries the queued saves one after another while the browser is online.
+ * The flush alarm is removed once the queue is empty.
+ */
+async function flushSaveQueue() {
+    const queued = await getQueuedSaveJobs();
+    if (queued.length === 0) {
+        await chrome.alarms.clear(FLUSH_QUEUE_ALARM);
+        return;
+    }
+    if (!navigator.onLine) {
+        logger.info(`Still offline; ${queued.length} save(s) stay queued.`);
+        return;
+    }
+
+    logger.info(`Flushing ${queued.length} queued save(s).`);
+    for (const job of queued) {
+        await runSaveJob(job.id);
+    }
+    if ((await getQueuedSaveJobs()).length === 0) {
+        await chrome.alarms.clear(FLUSH_QUEUE_ALARM);
+    }
+}
+
+/**
+ * Starts a save job, or returns the run already in progress in this worker.
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} The finished job
+ */
+function runSaveJob(jobId) {
+    if (!activeSaveJobs.has(jobId)) {
+        const run = executeSaveJob(jobId).finally(() => activeSaveJobs.delete(jobId));
+        activeSaveJobs.set(jobId, run);
+    }
+    return activeSaveJobs.get(jobId);
+}
+
+/**
+ * Queues a validated save request as a job and starts it without waiting for it.
+ * @param {Object} request - Save request
+ * @returns {Promise<Object>} The response sent to the caller ({ success, jobId, status })
+ */
+async function startSaveJob(request) {
+    const job = await createSaveJob(request.action, request);
+    runSaveJob(job.id).catch((err) => logger.error(`Save job ${job.id} error:`, err));
+    return {
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Submits a save request and waits for its job to finish (for callers inside the service worker).
+ * @param {Object} request - Save request
+ * @returns {Promise<Object>} { success, url, documentId, updated } or { success: false, error }
+ */
+async function saveAndWait(request) {
+    const response = await dispatchActionAsync(request);
+    if (!response || !response.success) {
+        return response;
+    }
+    const job = await runSaveJob(response.jobId);
+    if (job.status === "waiting") {
+        return { success: false, queued: true, error: `Queued until the connection is back: ${job.error}` };
+    }
+    return job.status === "done"
+        ? { success: true, ...job.result }
+        : { success: false, error: job.error };
+}
+
+/**
+ * Resumes the save jobs that were queued or running when the service worker was stopped.
+ */
+async function resumeSaveJobs() {
+    const jobs = await getUnfinishedSaveJobs();
+    for (const job of jobs) {
+        logger.info(`Resuming save job ${job.id} at step "${job.currentStep || "start"}".`);
+        runSaveJob(job.id).catch((err) => logger.error(`Save job ${job.id} error:`, err));
+    }
+}
 
 /**
  * Map of action names to handler functions.
  * Each handler receives (request, sendResponse, outlineUrl, apiToken).
  */
 const actions = {
-    "saveGoogleDoc": async (request, sendResponse, outlineUrl, apiToken, googleDocsCollectionName) => {
-        const controller = createControllerWithTimeout();
+    "saveGoogleDoc": async (request, sendResponse) => {
         try {
             // Validate request
             const validation = validateDocumentRequest(request);
             if (!validation.isValid) {
                 throw new Error(validation.error);
             }
+            sendResponse(await startSaveJob(request));
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
 
-            const api = new OutlineAPI(outlineUrl, apiToken);
-            // Use the configured Google Docs collection name
-            const collectionId = await getOrCreateCollection(api, "collectionId", googleDocsCollectionName);
-            logger.info(`Using collectionId: ${collectionId} for document creation.`);
+    "importGoogleSheet": async (request, sendResponse) => {
+        try {
+            // Validate request
+            const validation = validateSheetRequest(request);
+            if (!validation.isValid) {
+                throw new Error(validation.error);
+            }
+            sendResponse(await startSaveJob(request));
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
 
-            // Create document with automatic retry
-            const res = await api.createDocument({
-                title: request.title,
-                text: request.content,
-                collectionId,
-                publish: true
+    "importGoogleWorkbook": async (request, sendResponse) => {
+        try {
+            // Validate request
+            const validation = validateWorkbookRequest(request);
+            if (!validation.isValid) {
+                throw new Error(validation.error);
+            }
+            sendResponse(await startSaveJob(request));
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
+
+    "saveGoogleSlides": async (request, sendResponse) => {
+        try {
+            // Validate request
+            const validation = validateSlidesRequest(request);
+            if (!validation.isValid) {
+                throw new Error(validation.error);
+            }
+            sendResponse(await startSaveJob(request));
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
+
+    // Looks for copies of an unlinked source saved from other browsers before a new document is created
+    "findExistingDocuments": async (request, sendResponse) => {
+        try {
+            if (!request.sourceId) {
+                throw new Error("Missing required field: sourceId");
+            }
+            const config = await loadOutlineConfig(request.profileId);
+            const api = new OutlineAPI(config.outlineUrl, config.apiToken);
+            if (await resolveLinkedDocument(api, request.sourceId, request.profileId)) {
+                sendResponse({ success: true, linked: true, matches: [], timestamp: new Date().toISOString() });
+                return;
+            }
+            sendResponse({
+                success: true,
+                linked: false,
+                matches: await findExistingDocuments(api, request, config),
+                timestamp: new Date().toISOString()
+            });
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
+
+    // Links a source to a document found by findExistingDocuments, so the next save updates it
+    "linkExistingDocument": async (request, sendResponse, outlineUrl, apiToken) => {
+        try {
+            if (!request.sourceId || !request.documentId) {
+                throw new Error("Missing required fields: sourceId, documentId");
+            }
+            const api = new OutlineAPI(outlineUrl, apiToken);
+            const docInfo = await api.getDocument(request.documentId);
+            if (!docInfo.data || docInfo.data.deletedAt || docInfo.data.archivedAt) {
+                throw new Error("The Outline document is deleted or archived");
+            }
+            await linkDocument(request.sourceId, docInfo.data.id, request.profileId);
+            sendResponse({
+                success: true,
+                documentId: docInfo.data.id,
+                timestamp: new Date().toISOString()
             });
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
 
-            logger.info(`Document creation response: ${JSON.stringify(res)}`);
+    // Compares the export of a Doc, sheet or Slides deck with the linked Outline document before it is overwritten
+    "previewOverwrite": async (request, sendResponse, outlineUrl, apiToken) => {
+        try {
+            const isSlides = Boolean(request.sourceId) && request.sourceId.startsWith("slides:");
+            if (!request.sourceId || (isSlides ? !request.presentationId : typeof request.content !== "string")) {
+                throw new Error("Missing required fields: sourceId, and content or presentationId");
+            }
+            const api = new OutlineAPI(outlineUrl, apiToken);
+            const linkedDoc = await resolveLinkedDocument(api, request.sourceId, request.profileId);
+            if (!linkedDoc) {
+                sendResponse({ success: true, linked: false, timestamp: new Date().toISOString() });
+                return;
+            }
 
-            const docId = res.data && res.data.id;
-            if (!docId) {
-                throw new Error("Failed to get document ID from API response");
+            // Compare what the save would write, without headers: the Doc export with the same cleanup,
+            // the sheet's TSV as a table, or the deck exported here like its save job does
+            let content;
+            if (isSlides) {
+                const slides = await readPresentation(await fetchSlidesExport(request.presentationId));
+                // Images are compared by their alt text, so the page IDs stand in for the uploaded images
+                const pageIds = Array.isArray(request.pageIds) ? request.pageIds : [];
+                content = renderSlidesMarkdown(slides, pageIds.length === slides.length ? pageIds : []);
+            } else if (request.sourceId.startsWith("sheet:")) {
+                const { maxRows } = await getSheetRenderOptions();
+                content = tsvToMarkdownTable(request.content, { maxRows });
+            } else {
+                const { markdownRules } = await getSyncStorage("markdownRules");
+                content = normalizeMarkdown(request.content, markdownRules || {});
+            }
+            const { changes, added, removed } = diffMarkdown(stripHeader(linkedDoc.text), content);
+            sendResponse({
+                success: true,
+                linked: true,
+                documentId: linkedDoc.id,
+                title: linkedDoc.title || "",
+                url: `${outlineUrl}/doc/${linkedDoc.id}`,
+                changes,
+                added,
+                removed,
+                timestamp: new Date().toISOString()
+            });
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
+
+    "getSaveJobStatus": async (request, sendResponse) => {
+        try {
+            const job = await getSaveJob(request.jobId);
+            if (!job) {
+                throw new Error(`Unknown save job: ${request.jobId}`);
             }
+            sendResponse({
+                success: true,
+                job: {
+                    id: job.id,
+                    action: job.action,
+                    status: job.status,
+                    currentStep: job.currentStep,
+                    completedSteps: Object.keys(job.steps),
+                    attempts: job.attempts,
+                    result: job.result,
+                    error: job.error,
+                    createdAt: job.createdAt,
+                    finishedAt: job.finishedAt
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
 
-            const docUrl = `${outlineUrl}/doc/${docId}`;
+    "getSaveQueue": async (request, sendResponse) => {
+        try {
+            const jobs = await getQueuedSaveJobs();
+            sendResponse({
+                success: true,
+                jobs: jobs.map((job) => ({
+                    id: job.id,
+                    action: job.action,
+                    title: job.request.title || "",
+                    sourceUrl: job.request.sourceUrl || "",
+                    profileId: job.request.profileId || "",
+                    deferredExport: Boolean(job.request.deferredExport),
+                    error: job.error,
+                    createdAt: job.createdAt,
+                    updatedAt: job.updatedAt
+                })),
+                timestamp: new Date().toISOString()
+            });
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
 
-            // Add header if provided
-            if (docId && request.headerMarkdown) {
-                const headerPosition = request.headerPosition || 'top';
-                await appendHeaderToDocument(
-                    outlineUrl,
-                    apiToken,
-                    docId,
-                    request.headerMarkdown,
-                    headerPosition
-                );
+    "cancelSaveJob": async (request, sendResponse) => {
+        try {
+            const job = await getSaveJob(request.jobId);
+            if (!job || job.finishedAt) {
+                throw new Error(`No queued save job: ${request.jobId}`);
             }
+            if (activeSaveJobs.has(job.id)) {
+                throw new Error("This save is running and can no longer be cancelled");
+            }
+            await completeSaveJob(job.id, { status: "cancelled" });
+            sendResponse({
+                success: true,
+                timestamp: new Date().toISOString()
+            });
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
 
-            clearControllerTimeout(controller);
+    "flushSaveQueue": async (request, sendResponse) => {
+        try {
+            // Respond right away; queued saves report their progress through the queue count
+            flushSaveQueue().catch((err) => logger.error("Save queue flush error:", err));
             sendResponse({
                 success: true,
-                url: docUrl,
-                documentId: docId,
                 timestamp: new Date().toISOString()
             });
         } catch (err) {
-            clearControllerTimeout(controller);
             respondWithError(sendResponse, err);
         }
     },
 
-    "importGoogleSheet": async (request, sendResponse, outlineUrl, apiToken, _unused, googleSheetsCollectionName) => {
-        const controller = createControllerWithTimeout();
+    "openSaveQueue": async (request, sendResponse) => {
         try {
-            // Validate request
-            const validation = validateSheetRequest(request);
-            if (!validation.isValid) {
-                throw new Error(validation.error);
+            await chrome.tabs.create({ url: chrome.runtime.getURL("options.html#saveQueue") });
+            sendResponse({
+                success: true,
+                timestamp: new Date().toISOString()
+            });
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
+
+    "listCollections": async (request, sendResponse, outlineUrl, apiToken) => {
+        try {
+            const api = new OutlineAPI(outlineUrl, apiToken);
+            const collections = await listAllCollections(api);
+
+            sendResponse({
+                success: true,
+                collections,
+                timestamp: new Date().toISOString()
+            });
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
+
+    "browseDocuments": async (request, sendResponse, outlineUrl, apiToken) => {
+        try {
+            if (!request.collectionId) {
+                throw new Error("Missing required field: collectionId");
             }
 
             const api = new OutlineAPI(outlineUrl, apiToken);
-            // Use the configured Google Sheets collection name
-            const collectionId = await getOrCreateCollection(api, "collectionId_sheet", googleSheetsCollectionName);
-            logger.info(`Using collectionId: ${collectionId} for sheet import.`);
-
-            // Prepare file for upload
-            const fileContent = request.fileContent;
-            const fileBlob = new Blob([fileContent], { type: "text/csv" });
-            // Use provided title or default name
-            const fileName = (request.title || "import") + ".csv";
-            const fileObj = new File([fileBlob], fileName, { type: "text/csv" });
-
-            // Import document
-            const res = await api.importDocument({
-                collectionId,
-                file: fileObj,
-                publish: true
+            let documents;
+            if (request.query && request.query.trim() !== "") {
+                const res = await api.searchDocuments({
+                    query: request.query.trim(),
+                    collectionId: request.collectionId,
+                    limit: 25
+                });
+                documents = (res.data || []).map((result) => result.document);
+            } else {
+                const res = await api.listDocuments({
+                    collectionId: request.collectionId,
+                    parentDocumentId: request.parentDocumentId || null,
+                    limit: 100
+                });
+                documents = res.data || [];
+            }
+
+            sendResponse({
+                success: true,
+                documents: documents.map((doc) => ({
+                    id: doc.id,
+                    title: doc.title || "Untitled",
+                    parentDocumentId: doc.parentDocumentId || null
+                })),
+                timestamp: new Date().toISOString()
+            });
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
+
+    "getAuthInfo": async (request, sendResponse, outlineUrl, apiToken) => {
+        try {
+            const api = new OutlineAPI(outlineUrl, apiToken);
+            const account = readAccount(await api.getAuthInfo());
+            sendResponse({
+                success: true,
+                account,
+                timestamp: new Date().toISOString()
+            });
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
+
+    "listProfiles": async (request, sendResponse) => {
+        try {
+            const { profiles, defaultProfileId } = await getProfileSettings();
+            sendResponse({
+                success: true,
+                // Names only: tokens never leave the background
+                profiles: profiles.map((profile) => ({ id: profile.id, name: profile.name || profile.outlineUrl })),
+                defaultProfileId,
+                timestamp: new Date().toISOString()
+            });
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
+
+    "getSaveDestination": async (request, sendResponse) => {
+        try {
+            const destination = await getSaveDestination(googleIdFromSourceId(request.sourceId), request.profileId);
+            sendResponse({
+                success: true,
+                destination,
+                timestamp: new Date().toISOString()
+            });
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
+
+    "queueBulkExport": async (request, sendResponse) => {
+        try {
+            const files = Array.isArray(request.files)
+                ? request.files.filter((file) => file && typeof file.id === "string" && file.id.trim() !== "")
+                : [];
+            if (files.length === 0) {
+                throw new Error("Missing required field: files");
+            }
+
+            const job = await createBulkJob(files, request.profileId);
+            enqueueBulkJob(job.id);
+
+            sendResponse({
+                success: true,
+                jobId: job.id,
+                timestamp: new Date().toISOString()
             });
-            logger.info(`Import document response: ${JSON.stringify(res)}`);
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
+
+    "getBulkExportStatus": async (request, sendResponse) => {
+        try {
+            const job = await getBulkJob(request.jobId);
+            if (!job) {
+                throw new Error(`Unknown bulk export job: ${request.jobId}`);
+            }
+            sendResponse({
+                success: true,
+                job,
+                timestamp: new Date().toISOString()
+            });
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
 
-            const docId = res.data && res.data.id;
-            if (!docId) {
-                throw new Error("Failed to get document ID from import response");
+    "setSyncTracking": async (request, sendResponse) => {
+        try {
+            if (!request.sourceId) {
+                throw new Error("Missing required field: sourceId");
             }
 
-            const docUrl = `${outlineUrl}/doc/${docId}`;
-
-            // Update title if provided
-            if (docId && request.title) {
-                const docInfo = await api.getDocument(docId);
-                const currentText = (docInfo.data && docInfo.data.text) || "";
-                await api.updateDocument({
-                    id: docId,
-                    title: request.title,
-                    text: currentText,
-                    append: false,
-                    publish: true,
-                    done: true
+            if (request.enabled) {
+                if (!request.googleId || (request.type !== "doc" && request.type !== "sheet")) {
+                    throw new Error("Missing required fields: googleId and type");
+                }
+                await trackDocument(request.sourceId, {
+                    profileId: request.profileId,
+                    type: request.type,
+                    googleId: request.googleId,
+                    gid: request.gid || null,
+                    title: request.title || "",
+                    sourceUrl: request.sourceUrl || "",
+                    owner: request.owner || ""
                 });
+                logger.info(`Started tracking ${request.sourceId} for auto-sync.`);
+            } else {
+                await untrackDocument(request.sourceId);
+                logger.info(`Stopped tracking ${request.sourceId} for auto-sync.`);
             }
 
-            // Add header if provided
-            if (docId && request.headerMarkdown) {
-                const headerPosition = request.headerPosition || 'top';
-                await appendHeaderToDocument(
-                    outlineUrl,
-                    apiToken,
-                    docId,
-                    request.headerMarkdown,
-                    headerPosition
-                );
-            }
+            sendResponse({
+                success: true,
+                tracked: Boolean(request.enabled),
+                timestamp: new Date().toISOString()
+            });
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
 
-            clearControllerTimeout(controller);
+    "getSyncStatus": async (request, sendResponse) => {
+        try {
+            const entry = await getTrackedDocument(request.sourceId);
             sendResponse({
                 success: true,
-                url: docUrl,
-                documentId: docId,
+                tracked: Boolean(entry),
+                lastSyncedAt: entry ? entry.lastSyncedAt : null,
+                lastError: entry ? entry.lastError : null,
                 timestamp: new Date().toISOString()
             });
         } catch (err) {
-            clearControllerTimeout(controller);
             respondWithError(sendResponse, err);
         }
     },
 
     "appendHeader": async (request, sendResponse, outlineUrl, apiToken) => {
         const controller = createControllerWithTimeout();
+        const startedAt = Date.now();
+        const historyEntry = {
+            action: "appendHeader",
+            type: "header",
+            title: "",
+            outlineUrl: request.docId ? `${outlineUrl}/doc/${request.docId}` : "",
+            documentId: request.docId || "",
+            headerMarkdown: request.headerMarkdown || "",
+            headerPosition: request.headerPosition || 'top',
+            profileId: request.profileId,
+            startedAt: new Date(startedAt).toISOString()
+        };
         try {
             // Validate required fields
             if (!request.docId || !request.headerMarkdown) {
@@ -483,6 +2721,14 @@ const actions = {
                 headerPosition
             );
 
+            await addHistoryEntry({
+                ...historyEntry,
+                title: (res && res.data && res.data.title) || "",
+                status: "done",
+                error: "",
+                durationMs: Date.now() - startedAt
+            }).catch((historyErr) => logger.error(`Failed to record header update: ${historyErr.message}`));
+
             clearControllerTimeout(controller);
             sendResponse({
                 success: true,
@@ -491,11 +2737,718 @@ const actions = {
             });
         } catch (err) {
             clearControllerTimeout(controller);
+            await addHistoryEntry({
+                ...historyEntry,
+                status: "failed",
+                error: err.message || "Unknown error occurred",
+                durationMs: Date.now() - startedAt
+            }).catch((historyErr) => logger.error(`Failed to record header update: ${historyErr.message}`));
+            respondWithError(sendResponse, err);
+        }
+    },
+
+    "getHistory": async (request, sendResponse) => {
+        try {
+            sendResponse({
+                success: true,
+                entries: await getHistory(),
+                timestamp: new Date().toISOString()
+            });
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
+
+    "clearHistory": async (request, sendResponse) => {
+        try {
+            await clearHistory();
+            sendResponse({
+                success: true,
+                timestamp: new Date().toISOString()
+            });
+        } catch (err) {
+            respondWithError(sendResponse, err);
+        }
+    },
+
+    "retryHistoryEntry": async (request, sendResponse) => {
+        try {
+            const entry = await getHistoryEntry(request.entryId);
+            if (!entry) {
+                throw new Error(`Unknown history entry: ${request.entryId}`);
+            }
+            sendResponse(await dispatchActionAsync(await buildRetryRequest(entry)));
+        } catch (err) {
             respondWithError(sendResponse, err);
         }
     }
 };
 
+/**
+ * Rebuilds the request of a logged save so it can be retried from the history page.
+ * A failed job that still holds its content is resubmitted as it was; otherwise Docs and single
+ * sheets are exported again from Google. Header updates are replayed with the logged header.
+ * @param {Object} entry - History entry
+ * @returns {Promise<Object>} Request for dispatchAction
+ */
+async function buildRetryRequest(entry) {
+    if (entry.action === "appendHeader") {
+        return {
+            action: "appendHeader",
+            profileId: entry.profileId || "",
+            docId: entry.documentId,
+            headerMarkdown: entry.headerMarkdown,
+            headerPosition: entry.headerPosition
+        };
+    }
+
+    const job = entry.jobId ? await getSaveJob(entry.jobId) : null;
+    if (job && job.status === "failed") {
+        return { ...job.request, action: job.action };
+    }
+
+    const deferredExport = deferredExportFromSourceId(entry.sourceId);
+    if (!deferredExport) {
+        throw new Error("This save can't be retried from the history. Open the document and save it again.");
+    }
+    return {
+        action: entry.action,
+        profileId: entry.profileId || "",
+        title: entry.title,
+        sourceId: entry.sourceId,
+        sourceUrl: entry.sourceUrl,
+        deferredExport,
+        excerpt: entry.excerpt || undefined,
+        metadata: {
+            title: entry.title,
+            sourceUrl: entry.sourceUrl,
+            owner: "",
+            lastModified: "",
+            type: deferredExport.type
+        }
+    };
+}
+
+// Actions the dispatcher runs without loading the profile's config. Most don't call Outline: they keep
+// working while the tokens are locked, and saves become jobs that load their config when they run (and
+// wait while locked or offline). findExistingDocuments does call Outline, but loads the whole config
+// itself since it needs the profile's collection names too.
+const CONFIG_FREE_ACTIONS = new Set([
+    "saveGoogleDoc",
+    "importGoogleSheet",
+    "importGoogleWorkbook",
+    "saveGoogleSlides",
+    "findExistingDocuments",
+    "getSaveJobStatus",
+    "getSaveQueue",
+    "cancelSaveJob",
+    "flushSaveQueue",
+    "openSaveQueue",
+    "listProfiles",
+    "getSaveDestination",
+    "queueBulkExport",
+    "getBulkExportStatus",
+    "setSyncTracking",
+    "getSyncStatus",
+    "getHistory",
+    "clearHistory",
+    "retryHistoryEntry"
+]);
+
+/**
+ * Runs an action for the request's profile (default profile if none). Actions that call Outline get
+ * the profile's loaded config; the others only need its ID.
+ * @param {Object} request - The request object (must contain an action, may contain a profileId)
+ * @param {Function} sendResponse - Function to send the response to
+ */
+async function dispatchAction(request, sendResponse) {
+    if (!actions.hasOwnProperty(request.action)) {
+        sendResponse({ success: false, error: "Unknown action" });
+        return;
+    }
+
+    if (CONFIG_FREE_ACTIONS.has(request.action)) {
+        try {
+            // Handlers see the resolved profile, so a save keeps it even if the default profile changes.
+            // Without a matching profile the ID is passed on as is; saves then fail when their job runs.
+            const profile = await getProfile(request.profileId);
+            const profileId = profile ? profile.id : (request.profileId || "");
+            await actions[request.action]({ ...request, profileId }, sendResponse);
+        } catch (error) {
+            respondWithError(sendResponse, error);
+        }
+        return;
+    }
+
+    await withOutlineConfig(sendResponse, async (outlineUrl, apiToken, docsCollectionName, sheetsCollectionName, profileId) => {
+        try {
+            await actions[request.action]({ ...request, profileId }, sendResponse, outlineUrl, apiToken);
+        } catch (error) {
+            respondWithError(sendResponse, error);
+        }
+    }, request.profileId);
+}
+
+/**
+ * Promise-based wrapper around dispatchAction for callers inside the service worker.
+ * @param {Object} request - The request object
+ * @returns {Promise<Object>} The action response
+ */
+function dispatchActionAsync(request) {
+    return new Promise((resolve) => {
+        dispatchAction(request, resolve);
+    });
+}
+
+/* --- Google export helpers --- */
+
+/**
+ * Builds the Google export URL for a document.
+ * Uses the same formats as the content scripts (Markdown for Docs, TSV for Sheets) unless
+ * another format is given (e.g. "docx"/"pdf" for Docs, "xlsx"/"pdf" for Sheets).
+ * Sheets without a gid export their first tab (or the whole spreadsheet, for .xlsx and .pdf).
+ * @param {Object} entry - { type: "doc"|"sheet", googleId, gid, format }
+ * @returns {string} Export URL
+ */
+function buildExportUrl(entry) {
+    if (entry.type === "sheet") {
+        const gidParam = entry.gid ? `&gid=${entry.gid}` : "";
+        return `https://docs.google.com/spreadsheets/d/${entry.googleId}/export?format=${entry.format || "tsv"}&id=${entry.googleId}${gidParam}`;
+    }
+    return `https://docs.google.com/document/u/0/export?format=${entry.format || "md"}&id=${entry.googleId}`;
+}
+
+/**
+ * Describes how to export a Doc or single sheet again from its source ID.
+ * @param {string} sourceId - "doc:<id>" or "sheet:<id>:<gid>"
+ * @returns {Object|null} { type, googleId, gid } for fetchExport, or null for other sources
+ */
+function deferredExportFromSourceId(sourceId) {
+    const [type, googleId, gid] = (sourceId || "").split(":");
+    if (!googleId || (type !== "doc" && type !== "sheet")) {
+        return null;
+    }
+    return { type, googleId, gid: gid || null };
+}
+
+/**
+ * Reads the file name (without extension) from a Content-Disposition header.
+ * @param {string|null} disposition - Header value
+ * @returns {string} File name, or "" if there is none
+ */
+function parseExportFileName(disposition) {
+    if (!disposition) return "";
+    const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+    const plain = disposition.match(/filename="?([^";]+)"?/i);
+    let fileName = "";
+    try {
+        fileName = encoded ? decodeURIComponent(encoded[1]) : (plain ? plain[1] : "");
+    } catch (err) {
+        fileName = plain ? plain[1] : "";
+    }
+    return fileName.replace(/\.(md|tsv)$/i, "").trim();
+}
+
+/**
+ * Fetches the export of a Google document using the user's Google session.
+ * @param {Object} entry - { type: "doc"|"sheet", googleId, gid }
+ * @returns {Promise<Object>} { content, fileName } with the exported Markdown/TSV
+ */
+async function fetchExport(entry) {
+    const controller = createControllerWithTimeout();
+    try {
+        const response = await fetch(buildExportUrl(entry), {
+            credentials: "include",
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`Failed to export ${entry.type} ${entry.googleId} (Status: ${response.status})`);
+        }
+        const contentType = response.headers.get('content-type');
+        if (contentType && !contentType.includes('text/') && !contentType.includes('csv')) {
+            throw new Error(`Received unexpected file format for ${entry.type} ${entry.googleId}`);
+        }
+        const content = await response.text();
+        if (!content || content.trim() === '') {
+            throw new Error(`Received empty export for ${entry.type} ${entry.googleId}`);
+        }
+        return { content, fileName: parseExportFileName(response.headers.get('content-disposition')) };
+    } finally {
+        clearControllerTimeout(controller);
+    }
+}
+
+/* --- Scheduled auto-sync of tracked documents --- */
+
+/**
+ * Computes a SHA-256 hex digest used to detect unchanged exports.
+ * @param {string} text - Content to hash
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashContent(text) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+        .map((byte) => byte.toString(16).padStart(2, "0"))
+        .join("");
+}
+
+/**
+ * Re-exports every tracked document and pushes changed ones to their linked Outline page.
+ * Documents whose export hash matches the last sync are skipped.
+ */
+async function syncTrackedDocuments() {
+    if ((await getTokenStorage()).locked) {
+        logger.info("Auto-sync skipped: the API tokens are locked.");
+        return;
+    }
+    const tracked = await getTrackedDocuments();
+    const sourceIds = Object.keys(tracked);
+    logger.info(`Auto-sync started for ${sourceIds.length} tracked document(s).`);
+
+    for (const sourceId of sourceIds) {
+        const entry = tracked[sourceId];
+        try {
+            const { content } = await fetchExport(entry);
+            const hash = await hashContent(content);
+            if (hash === entry.lastHash) {
+                logger.info(`Skipping ${sourceId}: unchanged since ${entry.lastSyncedAt}.`);
+                continue;
+            }
+
+            const request = entry.type === "sheet"
+                ? { action: "importGoogleSheet", fileContent: content, title: entry.title }
+                : { action: "saveGoogleDoc", content, title: entry.title };
+            const response = await saveAndWait({
+                ...request,
+                profileId: entry.profileId || "",
+                sourceId,
+                sourceUrl: entry.sourceUrl,
+                metadata: {
+                    title: entry.title,
+                    sourceUrl: entry.sourceUrl,
+                    owner: entry.owner || "",
+                    lastModified: "",
+                    type: entry.type
+                }
+            });
+
+            if (!response || !response.success) {
+                throw new Error((response && response.error) || "Unknown error");
+            }
+
+            await updateTrackedDocument(sourceId, {
+                lastHash: hash,
+                lastSyncedAt: new Date().toISOString(),
+                lastError: null
+            });
+            logger.info(`Synced ${sourceId} to ${response.url}.`);
+        } catch (err) {
+            logger.error(`Auto-sync failed for ${sourceId}: ${err.message}`);
+            await updateTrackedDocument(sourceId, { lastError: err.message });
+        }
+    }
+}
+
+/**
+ * (Re)creates the auto-sync alarm using the configured interval.
+ */
+async function scheduleAutoSync() {
+    const { autoSyncInterval } = await getSyncStorage("autoSyncInterval");
+    const periodInMinutes = Number(autoSyncInterval) || DEFAULT_SYNC_INTERVAL;
+    await chrome.alarms.clear(AUTO_SYNC_ALARM);
+    chrome.alarms.create(AUTO_SYNC_ALARM, { delayInMinutes: periodInMinutes, periodInMinutes });
+    logger.info(`Auto-sync scheduled every ${periodInMinutes} minute(s).`);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === AUTO_SYNC_ALARM) {
+        syncTrackedDocuments().catch((err) => logger.error("Auto-sync error:", err));
+    } else if (alarm.name === FLUSH_QUEUE_ALARM) {
+        flushSaveQueue().catch((err) => logger.error("Save queue flush error:", err));
+    }
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+    scheduleAutoSync().catch((err) => logger.error("Failed to schedule auto-sync:", err));
+});
+
+chrome.runtime.onStartup.addListener(() => {
+    scheduleAutoSync().catch((err) => logger.error("Failed to schedule auto-sync:", err));
+});
+
+/* --- Bulk export of Google Drive files --- */
+
+/**
+ * Finds the gid of a spreadsheet's first tab in its HTML view, so a Drive export is linked under
+ * the same source ID as saves from the Sheets button.
+ * @param {string} spreadsheetId - Google spreadsheet ID
+ * @returns {Promise<string>} The gid, or "0" (the gid of a new spreadsheet's first tab) if it can't be read
+ */
+async function fetchFirstSheetGid(spreadsheetId) {
+    const controller = createControllerWithTimeout();
+    try {
+        const response = await fetch(`https://docs.google.com/spreadsheets/d/${spreadsheetId}/htmlview`, {
+            credentials: "include",
+            signal: controller.signal
+        });
+        if (response.ok) {
+            const match = (await response.text()).match(/id="sheet-button-(\d+)"/);
+            if (match) {
+                return match[1];
+            }
+        }
+        logger.info(`Could not read the tabs of spreadsheet ${spreadsheetId}; using gid 0.`);
+    } catch (err) {
+        logger.error(`Failed to read the tabs of spreadsheet ${spreadsheetId}: ${err.message}`);
+    } finally {
+        clearControllerTimeout(controller);
+    }
+    return "0";
+}
+
+/**
+ * Exports one Drive file and saves it through the regular save pipeline.
+ * Files of unknown type are tried as a Doc first, then as a Sheet. Sheets are saved from their first tab.
+ * @param {Object} file - { id, type, name }
+ * @param {string} profileId - Profile the bulk export was queued with
+ * @returns {Promise<Object>} { type, title, response }
+ */
+async function exportDriveFile(file, profileId) {
+    const types = file.type === "unknown" ? ["doc", "sheet"] : [file.type];
+    let exported = null;
+    let type = null;
+    let gid = null;
+    let lastError = null;
+
+    for (const candidate of types) {
+        try {
+            // An explicit gid keeps the exported tab and the source ID in step
+            const candidateGid = candidate === "sheet" ? await fetchFirstSheetGid(file.id) : null;
+            exported = await fetchExport({ type: candidate, googleId: file.id, gid: candidateGid });
+            type = candidate;
+            gid = candidateGid;
+            break;
+        } catch (err) {
+            lastError = err;
+        }
+    }
+    if (!exported) {
+        throw lastError || new Error(`Failed to export ${file.id}`);
+    }
+
+    const title = exported.fileName || file.name || `Untitled (${file.id})`;
+    const sourceUrl = type === "sheet"
+        ? `https://docs.google.com/spreadsheets/d/${file.id}/edit#gid=${gid}`
+        : `https://docs.google.com/document/d/${file.id}/edit`;
+    const request = type === "sheet"
+        ? { action: "importGoogleSheet", fileContent: exported.content, sourceId: `sheet:${file.id}:${gid}` }
+        : { action: "saveGoogleDoc", content: exported.content, sourceId: `doc:${file.id}` };
+
+    const response = await saveAndWait({
+        ...request,
+        profileId,
+        title,
+        sourceUrl,
+        metadata: { title, sourceUrl, owner: "", lastModified: "", type }
+    });
+    if (!response || !response.success) {
+        throw new Error((response && response.error) || "Unknown error");
+    }
+    return { type, title, response };
+}
+
+/**
+ * Runs a bulk export after the ones already queued in this worker, so their storage updates don't interleave.
+ * @param {string} jobId - Job ID
+ */
+function enqueueBulkJob(jobId) {
+    bulkExportChain = bulkExportChain
+        .then(() => processBulkJob(jobId))
+        .catch((err) => logger.error(`Bulk export ${jobId} error:`, err));
+}
+
+/**
+ * Restarts the bulk exports that were unfinished when the service worker was stopped. The file that
+ * was being saved is saved again; it updates its linked document if the earlier save got that far.
+ */
+async function resumeBulkJobs() {
+    const jobs = await getUnfinishedBulkJobs();
+    if (jobs.length === 0) {
+        return;
+    }
+    // Let the resumed save of the interrupted file finish (and link its document) before it is saved again
+    await Promise.allSettled([...activeSaveJobs.values()]);
+    for (const job of jobs) {
+        for (let index = 0; index < job.files.length; index++) {
+            if (job.files[index].status === "running") {
+                await updateBulkFile(job.id, index, { status: "pending" });
+            }
+        }
+        logger.info(`Resuming bulk export ${job.id}.`);
+        enqueueBulkJob(job.id);
+    }
+}
+
+/**
+ * Works through a queued bulk export one file at a time, recording per-file progress.
+ * @param {string} jobId - Job ID
+ */
+async function processBulkJob(jobId) {
+    const job = await getBulkJob(jobId);
+    if (!job) return;
+    logger.info(`Bulk export ${jobId} started for ${job.files.length} file(s).`);
+
+    for (let index = 0; index < job.files.length; index++) {
+        const file = job.files[index];
+        if (file.status !== "pending") continue;
+
+        await updateBulkFile(jobId, index, { status: "running" });
+        try {
+            const { type, title, response } = await exportDriveFile(file, job.profileId || "");
+            await updateBulkFile(jobId, index, { status: "done", type, name: title, url: response.url });
+        } catch (err) {
+            logger.error(`Bulk export of ${file.id} failed: ${err.message}`);
+            await updateBulkFile(jobId, index, { status: "failed", error: err.message });
+        }
+    }
+
+    await finishBulkJob(jobId);
+    logger.info(`Bulk export ${jobId} finished.`);
+}
+
+/* --- Context menus, keyboard shortcuts and notifications --- */
+
+const CONTEXT_MENU_PATTERNS = ["https://docs.google.com/document/*", "https://docs.google.com/spreadsheets/*"];
+// Session storage key prefix of the Outline URL a notification opens when clicked. Kept in storage, not
+// in memory, since notifications outlive the service worker
+const NOTIFICATION_URL_PREFIX = "notificationUrl:";
+
+/**
+ * Shows a desktop notification; clicking it opens `url` when given.
+ * @param {string} title - Notification title
+ * @param {string} message - Notification text
+ * @param {string} [url] - Outline document URL
+ * @returns {Promise<void>}
+ */
+async function notify(title, message, url = "") {
+    const notificationId = `outline-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    if (url) {
+        await setSessionStorage({ [`${NOTIFICATION_URL_PREFIX}${notificationId}`]: url }).catch((err) => {
+            logger.error(`Failed to remember the link of notification ${notificationId}: ${err.message}`);
+        });
+    }
+    chrome.notifications.create(notificationId, {
+        type: "basic",
+        iconUrl: "icons/icon128.png",
+        title,
+        message: message || ""
+    });
+}
+
+/**
+ * Identifies the Google Doc or Sheet open in a tab.
+ * @param {string} url - Tab URL
+ * @returns {Object|null} { type, googleId, gid } (as accepted by fetchExport), or null for other pages
+ */
+function sourceFromTabUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        return null;
+    }
+    if (parsed.hostname !== "docs.google.com") {
+        return null;
+    }
+
+    const docMatch = parsed.pathname.match(/\/document\/d\/([^\/]+)/);
+    if (docMatch) {
+        return { type: "doc", googleId: docMatch[1], gid: null };
+    }
+    const sheetMatch = parsed.pathname.match(/\/spreadsheets\/d\/([^\/]+)/);
+    if (sheetMatch) {
+        const hashGid = parsed.hash.match(/gid=(\d+)/);
+        const gid = parsed.searchParams.get("gid") || (hashGid ? hashGid[1] : "0");
+        return { type: "sheet", googleId: sheetMatch[1], gid };
+    }
+    return null;
+}
+
+/**
+ * Reads the page metadata and the current selection from a Docs/Sheets tab, and opens the
+ * destination picker there when asked. Uses the helpers the content scripts load into every
+ * Docs/Sheets page, even when the floating button is disabled.
+ * @param {number} tabId - Tab ID
+ * @param {Object} params - { type, sourceId, pickDestination }
+ * @returns {Promise<Object>} { metadata, selection, destination, cancelled, unavailable }
+ */
+async function readTabContext(tabId, { type, sourceId, pickDestination }) {
+    try {
+        const [injection] = await chrome.scripting.executeScript({
+            target: { tabId },
+            args: [type, sourceId, pickDestination],
+            func: async (sourceType, sourceKey, pick) => {
+                const context = {
+                    metadata: window.OutlineDocumentMetadata ? window.OutlineDocumentMetadata.collect(sourceType) : null,
+                    selection: window.OutlineDocSelection
+                        ? window.OutlineDocSelection.read()
+                        : String(window.getSelection() || ""),
+                    destination: null,
+                    cancelled: false,
+                    unavailable: false
+                };
+                if (pick) {
+                    if (!window.OutlineDestinationPicker) {
+                        context.unavailable = true;
+                    } else {
+                        context.destination = await window.OutlineDestinationPicker.open({ sourceId: sourceKey });
+                        context.cancelled = !context.destination;
+                    }
+                }
+                return context;
+            }
+        });
+        return (injection && injection.result) || {};
+    } catch (err) {
+        logger.error(`Failed to read tab ${tabId}: ${err.message}`);
+        return { unavailable: pickDestination };
+    }
+}
+
+/**
+ * Saves the Doc or Sheet open in a tab through the regular save pipeline and reports the
+ * outcome as a notification. The content is exported by the background, so this works
+ * when the floating button is disabled.
+ * @param {Object} tab - The tab (from the context menu or the keyboard shortcut)
+ * @param {string} mode - "save", "saveAs" (pick a destination first) or "selection"
+ * @param {string} [selectionText] - Selected text reported by the context menu
+ */
+async function saveFromTab(tab, mode, selectionText = "") {
+    const source = tab && sourceFromTabUrl(tab.url);
+    if (!source) {
+        notify("Nothing to save", "Open a Google Doc or Sheet to save it to Outline.");
+        return;
+    }
+    if (mode === "selection" && source.type !== "doc") {
+        notify("Nothing to save", "Saving a selection works in Google Docs only.");
+        return;
+    }
+
+    const sourceId = source.type === "doc" ? `doc:${source.googleId}` : `sheet:${source.googleId}:${source.gid}`;
+    const context = await readTabContext(tab.id, { type: source.type, sourceId, pickDestination: mode === "saveAs" });
+    if (context.unavailable) {
+        notify("Save to Outline failed", "Reload the page and try again.");
+        return;
+    }
+    if (context.cancelled) {
+        return;
+    }
+
+    const title = tab.title || "";
+    const metadata = context.metadata || { title, sourceUrl: tab.url, owner: "", lastModified: "", type: source.type };
+    const request = {
+        action: source.type === "doc" ? "saveGoogleDoc" : "importGoogleSheet",
+        title,
+        deferredExport: source,
+        destination: context.destination || null
+    };
+    if (mode === "selection") {
+        // The page selection keeps line breaks, which the context menu's selection text loses
+        const selection = (context.selection || selectionText || "").trim();
+        if (!selection) {
+            notify("Nothing to save", "Select some text in the document first.");
+            return;
+        }
+        request.excerpt = { selectionText: selection };
+    }
+
+    const response = await saveAndWait({ ...request, sourceId, sourceUrl: tab.url, metadata });
+    const label = request.excerpt ? `Excerpt of ${title}` : title;
+    if (response && response.success) {
+        notify(response.updated ? "Updated in Outline" : "Saved to Outline", `${label}\nClick to open it.`, response.url);
+    } else if (response && response.queued) {
+        notify("Queued for Outline", `${label} will be saved when the connection is back.`);
+    } else {
+        notify("Save to Outline failed", (response && response.error) || "Unknown error");
+    }
+}
+
+function createContextMenus() {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: "saveToOutline",
+            title: "Save to Outline",
+            contexts: ["page", "selection"],
+            documentUrlPatterns: CONTEXT_MENU_PATTERNS
+        });
+        chrome.contextMenus.create({
+            id: "saveToOutlineAs",
+            title: "Save to Outline as…",
+            contexts: ["page", "selection"],
+            documentUrlPatterns: CONTEXT_MENU_PATTERNS
+        });
+        chrome.contextMenus.create({
+            id: "saveSelectionToOutline",
+            title: "Save selection to Outline",
+            contexts: ["selection"],
+            documentUrlPatterns: ["https://docs.google.com/document/*"]
+        });
+    });
+}
+
+const CONTEXT_MENU_MODES = {
+    saveToOutline: "save",
+    saveToOutlineAs: "saveAs",
+    saveSelectionToOutline: "selection"
+};
+
+const COMMAND_MODES = {
+    "save-to-outline": "save",
+    "save-to-outline-as": "saveAs",
+    "save-selection-to-outline": "selection"
+};
+
+chrome.runtime.onInstalled.addListener(createContextMenus);
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    const mode = CONTEXT_MENU_MODES[info.menuItemId];
+    if (!mode) return;
+    saveFromTab(tab, mode, info.selectionText).catch((err) => {
+        logger.error("Context menu save error:", err);
+        notify("Save to Outline failed", err.message);
+    });
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+    const mode = COMMAND_MODES[command];
+    if (!mode) return;
+    saveFromTab(tab, mode).catch((err) => {
+        logger.error("Keyboard shortcut save error:", err);
+        notify("Save to Outline failed", err.message);
+    });
+});
+
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+    const key = `${NOTIFICATION_URL_PREFIX}${notificationId}`;
+    const { [key]: url } = await getSessionStorage(key);
+    if (url) {
+        chrome.tabs.create({ url });
+    }
+    chrome.notifications.clear(notificationId);
+});
+
+chrome.notifications.onClosed.addListener((notificationId) => {
+    removeStorage("session", `${NOTIFICATION_URL_PREFIX}${notificationId}`).catch((err) => {
+        logger.error(`Failed to forget the link of notification ${notificationId}: ${err.message}`);
+    });
+});
+
+// Pick up save jobs and bulk exports interrupted when the service worker was last stopped
+resumeSaveJobs()
+    .catch((err) => logger.error("Failed to resume save jobs:", err))
+    .then(() => resumeBulkJobs())
+    .catch((err) => logger.error("Failed to resume bulk exports:", err));
+
 /**
  * Message handler for extension communication
  */
@@ -506,25 +3459,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
 
-    withOutlineConfig(sendResponse, async (outlineUrl, apiToken, googleDocsCollectionName, googleSheetsCollectionName) => {
-        if (actions.hasOwnProperty(request.action)) {
-            try {
-                // Pass the extra parameters based on the action
-                if (request.action === "saveGoogleDoc") {
-                    await actions[request.action](request, sendResponse, outlineUrl, apiToken, googleDocsCollectionName);
-                } else if (request.action === "importGoogleSheet") {
-                    await actions[request.action](request, sendResponse, outlineUrl, apiToken, googleDocsCollectionName, googleSheetsCollectionName);
-                } else {
-                    await actions[request.action](request, sendResponse, outlineUrl, apiToken);
-                }
-            } catch (error) {
-                respondWithError(sendResponse, error);
-            }
-        } else {
-            sendResponse({ success: false, error: "Unknown action" });
-        }
-    });
+    dispatchAction(request, sendResponse);
 
     // Return true to indicate we'll send the response asynchronously
     return true;
-});
\ No newline at end of file
+});
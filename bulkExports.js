@@ -0,0 +1,91 @@
+// bulkExports.js
+import { getLocalStorage, setLocalStorage } from './storage.js';
+
+const STORAGE_KEY = "bulkExportJobs";
+const MAX_JOBS = 10; // Older finished jobs are dropped
+
+async function readJobs() {
+    const stored = await getLocalStorage(STORAGE_KEY);
+    return stored[STORAGE_KEY] || {};
+}
+
+/**
+ * Queues a bulk export of Google Drive files.
+ * @param {Array<{id: string, type: string, name: string}>} files - Drive files ("doc", "sheet" or "unknown")
+ * @param {string} [profileId] - Outline profile the files are saved to
+ * @returns {Promise<Object>} The created job
+ */
+export async function createBulkJob(files, profileId = "") {
+    const jobs = await readJobs();
+    const job = {
+        id: `bulk-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        profileId,
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        files: files.map((file) => ({
+            id: file.id,
+            type: file.type || "unknown",
+            name: file.name || "",
+            status: "pending",
+            url: null,
+            error: null
+        }))
+    };
+    jobs[job.id] = job;
+
+    const ids = Object.keys(jobs).sort((a, b) => jobs[a].createdAt.localeCompare(jobs[b].createdAt));
+    while (ids.length > MAX_JOBS) {
+        delete jobs[ids.shift()];
+    }
+
+    await setLocalStorage({ [STORAGE_KEY]: jobs });
+    return job;
+}
+
+/**
+ * Returns a bulk export job by ID.
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getBulkJob(jobId) {
+    const jobs = await readJobs();
+    return jobs[jobId] || null;
+}
+
+/**
+ * Merges fields into one file of a bulk export job (status, url, error, name, type).
+ * @param {string} jobId - Job ID
+ * @param {number} index - File index within the job
+ * @param {Object} patch - Fields to update
+ * @returns {Promise<void>}
+ */
+export async function updateBulkFile(jobId, index, patch) {
+    const jobs = await readJobs();
+    const job = jobs[jobId];
+    if (!job || !job.files[index]) return;
+    job.files[index] = { ...job.files[index], ...patch };
+    await setLocalStorage({ [STORAGE_KEY]: jobs });
+}
+
+/**
+ * Marks a bulk export job as finished.
+ * @param {string} jobId - Job ID
+ * @returns {Promise<void>}
+ */
+export async function finishBulkJob(jobId) {
+    const jobs = await readJobs();
+    if (!jobs[jobId]) return;
+    jobs[jobId].finishedAt = new Date().toISOString();
+    await setLocalStorage({ [STORAGE_KEY]: jobs });
+}
+
+/**
+ * Returns the bulk export jobs that haven't finished, oldest first.
+ * @returns {Promise<Object[]>}
+ */
+export async function getUnfinishedBulkJobs() {
+    const jobs = await readJobs();
+    return Object.values(jobs)
+        .filter((job) => !job.finishedAt)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
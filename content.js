@@ -68,6 +68,81 @@
         iconElement.style.objectFit = "contain";
         iconButton.appendChild(iconElement);
 
+        // Identify the document for "keep in sync" tracking.
+        const docMatch = window.location.pathname.match(/\/document\/d\/([^\/]+)/);
+        const syncInfo = docMatch ? {
+            sourceId: `doc:${docMatch[1]}`,
+            type: "doc",
+            googleId: docMatch[1]
+        } : null;
+
+        // Create the "keep in sync" toggle
+        const syncToggle = document.createElement("div");
+        syncToggle.textContent = "\u27F3";
+        Object.assign(syncToggle.style, {
+            width: "24px",
+            height: "24px",
+            borderRadius: "50%",
+            backgroundColor: "#8e8e93",
+            color: "#fff",
+            cursor: "pointer",
+            display: syncInfo ? "flex" : "none",
+            alignItems: "center",
+            justifyContent: "center",
+            marginRight: "8px",
+            boxShadow: "0 2px 10px rgba(0,0,0,0.2)",
+            fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+            fontSize: "14px",
+            transition: "background-color 0.3s ease"
+        });
+
+        function setSyncToggleState(tracked) {
+            syncToggle.dataset.tracked = tracked ? "true" : "false";
+            syncToggle.style.backgroundColor = tracked ? "green" : "#8e8e93";
+            syncToggle.title = tracked ? "Keep in sync: on" : "Keep in sync: off";
+        }
+        setSyncToggleState(false);
+
+        // Create the "Save to Outline as…" button that opens the destination picker
+        const pickerButton = document.createElement("div");
+        pickerButton.textContent = "\u22EF";
+        pickerButton.title = "Save to Outline as…";
+        Object.assign(pickerButton.style, {
+            width: "24px",
+            height: "24px",
+            borderRadius: "50%",
+            backgroundColor: "#005bb5",
+            color: "#fff",
+            cursor: "pointer",
+            display: syncInfo && window.OutlineDestinationPicker ? "flex" : "none",
+            alignItems: "center",
+            justifyContent: "center",
+            marginRight: "8px",
+            boxShadow: "0 2px 10px rgba(0,0,0,0.2)",
+            fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+            fontSize: "14px"
+        });
+
+        // Create the "Save selection" button that saves only the selected part of the document
+        const excerptButton = document.createElement("div");
+        excerptButton.textContent = "\u2702";
+        excerptButton.title = "Save selection to Outline";
+        Object.assign(excerptButton.style, {
+            width: "24px",
+            height: "24px",
+            borderRadius: "50%",
+            backgroundColor: "#005bb5",
+            color: "#fff",
+            cursor: "pointer",
+            display: syncInfo && window.OutlineDocSelection ? "flex" : "none",
+            alignItems: "center",
+            justifyContent: "center",
+            marginRight: "8px",
+            boxShadow: "0 2px 10px rgba(0,0,0,0.2)",
+            fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+            fontSize: "14px"
+        });
+
         // Create text label that appears on hover
         const textLabel = document.createElement("div");
         textLabel.textContent = "Save to Outline";
@@ -87,10 +162,34 @@
         });
 
         // Add elements to the container
+        buttonContainer.appendChild(excerptButton);
+        buttonContainer.appendChild(pickerButton);
+        buttonContainer.appendChild(syncToggle);
         buttonContainer.appendChild(textLabel);
         buttonContainer.appendChild(iconButton);
         document.body.appendChild(buttonContainer);
 
+        // "queued (n)" indicator for saves waiting for a connection
+        if (window.OutlineSaveJobs) {
+            window.OutlineSaveJobs.attachQueueIndicator(buttonContainer);
+        }
+
+        // Outline profile menu, shown when more than one workspace is configured
+        const currentProfileId = () => (window.OutlineProfiles ? window.OutlineProfiles.getSelectedProfileId() : "");
+        if (window.OutlineProfiles) {
+            window.OutlineProfiles.attachSwitcher(buttonContainer, {
+                before: textLabel,
+                // A save to another workspace starts over instead of opening the last saved document
+                onChange: () => {
+                    iconButton.dataset.saved = "false";
+                    iconButton.dataset.url = "";
+                    iconButton.style.backgroundColor = "#0071e3";
+                    textLabel.style.backgroundColor = "#0071e3";
+                    textLabel.textContent = "Save to Outline";
+                }
+            });
+        }
+
         // Show/hide text on hover
         buttonContainer.addEventListener("mouseenter", () => {
             textLabel.style.opacity = "1";
@@ -105,7 +204,54 @@
         let isProcessing = false;
         let timeoutId = null;
 
-        async function handleClick() {
+        /**
+         * Exports the document as Markdown using the user's Google session.
+         * @param {string} exportUrl - Markdown export URL
+         * @returns {Promise<string>} The exported Markdown
+         */
+        async function fetchDocumentMarkdown(exportUrl) {
+            // Use AbortController for fetch timeout
+            const controller = new AbortController();
+            const fetchTimeout = setTimeout(() => controller.abort(), 30000); // 30-second fetch timeout
+
+            const fetchResponse = await fetch(exportUrl, {
+                signal: controller.signal
+            }).finally(() => {
+                clearTimeout(fetchTimeout);
+            });
+
+            if (!fetchResponse.ok) {
+                const statusCode = fetchResponse.status;
+                if (statusCode === 401 || statusCode === 403) {
+                    throw new Error("Authentication error. Please make sure you're signed in.");
+                } else if (statusCode === 404) {
+                    throw new Error("Document not found.");
+                } else if (statusCode >= 500) {
+                    throw new Error("Google Docs server error. Please try again later.");
+                } else {
+                    throw new Error(`Failed to fetch document (Status: ${statusCode})`);
+                }
+            }
+
+            const contentType = fetchResponse.headers.get('content-type');
+            if (contentType && !contentType.includes('text/')) {
+                throw new Error("Received unexpected file format");
+            }
+
+            const markdown = await fetchResponse.text();
+            if (!markdown || markdown.trim() === '') {
+                throw new Error("Received empty document data");
+            }
+
+            return markdown;
+        }
+
+        /**
+         * Exports the document and saves it, or only the selected part of it.
+         * @param {Object|null} [destination] - Picked collection/parent
+         * @param {string} [selectionText] - Selected text; the background cuts the matching part from the export
+         */
+        async function handleClick(destination = null, selectionText = "") {
             if (isProcessing) return;
             isProcessing = true;
 
@@ -140,85 +286,79 @@
             const exportUrl = `https://docs.google.com/document/u/0/export?format=md&id=${docId}`;
 
             try {
-                // Check network connectivity first
-                if (!navigator.onLine) {
-                    throw new Error("No internet connection");
-                }
+                // Offline: queue the save; the extension exports the document once the browser is back online.
+                const markdown = navigator.onLine ? await fetchDocumentMarkdown(exportUrl) : null;
 
-                // Use AbortController for fetch timeout
-                const controller = new AbortController();
-                const fetchTimeout = setTimeout(() => controller.abort(), 30000); // 30-second fetch timeout
-
-                const fetchResponse = await fetch(exportUrl, {
-                    signal: controller.signal
-                }).finally(() => {
-                    clearTimeout(fetchTimeout);
-                });
-
-                if (!fetchResponse.ok) {
-                    const statusCode = fetchResponse.status;
-                    if (statusCode === 401 || statusCode === 403) {
-                        throw new Error("Authentication error. Please make sure you're signed in.");
-                    } else if (statusCode === 404) {
-                        throw new Error("Document not found.");
-                    } else if (statusCode >= 500) {
-                        throw new Error("Google Docs server error. Please try again later.");
-                    } else {
-                        throw new Error(`Failed to fetch document (Status: ${statusCode})`);
-                    }
-                }
+                // Collect metadata for the header template (rendered by the background script).
+                const metadata = window.OutlineDocumentMetadata
+                    ? window.OutlineDocumentMetadata.collect("doc")
+                    : { title: document.title, sourceUrl: window.location.href, type: "doc" };
+
+                // The save runs as a background job; only the export above is bound by the global timeout.
+                if (timeoutId) clearTimeout(timeoutId);
 
-                const contentType = fetchResponse.headers.get('content-type');
-                if (contentType && !contentType.includes('text/')) {
-                    throw new Error("Received unexpected file format");
+                // Send the title, document content and metadata for the header.
+                const message = {
+                    action: "saveGoogleDoc",
+                    title: document.title,
+                    ...(markdown ? { content: markdown } : { deferredExport: { type: "doc", googleId: docId } }),
+                    sourceId: `doc:${docId}`,
+                    sourceUrl: window.location.href,
+                    profileId: currentProfileId(), // Outline workspace picked in the profile menu.
+                    destination,         // Picked collection/parent, if any.
+                    metadata,            // Rendered into the header template.
+                    ...(selectionText ? { excerpt: { selectionText } } : {})
+                };
+
+                // Optional dialog to check the export and adjust the title, collection, draft state and header
+                if (markdown && !selectionText && window.OutlineSaveDialog && await window.OutlineSaveDialog.isEnabled()) {
+                    const choice = await window.OutlineSaveDialog.open({
+                        title: message.title,
+                        markdown,
+                        profileId: message.profileId,
+                        destination
+                    });
+                    if (!choice) {
+                        resetButton();
+                        return;
+                    }
+                    Object.assign(message, choice);
                 }
 
-                const markdown = await fetchResponse.text();
-                if (!markdown || markdown.trim() === '') {
-                    throw new Error("Received empty document data");
+                // Before the first save from this browser, look for copies already in Outline
+                if (markdown && !selectionText && window.OutlineDuplicateCheck) {
+                    textLabel.textContent = "Checking Outline...";
+                    if (!(await window.OutlineDuplicateCheck.confirm(message))) {
+                        resetButton();
+                        return;
+                    }
                 }
 
-                // Create dynamic header markdown using document and time data.
-                const now = new Date();
-                const headerMarkdown = `| Field | Value |
-| ---- | ---- |
-| Title | ${document.title} |
-| Source | ${window.location.href} |
-| Author | (Not specified) |
-| Published | (Not specified) |
-| Created | ${now.toISOString().split('T')[0]} |
-| Clipped Date | ${now.toISOString()} |`;
-
-                // Wrap chrome.runtime.sendMessage in a promise.
-                const sendMessagePromise = (msg) =>
-                    new Promise((resolve, reject) => {
-                        const messageTimeout = setTimeout(() => {
-                            reject(new Error("Message timeout"));
-                        }, 30000); // 30-second message timeout
-
-                        chrome.runtime.sendMessage(msg, (response) => {
-                            clearTimeout(messageTimeout);
-                            if (chrome.runtime.lastError) {
-                                return reject(chrome.runtime.lastError);
-                            }
-                            resolve(response);
-                        });
+                // A re-save overwrites the linked Outline document: show what changes first
+                if (markdown && !selectionText && window.OutlineOverwritePreview) {
+                    textLabel.textContent = "Comparing...";
+                    message.overwriteMode = await window.OutlineOverwritePreview.confirm({
+                        sourceId: message.sourceId,
+                        profileId: message.profileId,
+                        content: markdown
                     });
+                    if (!message.overwriteMode) {
+                        resetButton();
+                        return;
+                    }
+                }
 
                 try {
-                    // Send the title, document content, header markdown, and header position ("top").
-                    const response = await sendMessagePromise({
-                        action: "saveGoogleDoc",
-                        title: document.title,
-                        content: markdown,
-                        headerMarkdown,      // Dynamic header.
-                        headerPosition: "top" // Prepend header at the top.
+                    const response = await window.OutlineSaveJobs.save(message, (progress) => {
+                        textLabel.textContent = progress;
                     });
 
                     if (response && response.success) {
                         iconButton.style.backgroundColor = "green";
                         textLabel.style.backgroundColor = "green";
-                        textLabel.textContent = "Saved! Click to view";
+                        textLabel.textContent = selectionText
+                            ? "Excerpt saved! Click to view"
+                            : response.updated ? "Updated! Click to view" : "Saved! Click to view";
                         textLabel.style.opacity = "1";
                         iconButton.dataset.saved = "true";
                         iconButton.dataset.url = response.url || "";
@@ -232,6 +372,8 @@
                                 textLabel.style.transform = "translateX(10px)";
                             }
                         }, 2000);
+                    } else if (response && response.queued) {
+                        displayQueued();
                     } else {
                         const errorMessage = response && response.error ? response.error : "Unknown error";
                         throw new Error(errorMessage);
@@ -302,6 +444,100 @@
             }, 3000);
         }
 
+        // Back to the idle button, e.g. after a dialog before the save was cancelled.
+        function resetButton() {
+            iconButton.style.backgroundColor = "#0071e3";
+            textLabel.style.backgroundColor = "#0071e3";
+            textLabel.textContent = "Save to Outline";
+            iconButton.style.pointerEvents = "auto";
+            iconButton.style.transform = "scale(1)";
+
+            if (!buttonContainer.matches(':hover')) {
+                textLabel.style.opacity = "0";
+                textLabel.style.transform = "translateX(10px)";
+            }
+        }
+
+        // Saved for later: the extension sends it when the connection is back.
+        function displayQueued() {
+            iconButton.style.backgroundColor = "#ff9500";
+            textLabel.style.backgroundColor = "#ff9500";
+            textLabel.textContent = "Queued: will save when online";
+            textLabel.style.opacity = "1";
+
+            setTimeout(() => {
+                iconButton.style.backgroundColor = "#0071e3";
+                textLabel.style.backgroundColor = "#0071e3";
+                textLabel.textContent = "Save to Outline";
+                iconButton.style.pointerEvents = "auto";
+                iconButton.style.transform = "scale(1)";
+
+                if (!buttonContainer.matches(':hover')) {
+                    textLabel.style.opacity = "0";
+                    textLabel.style.transform = "translateX(10px)";
+                }
+            }, 3000);
+        }
+
+        // Load the current tracking state.
+        if (syncInfo) {
+            chrome.runtime.sendMessage({ action: "getSyncStatus", sourceId: syncInfo.sourceId }, (response) => {
+                if (chrome.runtime.lastError) {
+                    return;
+                }
+                setSyncToggleState(Boolean(response && response.success && response.tracked));
+            });
+        }
+
+        // Pick a destination, then save there.
+        pickerButton.addEventListener("click", async (event) => {
+            event.stopPropagation();
+            if (isProcessing) return;
+            const destination = await window.OutlineDestinationPicker.open({
+                sourceId: syncInfo.sourceId,
+                profileId: currentProfileId()
+            });
+            if (destination) {
+                handleClick(destination);
+            }
+        });
+
+        // Keep the editor's selection when the button is pressed.
+        excerptButton.addEventListener("mousedown", (event) => event.preventDefault());
+
+        // Save only the selected text.
+        excerptButton.addEventListener("click", (event) => {
+            event.stopPropagation();
+            if (isProcessing) return;
+            const selectionText = window.OutlineDocSelection.read().trim();
+            if (!selectionText) {
+                displayError("Select text first");
+                return;
+            }
+            handleClick(null, selectionText);
+        });
+
+        // Toggle "keep in sync" without triggering a save.
+        syncToggle.addEventListener("click", (event) => {
+            event.stopPropagation();
+            const enabled = syncToggle.dataset.tracked !== "true";
+            chrome.runtime.sendMessage({
+                action: "setSyncTracking",
+                enabled,
+                profileId: currentProfileId(),
+                ...syncInfo,
+                title: document.title,
+                sourceUrl: window.location.href,
+                owner: window.OutlineDocumentMetadata ? window.OutlineDocumentMetadata.collect("doc").owner : ""
+            }, (response) => {
+                if (chrome.runtime.lastError || !response || !response.success) {
+                    console.error("Failed to update sync tracking:", chrome.runtime.lastError || (response && response.error));
+                    return;
+                }
+                setSyncToggleState(response.tracked);
+            });
+        });
+
         // Click handler
         buttonContainer.addEventListener("click", () => {
             if (iconButton.dataset.saved === "true") {
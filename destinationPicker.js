@@ -0,0 +1,336 @@
+// destinationPicker.js
+// Shared by content.js, spreadsheet.js and slides.js: lets the user pick the collection and parent document to save into.
+(function() {
+    if (window.OutlineDestinationPicker) {
+        return;
+    }
+
+    const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+
+    // Wrap chrome.runtime.sendMessage in a promise that rejects on failed responses.
+    const sendMessagePromise = (msg) =>
+        new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage(msg, (response) => {
+                if (chrome.runtime.lastError) {
+                    return reject(chrome.runtime.lastError);
+                }
+                if (!response || !response.success) {
+                    return reject(new Error((response && response.error) || "Unknown error"));
+                }
+                resolve(response);
+            });
+        });
+
+    function createButton(text, primary) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = text;
+        Object.assign(button.style, {
+            padding: "8px 14px",
+            fontSize: "14px",
+            fontFamily: FONT_FAMILY,
+            border: "none",
+            borderRadius: "6px",
+            cursor: "pointer",
+            color: primary ? "#fff" : "#333",
+            backgroundColor: primary ? "#0071e3" : "#e5e5ea"
+        });
+        return button;
+    }
+
+    function createLabel(text) {
+        const label = document.createElement("div");
+        label.textContent = text;
+        Object.assign(label.style, {
+            fontSize: "13px",
+            color: "#666",
+            margin: "12px 0 6px"
+        });
+        return label;
+    }
+
+    /**
+     * Opens the destination picker.
+     * @param {Object} options
+     *   - sourceId {string}: Google source identifier, used to preselect the remembered destination.
+     *   - profileId {string} (optional): Outline profile to browse; the default profile if empty.
+     *   - heading {string} (optional): Dialog heading.
+     * @returns {Promise<Object|null>} { collectionId, collectionName, parentDocumentId, parentTitle },
+     *   or null if the user cancelled.
+     */
+    function open({ sourceId, profileId = "", heading = "Save to Outline as…" }) {
+        return new Promise((resolve) => {
+            let collections = [];
+            let parent = null; // { id, title } of the picked parent document
+            const browseStack = []; // documents drilled into, innermost last
+            let searchTimeout = null;
+
+            const overlay = document.createElement("div");
+            Object.assign(overlay.style, {
+                position: "fixed",
+                inset: "0",
+                backgroundColor: "rgba(0,0,0,0.35)",
+                zIndex: 10001,
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "center",
+                fontFamily: FONT_FAMILY
+            });
+
+            const dialog = document.createElement("div");
+            Object.assign(dialog.style, {
+                backgroundColor: "#fff",
+                borderRadius: "12px",
+                boxShadow: "0 4px 24px rgba(0,0,0,0.25)",
+                padding: "24px",
+                width: "420px",
+                maxWidth: "90vw",
+                color: "#333"
+            });
+
+            const title = document.createElement("div");
+            title.textContent = heading;
+            Object.assign(title.style, { fontSize: "18px", fontWeight: "600" });
+
+            const collectionSelect = document.createElement("select");
+            Object.assign(collectionSelect.style, {
+                width: "100%",
+                padding: "8px",
+                fontSize: "14px",
+                border: "1px solid #ddd",
+                borderRadius: "6px"
+            });
+
+            const parentRow = document.createElement("div");
+            Object.assign(parentRow.style, { display: "flex", alignItems: "center", gap: "8px", fontSize: "14px" });
+            const parentName = document.createElement("span");
+            parentName.style.flex = "1";
+            const clearParentButton = createButton("Clear", false);
+            clearParentButton.style.padding = "4px 10px";
+            parentRow.appendChild(parentName);
+            parentRow.appendChild(clearParentButton);
+
+            const searchInput = document.createElement("input");
+            searchInput.type = "text";
+            searchInput.placeholder = "Search documents in this collection…";
+            Object.assign(searchInput.style, {
+                width: "100%",
+                boxSizing: "border-box",
+                padding: "8px",
+                fontSize: "14px",
+                border: "1px solid #ddd",
+                borderRadius: "6px",
+                marginBottom: "6px"
+            });
+
+            const documentList = document.createElement("div");
+            Object.assign(documentList.style, {
+                height: "200px",
+                overflowY: "auto",
+                border: "1px solid #eee",
+                borderRadius: "6px",
+                fontSize: "14px"
+            });
+
+            const status = document.createElement("div");
+            Object.assign(status.style, { fontSize: "12px", color: "#666", minHeight: "16px", marginTop: "6px" });
+
+            const buttons = document.createElement("div");
+            Object.assign(buttons.style, { display: "flex", justifyContent: "flex-end", gap: "8px", marginTop: "16px" });
+            const cancelButton = createButton("Cancel", false);
+            const saveButton = createButton("Save", true);
+            buttons.appendChild(cancelButton);
+            buttons.appendChild(saveButton);
+
+            dialog.appendChild(title);
+            dialog.appendChild(createLabel("Collection"));
+            dialog.appendChild(collectionSelect);
+            dialog.appendChild(createLabel("Parent document"));
+            dialog.appendChild(parentRow);
+            dialog.appendChild(createLabel("Browse or search for a parent"));
+            dialog.appendChild(searchInput);
+            dialog.appendChild(documentList);
+            dialog.appendChild(status);
+            dialog.appendChild(buttons);
+            overlay.appendChild(dialog);
+            document.body.appendChild(overlay);
+
+            function close(result) {
+                if (searchTimeout) clearTimeout(searchTimeout);
+                document.removeEventListener("keydown", onKeyDown, true);
+                overlay.remove();
+                resolve(result);
+            }
+
+            function onKeyDown(event) {
+                if (event.key === "Escape") {
+                    event.stopPropagation();
+                    close(null);
+                }
+            }
+
+            function renderParent() {
+                parentName.textContent = parent ? parent.title : "None (collection root)";
+                clearParentButton.style.display = parent ? "inline-block" : "none";
+            }
+
+            function renderDocuments(documents) {
+                documentList.replaceChildren();
+
+                if (browseStack.length > 0 && !searchInput.value.trim()) {
+                    const upRow = document.createElement("div");
+                    const current = browseStack[browseStack.length - 1];
+                    upRow.textContent = `← Back (inside "${current.title}")`;
+                    Object.assign(upRow.style, { padding: "6px 10px", cursor: "pointer", color: "#0071e3" });
+                    upRow.addEventListener("click", () => {
+                        browseStack.pop();
+                        loadDocuments();
+                    });
+                    documentList.appendChild(upRow);
+                }
+
+                if (documents.length === 0) {
+                    const empty = document.createElement("div");
+                    empty.textContent = "No documents found.";
+                    Object.assign(empty.style, { padding: "6px 10px", color: "#999" });
+                    documentList.appendChild(empty);
+                    return;
+                }
+
+                documents.forEach((doc) => {
+                    const row = document.createElement("div");
+                    Object.assign(row.style, {
+                        display: "flex",
+                        alignItems: "center",
+                        padding: "6px 10px",
+                        cursor: "pointer",
+                        backgroundColor: parent && parent.id === doc.id ? "#e8f1fc" : "transparent"
+                    });
+
+                    const docTitle = document.createElement("span");
+                    docTitle.textContent = doc.title;
+                    docTitle.style.flex = "1";
+                    row.title = "Use as parent document";
+                    row.addEventListener("click", () => {
+                        parent = { id: doc.id, title: doc.title };
+                        renderParent();
+                        renderDocuments(documents);
+                    });
+
+                    const browseButton = document.createElement("span");
+                    browseButton.textContent = "›";
+                    browseButton.title = "Browse child documents";
+                    Object.assign(browseButton.style, { padding: "0 6px", fontSize: "18px", color: "#999" });
+                    browseButton.addEventListener("click", (event) => {
+                        event.stopPropagation();
+                        browseStack.push({ id: doc.id, title: doc.title });
+                        searchInput.value = "";
+                        loadDocuments();
+                    });
+
+                    row.appendChild(docTitle);
+                    row.appendChild(browseButton);
+                    documentList.appendChild(row);
+                });
+            }
+
+            async function loadDocuments() {
+                const collectionId = collectionSelect.value;
+                if (!collectionId) {
+                    renderDocuments([]);
+                    return;
+                }
+
+                status.textContent = "Loading documents…";
+                const current = browseStack[browseStack.length - 1];
+                try {
+                    const response = await sendMessagePromise({
+                        action: "browseDocuments",
+                        profileId,
+                        collectionId,
+                        parentDocumentId: current ? current.id : null,
+                        query: searchInput.value
+                    });
+                    // Ignore responses for a collection that is no longer selected.
+                    if (collectionSelect.value !== collectionId) return;
+                    renderDocuments(response.documents || []);
+                    status.textContent = "";
+                } catch (err) {
+                    status.textContent = `Failed to load documents: ${err.message}`;
+                }
+            }
+
+            collectionSelect.addEventListener("change", () => {
+                parent = null;
+                browseStack.length = 0;
+                searchInput.value = "";
+                renderParent();
+                loadDocuments();
+            });
+
+            clearParentButton.addEventListener("click", () => {
+                parent = null;
+                renderParent();
+                loadDocuments();
+            });
+
+            searchInput.addEventListener("input", () => {
+                if (searchTimeout) clearTimeout(searchTimeout);
+                searchTimeout = setTimeout(loadDocuments, 300);
+            });
+
+            cancelButton.addEventListener("click", () => close(null));
+            overlay.addEventListener("click", (event) => {
+                if (event.target === overlay) close(null);
+            });
+            document.addEventListener("keydown", onKeyDown, true);
+
+            saveButton.addEventListener("click", () => {
+                const collectionId = collectionSelect.value;
+                if (!collectionId) {
+                    status.textContent = "Please choose a collection.";
+                    return;
+                }
+                const collection = collections.find((item) => item.id === collectionId);
+                close({
+                    collectionId,
+                    collectionName: collection ? collection.name : "",
+                    parentDocumentId: parent ? parent.id : "",
+                    parentTitle: parent ? parent.title : ""
+                });
+            });
+
+            // Load collections and the remembered destination for this Google document.
+            renderParent();
+            status.textContent = "Loading collections…";
+            Promise.all([
+                sendMessagePromise({ action: "listCollections", profileId }),
+                sendMessagePromise({ action: "getSaveDestination", sourceId, profileId }).catch(() => ({ destination: null }))
+            ]).then(([collectionsResponse, destinationResponse]) => {
+                collections = collectionsResponse.collections || [];
+                collections.forEach((collection) => {
+                    const option = document.createElement("option");
+                    option.value = collection.id;
+                    option.textContent = collection.name;
+                    collectionSelect.appendChild(option);
+                });
+
+                const remembered = destinationResponse.destination;
+                if (remembered && collections.some((item) => item.id === remembered.collectionId)) {
+                    collectionSelect.value = remembered.collectionId;
+                    if (remembered.parentDocumentId) {
+                        parent = { id: remembered.parentDocumentId, title: remembered.parentTitle || "Untitled" };
+                    }
+                }
+
+                renderParent();
+                status.textContent = collections.length === 0 ? "No collections available." : "";
+                loadDocuments();
+            }).catch((err) => {
+                status.textContent = `Failed to load collections: ${err.message}`;
+            });
+        });
+    }
+
+    window.OutlineDestinationPicker = { open };
+})();
@@ -0,0 +1,30 @@
+// docSelection.js
+// Shared by content.js and the extension's context menu/shortcuts: reads the text selected in the Docs editor.
+(function() {
+    if (window.OutlineDocSelection) {
+        return;
+    }
+
+    /**
+     * Returns the selected text, one line per paragraph.
+     * Docs draws the document on a canvas and mirrors the selection into the hidden text event
+     * iframe (used for copy and paste); the page selection covers the HTML editor and screen reader mode.
+     * @returns {string} The selected text, or "" when nothing is selected
+     */
+    function read() {
+        const iframe = document.querySelector(".docs-texteventtarget-iframe");
+        try {
+            const frameDocument = iframe && iframe.contentDocument;
+            const editable = frameDocument && frameDocument.querySelector("[contenteditable='true']");
+            const text = editable ? editable.innerText : "";
+            if (text && text.trim()) {
+                return text;
+            }
+        } catch (err) {
+            // The frame isn't readable (e.g. still loading): use the page selection
+        }
+        return String(window.getSelection() || "");
+    }
+
+    window.OutlineDocSelection = { read };
+})();
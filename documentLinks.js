@@ -0,0 +1,58 @@
+// documentLinks.js
+import { getLocalStorage, setLocalStorage } from './storage.js';
+import { profileScopedKey } from './profiles.js';
+
+const STORAGE_KEY = "documentLinks";
+
+/**
+ * Reads the full map of Google source IDs to Outline document IDs.
+ * Links of profiles other than the default one are keyed "<sourceId>:<profileId>".
+ * @returns {Promise<Object>} Map of sourceId -> { documentId, updatedAt }
+ */
+export async function getDocumentLinks() {
+    const stored = await getLocalStorage(STORAGE_KEY);
+    return stored[STORAGE_KEY] || {};
+}
+
+/**
+ * Returns the Outline document ID linked to a Google doc/spreadsheet, if any.
+ * @param {string} sourceId - Google source identifier (e.g. "doc:<id>")
+ * @param {string} [profileId] - Outline profile
+ * @returns {Promise<string|null>}
+ */
+export async function getLinkedDocumentId(sourceId, profileId = "") {
+    if (!sourceId) return null;
+    const links = await getDocumentLinks();
+    const link = links[profileScopedKey(sourceId, profileId)];
+    return (link && link.documentId) || null;
+}
+
+/**
+ * Links a Google doc/spreadsheet to an Outline document.
+ * @param {string} sourceId - Google source identifier
+ * @param {string} documentId - Outline document ID
+ * @param {string} [profileId] - Outline profile
+ * @returns {Promise<void>}
+ */
+export async function linkDocument(sourceId, documentId, profileId = "") {
+    if (!sourceId || !documentId) return;
+    const links = await getDocumentLinks();
+    links[profileScopedKey(sourceId, profileId)] = { documentId, updatedAt: new Date().toISOString() };
+    await setLocalStorage({ [STORAGE_KEY]: links });
+}
+
+/**
+ * Removes the link for a Google doc/spreadsheet.
+ * @param {string} sourceId - Google source identifier
+ * @param {string} [profileId] - Outline profile
+ * @returns {Promise<void>}
+ */
+export async function unlinkDocument(sourceId, profileId = "") {
+    if (!sourceId) return;
+    const links = await getDocumentLinks();
+    const key = profileScopedKey(sourceId, profileId);
+    if (links[key]) {
+        delete links[key];
+        await setLocalStorage({ [STORAGE_KEY]: links });
+    }
+}
@@ -0,0 +1,123 @@
+// documentMetadata.js
+// Shared by content.js, spreadsheet.js and slides.js: reads document metadata for the header template.
+(function() {
+    if (window.OutlineDocumentMetadata) {
+        return;
+    }
+
+    // Elements of the Docs/Sheets editor that expose the owner or the last edit, newest UI first.
+    const LAST_EDIT_SELECTORS = [
+        "#docs-revisions-appbarbutton",
+        ".docs-title-save-label-text",
+        ".docs-title-save-label",
+        "#docs-notice"
+    ];
+    const OWNER_SELECTORS = [
+        '[aria-label^="Owner:"]',
+        '[data-tooltip^="Owner:"]',
+        '[itemprop="author"]'
+    ];
+    const RELATIVE_UNITS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000 };
+
+    function readElementText(element) {
+        return (
+            element.getAttribute("aria-label") ||
+            element.getAttribute("data-tooltip") ||
+            element.getAttribute("content") ||
+            element.textContent ||
+            ""
+        ).trim();
+    }
+
+    /**
+     * Formats the local date of a Date as YYYY-MM-DD.
+     * @param {Date} date
+     * @returns {string}
+     */
+    function formatDate(date) {
+        const pad = (value) => String(value).padStart(2, "0");
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Turns the editor's description of the last edit into an absolute time, so the header doesn't
+     * keep saying "5 minutes ago" for good. Edits within the day become an ISO timestamp, older
+     * ones a date ("yesterday", "3 days ago", "on March 3").
+     * @param {string} description - E.g. "5 minutes ago", "just now" or "on March 3, 2024"
+     * @returns {string} The time, or "" if the description isn't understood
+     */
+    function toAbsoluteTime(description) {
+        const now = new Date();
+        const text = description.toLowerCase().replace(/^on\s+/, "");
+        if (/^(just now|a few seconds ago|\d+ seconds? ago)$/.test(text)) {
+            return now.toISOString();
+        }
+
+        const relative = text.match(/^(a|an|\d+) (minute|hour|day|week)s? ago$/);
+        if (relative || text === "yesterday") {
+            const count = !relative ? 1 : /^an?$/.test(relative[1]) ? 1 : parseInt(relative[1], 10);
+            const unit = relative ? relative[2] : "day";
+            const time = new Date(now.getTime() - count * RELATIVE_UNITS[unit]);
+            return unit === "minute" || unit === "hour" ? time.toISOString() : formatDate(time);
+        }
+
+        if (!/\d/.test(text)) {
+            return "";
+        }
+        // Dates of this year are shown without the year
+        const dated = new Date(/\b\d{4}\b/.test(text) ? text : `${text}, ${now.getFullYear()}`);
+        return isNaN(dated.getTime()) ? "" : formatDate(dated);
+    }
+
+    /**
+     * Reads the last edit from the editor's save indicator, e.g. "Last edit was 5 minutes ago".
+     * Google Drive metadata replaces it in the background when Google Drive is connected.
+     * @returns {string} The last edit as an ISO timestamp or date, or "" if it isn't shown
+     */
+    function readLastModified() {
+        for (const selector of LAST_EDIT_SELECTORS) {
+            const element = document.querySelector(selector);
+            if (!element) continue;
+            const match = readElementText(element).match(/last edit(?:ed)?(?: was| made)?\s*(.+)/i);
+            if (match) {
+                return toAbsoluteTime(match[1].replace(/[.\s]+$/, ""));
+            }
+        }
+        return "";
+    }
+
+    /**
+     * Reads the document owner when the editor exposes it.
+     * @returns {string} The owner, or "" if it isn't shown
+     */
+    function readOwner() {
+        for (const selector of OWNER_SELECTORS) {
+            const element = document.querySelector(selector);
+            if (!element) continue;
+            const text = readElementText(element).replace(/^Owner:\s*/i, "");
+            if (text) {
+                return text;
+            }
+        }
+        return "";
+    }
+
+    /**
+     * Collects the metadata sent with a save request and rendered by the header template.
+     * Values the page doesn't expose are left empty and rendered as "(Not specified)" unless Google
+     * Drive provides them.
+     * @param {string} type - "doc", "sheet" or "slides"
+     * @returns {Object} { title, sourceUrl, owner, lastModified, type }
+     */
+    function collect(type) {
+        return {
+            title: document.title,
+            sourceUrl: window.location.href,
+            owner: readOwner(),
+            lastModified: readLastModified(),
+            type
+        };
+    }
+
+    window.OutlineDocumentMetadata = { collect };
+})();
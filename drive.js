@@ -0,0 +1,307 @@
+// drive.js
+(function() {
+    // Only run on Google Drive pages.
+    if (!window.location.hostname.includes("drive.google.com")) {
+        return;
+    }
+
+    chrome.storage.sync.get("enableSaveButton", (result) => {
+        if (result.enableSaveButton === false) {
+            return;
+        }
+
+        const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+        const POLL_INTERVAL = 1500; // ms between progress checks
+
+        // Create container for the floating button
+        const buttonContainer = document.createElement("div");
+        Object.assign(buttonContainer.style, {
+            position: "fixed",
+            bottom: "20px",
+            right: "20px",
+            zIndex: 10000,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "flex-end",
+            transition: "all 0.3s ease"
+        });
+
+        // Create the icon button
+        const iconButton = document.createElement("div");
+        Object.assign(iconButton.style, {
+            width: "40px",
+            height: "40px",
+            borderRadius: "50%",
+            backgroundColor: "#0071e3",
+            cursor: "pointer",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            boxShadow: "0 2px 10px rgba(0,0,0,0.2)",
+            transition: "transform 0.3s ease, background-color 0.5s ease"
+        });
+
+        // Create icon element (using extension's icon)
+        const iconElement = document.createElement("img");
+        try {
+            iconElement.src = chrome.runtime.getURL("icons/icon48.png");
+            iconElement.onerror = () => {
+                // Fallback to a text icon if image loading fails
+                iconElement.remove();
+                iconButton.textContent = "O";
+                iconButton.style.fontWeight = "bold";
+                iconButton.style.fontFamily = FONT_FAMILY;
+                iconButton.style.fontSize = "16px";
+                iconButton.style.color = "#fff";
+            };
+        } catch (e) {
+            // If chrome.runtime.getURL fails, use text fallback
+            iconButton.textContent = "O";
+            iconButton.style.fontWeight = "bold";
+            iconButton.style.fontFamily = FONT_FAMILY;
+            iconButton.style.fontSize = "16px";
+            iconButton.style.color = "#fff";
+        }
+        iconElement.style.width = "24px";
+        iconElement.style.height = "24px";
+        iconElement.style.objectFit = "contain";
+        iconButton.appendChild(iconElement);
+
+        // Create text label that appears on hover
+        const textLabel = document.createElement("div");
+        textLabel.textContent = "Send selected to Outline";
+        Object.assign(textLabel.style, {
+            backgroundColor: "#0071e3",
+            color: "#fff",
+            padding: "8px 12px",
+            borderRadius: "6px",
+            marginRight: "10px",
+            opacity: "0",
+            transform: "translateX(10px)",
+            transition: "opacity 0.3s ease, transform 0.3s ease",
+            whiteSpace: "nowrap",
+            fontFamily: FONT_FAMILY,
+            fontSize: "14px",
+            fontWeight: "500"
+        });
+
+        // Progress panel listing every queued file
+        const progressPanel = document.createElement("div");
+        Object.assign(progressPanel.style, {
+            position: "fixed",
+            bottom: "70px",
+            right: "20px",
+            zIndex: 10000,
+            width: "320px",
+            maxHeight: "320px",
+            overflowY: "auto",
+            backgroundColor: "#fff",
+            color: "#333",
+            borderRadius: "8px",
+            boxShadow: "0 2px 10px rgba(0,0,0,0.2)",
+            padding: "12px",
+            fontFamily: FONT_FAMILY,
+            fontSize: "13px",
+            display: "none"
+        });
+
+        buttonContainer.appendChild(textLabel);
+        buttonContainer.appendChild(iconButton);
+        document.body.appendChild(progressPanel);
+        document.body.appendChild(buttonContainer);
+
+        // Show/hide text on hover
+        buttonContainer.addEventListener("mouseenter", () => {
+            textLabel.style.opacity = "1";
+            textLabel.style.transform = "translateX(0)";
+        });
+
+        buttonContainer.addEventListener("mouseleave", () => {
+            if (isProcessing) return;
+            textLabel.style.opacity = "0";
+            textLabel.style.transform = "translateX(10px)";
+        });
+
+        let isProcessing = false;
+
+        // Wrap chrome.runtime.sendMessage in a promise.
+        const sendMessagePromise = (msg) =>
+            new Promise((resolve, reject) => {
+                chrome.runtime.sendMessage(msg, (response) => {
+                    if (chrome.runtime.lastError) {
+                        return reject(chrome.runtime.lastError);
+                    }
+                    if (!response || !response.success) {
+                        return reject(new Error((response && response.error) || "Unknown error"));
+                    }
+                    resolve(response);
+                });
+            });
+
+        /**
+         * Reads the Docs/Sheets files currently selected in the Drive list or grid view.
+         * @returns {Array<{id: string, type: string, name: string}>}
+         */
+        function getSelectedFiles() {
+            const files = new Map();
+            document.querySelectorAll('[aria-selected="true"][data-id]').forEach((item) => {
+                const id = item.getAttribute("data-id");
+                if (!id || files.has(id)) return;
+
+                const labels = Array.from(item.querySelectorAll("[aria-label], [data-tooltip]"))
+                    .map((element) => element.getAttribute("aria-label") || element.getAttribute("data-tooltip") || "");
+                let type = "unknown";
+                if (labels.some((label) => /^Google Sheets$/i.test(label.trim()))) {
+                    type = "sheet";
+                } else if (labels.some((label) => /^Google Docs$/i.test(label.trim()))) {
+                    type = "doc";
+                }
+
+                const nameElement = item.querySelector("[data-tooltip]");
+                files.set(id, {
+                    id,
+                    type,
+                    name: nameElement ? nameElement.getAttribute("data-tooltip").trim() : ""
+                });
+            });
+            return Array.from(files.values());
+        }
+
+        function renderProgress(job) {
+            progressPanel.replaceChildren();
+            const doneCount = job.files.filter((file) => file.status === "done").length;
+            const failedCount = job.files.filter((file) => file.status === "failed").length;
+
+            const heading = document.createElement("div");
+            Object.assign(heading.style, { display: "flex", fontWeight: "600", marginBottom: "8px" });
+            const headingText = document.createElement("span");
+            headingText.style.flex = "1";
+            headingText.textContent = job.finishedAt
+                ? `Done: ${doneCount} saved, ${failedCount} failed`
+                : `Exporting ${doneCount + failedCount + 1}/${job.files.length}…`;
+            heading.appendChild(headingText);
+
+            if (job.finishedAt) {
+                const closeButton = document.createElement("span");
+                closeButton.textContent = "×";
+                closeButton.title = "Close";
+                Object.assign(closeButton.style, { cursor: "pointer", padding: "0 4px" });
+                closeButton.addEventListener("click", () => {
+                    progressPanel.style.display = "none";
+                });
+                heading.appendChild(closeButton);
+            }
+            progressPanel.appendChild(heading);
+
+            const icons = { pending: "…", running: "⟳", done: "✓", failed: "✗" };
+            const colors = { pending: "#999", running: "#0071e3", done: "green", failed: "red" };
+            job.files.forEach((file) => {
+                const row = document.createElement("div");
+                Object.assign(row.style, { padding: "3px 0", wordBreak: "break-word" });
+
+                const icon = document.createElement("span");
+                icon.textContent = `${icons[file.status] || ""} `;
+                icon.style.color = colors[file.status] || "#333";
+                row.appendChild(icon);
+
+                const name = document.createElement(file.url ? "a" : "span");
+                name.textContent = file.name || file.id;
+                if (file.url) {
+                    name.href = file.url;
+                    name.target = "_blank";
+                    name.rel = "noopener";
+                }
+                row.appendChild(name);
+
+                if (file.error) {
+                    const error = document.createElement("div");
+                    error.textContent = file.error;
+                    Object.assign(error.style, { color: "red", fontSize: "12px", marginLeft: "14px" });
+                    row.appendChild(error);
+                }
+                progressPanel.appendChild(row);
+            });
+        }
+
+        function pollProgress(jobId) {
+            return new Promise((resolve, reject) => {
+                const check = async () => {
+                    try {
+                        const { job } = await sendMessagePromise({ action: "getBulkExportStatus", jobId });
+                        renderProgress(job);
+                        if (job.finishedAt) {
+                            return resolve(job);
+                        }
+                        setTimeout(check, POLL_INTERVAL);
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+                check();
+            });
+        }
+
+        function showLabel(text, color) {
+            textLabel.textContent = text;
+            textLabel.style.backgroundColor = color;
+            iconButton.style.backgroundColor = color;
+            textLabel.style.opacity = "1";
+            textLabel.style.transform = "translateX(0)";
+        }
+
+        function resetLabel(delay) {
+            setTimeout(() => {
+                textLabel.textContent = "Send selected to Outline";
+                textLabel.style.backgroundColor = "#0071e3";
+                iconButton.style.backgroundColor = "#0071e3";
+                if (!buttonContainer.matches(':hover')) {
+                    textLabel.style.opacity = "0";
+                    textLabel.style.transform = "translateX(10px)";
+                }
+            }, delay);
+        }
+
+        async function handleClick() {
+            if (isProcessing) return;
+
+            const files = getSelectedFiles();
+            if (files.length === 0) {
+                showLabel("Select Docs or Sheets first", "#8e8e93");
+                resetLabel(2500);
+                return;
+            }
+
+            isProcessing = true;
+            iconButton.style.transform = "scale(1.1)";
+            showLabel(`Sending ${files.length} file(s)...`, "#0071e3");
+
+            try {
+                const { jobId } = await sendMessagePromise({ action: "queueBulkExport", files });
+                progressPanel.style.display = "block";
+                const job = await pollProgress(jobId);
+
+                const failedCount = job.files.filter((file) => file.status === "failed").length;
+                showLabel(
+                    failedCount ? `${failedCount} of ${job.files.length} failed` : `Saved ${job.files.length} file(s)`,
+                    failedCount ? "red" : "green"
+                );
+            } catch (err) {
+                console.error("Bulk export error:", err);
+                let errorMessage = "Error: " + (err.message?.slice(0, 30) || "Unknown");
+                if (err.message && err.message.includes("Extension context invalidated")) {
+                    errorMessage = "Extension reloaded. Refresh the page.";
+                } else if (!navigator.onLine) {
+                    errorMessage = "Offline";
+                }
+                showLabel(errorMessage, "red");
+            } finally {
+                isProcessing = false;
+                iconButton.style.transform = "scale(1)";
+                resetLabel(4000);
+            }
+        }
+
+        // Click handler
+        buttonContainer.addEventListener("click", handleClick);
+    });
+})();
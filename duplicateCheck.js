@@ -0,0 +1,224 @@
+// duplicateCheck.js
+// Shared by content.js, spreadsheet.js and slides.js: before a file without a linked Outline document
+// is saved, looks for copies already in Outline (e.g. saved by a teammate) and asks what to do.
+(function() {
+    if (window.OutlineDuplicateCheck) {
+        return;
+    }
+
+    const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+
+    // Wrap chrome.runtime.sendMessage in a promise that rejects on failed responses.
+    const sendMessagePromise = (msg) =>
+        new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage(msg, (response) => {
+                if (chrome.runtime.lastError) {
+                    return reject(chrome.runtime.lastError);
+                }
+                if (!response || !response.success) {
+                    return reject(new Error((response && response.error) || "Unknown error"));
+                }
+                resolve(response);
+            });
+        });
+
+    function createButton(text, primary) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = text;
+        Object.assign(button.style, {
+            padding: "8px 14px",
+            fontSize: "14px",
+            fontFamily: FONT_FAMILY,
+            border: "none",
+            borderRadius: "6px",
+            cursor: "pointer",
+            color: primary ? "#fff" : "#333",
+            backgroundColor: primary ? "#0071e3" : "#e5e5ea"
+        });
+        return button;
+    }
+
+    /**
+     * Describes a match, e.g. "Links to this file · Engineering · updated 2026-05-02 by Jane Doe".
+     * @param {Object} match - From the findExistingDocuments action
+     * @returns {string}
+     */
+    function describeMatch(match) {
+        const parts = [match.matchedBy === "source" ? "Links to this file" : "Same title"];
+        if (match.collection) {
+            parts.push(match.collection);
+        }
+        if (match.updatedAt) {
+            parts.push(`updated ${match.updatedAt.split("T")[0]}${match.updatedBy ? ` by ${match.updatedBy}` : ""}`);
+        }
+        return parts.join(" · ");
+    }
+
+    /**
+     * Opens the list of documents found in Outline.
+     * @param {Object[]} matches - From the findExistingDocuments action
+     * @returns {Promise<Object>} { action: "update"|"open"|"create", match }, or null if the user cancelled.
+     */
+    function open(matches) {
+        return new Promise((resolve) => {
+            let selected = matches[0];
+
+            const overlay = document.createElement("div");
+            Object.assign(overlay.style, {
+                position: "fixed",
+                inset: "0",
+                backgroundColor: "rgba(0,0,0,0.35)",
+                zIndex: 10001,
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "center",
+                fontFamily: FONT_FAMILY
+            });
+
+            const dialog = document.createElement("div");
+            Object.assign(dialog.style, {
+                backgroundColor: "#fff",
+                borderRadius: "12px",
+                boxShadow: "0 4px 24px rgba(0,0,0,0.25)",
+                padding: "24px",
+                width: "480px",
+                maxWidth: "90vw",
+                color: "#333"
+            });
+
+            const heading = document.createElement("div");
+            heading.textContent = "Already in Outline?";
+            Object.assign(heading.style, { fontSize: "18px", fontWeight: "600" });
+
+            const intro = document.createElement("div");
+            intro.textContent = matches.length === 1
+                ? "This document may already have been saved, e.g. by a teammate:"
+                : `${matches.length} documents may already hold this file, e.g. saved by a teammate:`;
+            Object.assign(intro.style, { fontSize: "13px", color: "#666", margin: "8px 0 12px" });
+
+            const list = document.createElement("div");
+            Object.assign(list.style, {
+                maxHeight: "240px",
+                overflowY: "auto",
+                border: "1px solid #eee",
+                borderRadius: "6px",
+                fontSize: "14px"
+            });
+            matches.forEach((match, index) => {
+                const row = document.createElement("label");
+                Object.assign(row.style, { display: "flex", gap: "8px", padding: "8px 10px", cursor: "pointer" });
+                const radio = document.createElement("input");
+                radio.type = "radio";
+                radio.name = "outline-existing-document";
+                radio.checked = index === 0;
+                radio.addEventListener("change", () => {
+                    selected = match;
+                });
+                const text = document.createElement("div");
+                const title = document.createElement("div");
+                title.textContent = match.title;
+                title.style.fontWeight = "600";
+                const details = document.createElement("div");
+                details.textContent = describeMatch(match);
+                Object.assign(details.style, { fontSize: "12px", color: "#666" });
+                text.appendChild(title);
+                text.appendChild(details);
+                row.appendChild(radio);
+                row.appendChild(text);
+                list.appendChild(row);
+            });
+
+            const buttons = document.createElement("div");
+            Object.assign(buttons.style, { display: "flex", justifyContent: "flex-end", flexWrap: "wrap", gap: "8px", marginTop: "16px" });
+            const createAnywayButton = createButton("Create anyway", false);
+            const openButton = createButton("Open existing", false);
+            const updateButton = createButton("Update that one", true);
+            buttons.appendChild(createAnywayButton);
+            buttons.appendChild(openButton);
+            buttons.appendChild(updateButton);
+
+            dialog.appendChild(heading);
+            dialog.appendChild(intro);
+            dialog.appendChild(list);
+            dialog.appendChild(buttons);
+            overlay.appendChild(dialog);
+            document.body.appendChild(overlay);
+
+            function close(result) {
+                document.removeEventListener("keydown", onKeyDown, true);
+                overlay.remove();
+                resolve(result);
+            }
+
+            function onKeyDown(event) {
+                if (event.key === "Escape") {
+                    event.stopPropagation();
+                    close(null);
+                }
+            }
+
+            createAnywayButton.addEventListener("click", () => close({ action: "create", match: null }));
+            openButton.addEventListener("click", () => close({ action: "open", match: selected }));
+            updateButton.addEventListener("click", () => close({ action: "update", match: selected }));
+            overlay.addEventListener("click", (event) => {
+                if (event.target === overlay) close(null);
+            });
+            document.addEventListener("keydown", onKeyDown, true);
+            updateButton.focus();
+        });
+    }
+
+    /**
+     * Checks Outline for copies of a file before its first save from this browser and asks the user
+     * what to do with them. "Update that one" links the file to the picked document, so the save
+     * updates it; "Open existing" opens it and saves nothing. Without matches, with the check turned
+     * off in the options or when the search fails, the save goes ahead.
+     * @param {Object} message - Save message ({ sourceId, title, sourceUrl, profileId, destination })
+     * @returns {Promise<boolean>} Whether to go on with the save.
+     */
+    async function confirm(message) {
+        const { detectDuplicates } = await chrome.storage.sync.get("detectDuplicates");
+        if (detectDuplicates === false) {
+            return true;
+        }
+
+        let found;
+        try {
+            found = await sendMessagePromise({
+                action: "findExistingDocuments",
+                sourceId: message.sourceId,
+                title: message.title,
+                sourceUrl: message.sourceUrl,
+                profileId: message.profileId,
+                destination: message.destination
+            });
+        } catch (err) {
+            console.error("Failed to look for existing Outline documents:", err);
+            return true;
+        }
+        if (found.linked || found.matches.length === 0) {
+            return true;
+        }
+
+        const choice = await open(found.matches);
+        if (!choice) {
+            return false;
+        }
+        if (choice.action === "open") {
+            window.open(choice.match.url, "_blank");
+            return false;
+        }
+        if (choice.action === "update") {
+            await sendMessagePromise({
+                action: "linkExistingDocument",
+                sourceId: message.sourceId,
+                documentId: choice.match.id,
+                profileId: message.profileId
+            });
+        }
+        return true;
+    }
+
+    window.OutlineDuplicateCheck = { confirm, open };
+})();
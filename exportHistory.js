@@ -0,0 +1,59 @@
+// exportHistory.js
+import { getLocalStorage, setLocalStorage } from './storage.js';
+
+const STORAGE_KEY = "exportHistory";
+const MAX_ENTRIES = 500; // Oldest entries are dropped
+
+let writeQueue = Promise.resolve(); // Serializes read-modify-write cycles of concurrent saves
+
+/**
+ * Reads the export history, newest entry first.
+ * @returns {Promise<Object[]>}
+ */
+export async function getHistory() {
+    const stored = await getLocalStorage(STORAGE_KEY);
+    return stored[STORAGE_KEY] || [];
+}
+
+/**
+ * Returns one history entry by ID.
+ * @param {string} entryId - Entry ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getHistoryEntry(entryId) {
+    const history = await getHistory();
+    return history.find((entry) => entry.id === entryId) || null;
+}
+
+/**
+ * Adds an entry to the export history.
+ * @param {Object} entry - { action, type, title, sourceId, sourceUrl, excerpt, collectionId, collection,
+ *   outlineUrl, documentId, status, error, startedAt, durationMs, jobId }
+ * @returns {Promise<Object>} The stored entry
+ */
+export function addHistoryEntry(entry) {
+    const stored = {
+        id: `history-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        finishedAt: new Date().toISOString(),
+        ...entry
+    };
+    const run = writeQueue.then(async () => {
+        const history = await getHistory();
+        history.unshift(stored);
+        history.length = Math.min(history.length, MAX_ENTRIES);
+        await setLocalStorage({ [STORAGE_KEY]: history });
+        return stored;
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Removes every entry from the export history.
+ * @returns {Promise<void>}
+ */
+export function clearHistory() {
+    const run = writeQueue.then(() => setLocalStorage({ [STORAGE_KEY]: [] }));
+    writeQueue = run.catch(() => {});
+    return run;
+}
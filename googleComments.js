@@ -0,0 +1,210 @@
+// googleComments.js
+// Carries Google Docs comments over to Outline. The comments, their replies, authors, timestamps and
+// anchors come from the Doc's .docx export, the only export that keeps them.
+import { logger } from './logger.js';
+import { markdownContainsText } from './markdownExcerpt.js';
+import { readZipFiles, decodeXml, readAttribute } from './officeArchive.js';
+
+const DOCX_PARTS = ["word/document.xml", "word/comments.xml", "word/commentsExtended.xml"];
+const MAX_QUOTE_LENGTH = 300; // Longer anchors are shortened in the quote
+
+/**
+ * Returns the text of WordprocessingML markup, one line per paragraph.
+ * @param {string} xml - Markup containing <w:p> paragraphs or runs
+ * @returns {string}
+ */
+function readText(xml) {
+    return xml
+        .replace(/<w:pPr>[\s\S]*?<\/w:pPr>/g, "") // Paragraph properties hold tab stops, not text
+        .split(/<\/w:p>/)
+        .map((paragraph) => [...paragraph.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:(tab|br)(?:\s[^>]*)?\/>/g)]
+            .map((match) => (match[1] !== undefined ? decodeXml(match[1]) : match[2] === "tab" ? "\t" : "\n"))
+            .join(""))
+        .join("\n")
+        .replace(/\n{2,}/g, "\n")
+        .trim();
+}
+
+/**
+ * Finds the text a comment is anchored to.
+ * @param {string} documentXml - word/document.xml
+ * @param {string} id - Comment ID
+ * @returns {Object} { text, position } (position of the anchored text, -1 when the comment has no range)
+ */
+function readAnchor(documentXml, id) {
+    const start = documentXml.search(new RegExp(`<w:commentRangeStart\\b[^>]*w:id="${id}"`));
+    const end = documentXml.search(new RegExp(`<w:commentRangeEnd\\b[^>]*w:id="${id}"`));
+    if (start === -1 || end === -1 || end < start) {
+        return { text: "", position: -1 };
+    }
+    // Ranges starting at the same text share a position, even when their start tags are side by side
+    const starts = documentXml.slice(start).match(/^(?:<w:commentRangeStart\b[^>]*\/>\s*)+/);
+    return { text: readText(documentXml.slice(start, end)), position: start + (starts ? starts[0].length : 0) };
+}
+
+/**
+ * Reads the comment threads of a Google Doc from its .docx export.
+ * Replies are linked to their comment through commentsExtended.xml when Google includes it,
+ * otherwise comments anchored at the same place form a thread.
+ * @param {ArrayBuffer} docx - .docx export of the Doc
+ * @returns {Promise<Object[]>} Threads in document order:
+ *   { anchor, resolved, comments: [{ author, date, text }] } (the first comment opens the thread)
+ */
+export async function readDocxComments(docx) {
+    const files = await readZipFiles(docx, DOCX_PARTS, ".docx");
+    const commentsXml = files["word/comments.xml"];
+    if (!commentsXml) {
+        return [];
+    }
+    const documentXml = files["word/document.xml"] || "";
+
+    const extended = new Map();
+    for (const match of (files["word/commentsExtended.xml"] || "").matchAll(/<w15:commentEx\b([^>]*)\/>/g)) {
+        extended.set(readAttribute(match[1], "w15:paraId"), {
+            parent: readAttribute(match[1], "w15:paraIdParent"),
+            done: readAttribute(match[1], "w15:done") === "1"
+        });
+    }
+
+    const threads = [];
+    const threadsByParagraph = new Map();
+    const threadsByPosition = new Map();
+    for (const match of commentsXml.matchAll(/<w:comment\b([^>]*)>([\s\S]*?)<\/w:comment>/g)) {
+        const id = readAttribute(match[1], "w:id");
+        const paragraphIds = [...match[2].matchAll(/<w:p\b([^>]*)>/g)].map((p) => readAttribute(p[1], "w14:paraId"));
+        const paragraphId = paragraphIds[paragraphIds.length - 1] || "";
+        const info = extended.get(paragraphId);
+        const anchor = readAnchor(documentXml, id);
+        const comment = {
+            author: readAttribute(match[1], "w:author") || "Unknown",
+            date: readAttribute(match[1], "w:date"),
+            text: readText(match[2])
+        };
+
+        const parentThread = info && info.parent
+            ? threadsByParagraph.get(info.parent)
+            : !info && anchor.position !== -1 ? threadsByPosition.get(anchor.position) : null;
+        if (parentThread) {
+            parentThread.comments.push(comment);
+            threadsByParagraph.set(paragraphId, parentThread);
+            continue;
+        }
+
+        const thread = { anchor: anchor.text, resolved: Boolean(info && info.done), comments: [comment], position: anchor.position };
+        threads.push(thread);
+        threadsByParagraph.set(paragraphId, thread);
+        if (anchor.position !== -1) threadsByPosition.set(anchor.position, thread);
+    }
+
+    return threads
+        .sort((a, b) => a.position - b.position)
+        .map(({ anchor, resolved, comments }) => ({ anchor, resolved, comments }));
+}
+
+function formatDate(date) {
+    return date ? `${date.slice(0, 16).replace("T", " ")} UTC` : "unknown date";
+}
+
+function quoteAnchor(anchor) {
+    const text = anchor.length > MAX_QUOTE_LENGTH ? `${anchor.slice(0, MAX_QUOTE_LENGTH)}…` : anchor;
+    return text.split("\n").map((line) => `> ${line}`).join("\n");
+}
+
+/**
+ * Signature line closing every carried-over comment. It identifies the Google comment,
+ * so a re-save or a resumed job doesn't post it twice.
+ */
+function signature(comment) {
+    return `— ${comment.author}, ${formatDate(comment.date)}, Google Docs`;
+}
+
+/**
+ * Reads the comments already on an Outline document, as serialized text to search for signatures.
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {string} documentId - Outline document ID
+ * @returns {Promise<Object[]>} [{ id, serialized }]
+ */
+async function listExistingComments(api, documentId) {
+    const comments = await api.listAll("listComments", { documentId });
+    return comments.map((comment) => ({ id: comment.id, serialized: JSON.stringify(comment) }));
+}
+
+/**
+ * Posts comment threads on an Outline document. Threads whose quoted text isn't in the document
+ * (or that Outline refuses) are returned so they can be added as a "Discussion" section instead.
+ * Comments posted by an earlier save are skipped.
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {string} documentId - Outline document ID
+ * @param {string} markdown - The document's Markdown, to look for the quoted text
+ * @param {Object[]} threads - Threads from readDocxComments
+ * @returns {Promise<Object>} { posted, unanchored } with the number of new comments and the threads left over
+ */
+export async function postComments(api, documentId, markdown, threads) {
+    const unanchored = [];
+    const anchored = threads.filter((thread) => {
+        const found = markdownContainsText(markdown, thread.anchor);
+        if (!found) unanchored.push(thread);
+        return found;
+    });
+    if (anchored.length === 0) {
+        return { posted: 0, unanchored };
+    }
+
+    const existing = await listExistingComments(api, documentId);
+    const findExisting = (comment) => {
+        const needle = JSON.stringify(signature(comment)).slice(1, -1);
+        return existing.find((entry) => entry.serialized.includes(needle));
+    };
+
+    let posted = 0;
+    for (const thread of anchored) {
+        let parentCommentId = null;
+        for (const [index, comment] of thread.comments.entries()) {
+            const previous = findExisting(comment);
+            if (previous) {
+                parentCommentId = parentCommentId || previous.id;
+                continue;
+            }
+
+            const parts = index === 0 ? [quoteAnchor(thread.anchor)] : [];
+            parts.push(comment.text || "(empty comment)", `_${signature(comment)}${index === 0 && thread.resolved ? " (resolved)" : ""}_`);
+            try {
+                const result = await api.createComment({
+                    documentId,
+                    text: parts.join("\n\n"),
+                    parentCommentId: index === 0 ? null : parentCommentId
+                });
+                posted++;
+                if (index === 0) parentCommentId = result.data.id;
+            } catch (err) {
+                logger.error(`Failed to carry over a comment by ${comment.author}: ${err.message}`);
+                if (index === 0) {
+                    // Keep the thread in the Discussion section rather than losing it
+                    unanchored.push(thread);
+                    break;
+                }
+            }
+        }
+    }
+    return { posted, unanchored };
+}
+
+/**
+ * Renders comment threads as a "Discussion" section for the end of the document.
+ * @param {Object[]} threads - Threads from readDocxComments
+ * @returns {string} The section Markdown, or "" when there are no threads
+ */
+export function renderDiscussionSection(threads) {
+    if (threads.length === 0) {
+        return "";
+    }
+    const blocks = threads.map((thread) => {
+        const lines = [thread.anchor ? quoteAnchor(thread.anchor) : "> _(no quoted text)_"];
+        thread.comments.forEach((comment, index) => {
+            const resolved = index === 0 && thread.resolved ? " (resolved)" : "";
+            lines.push(`**${comment.author}** (${formatDate(comment.date)})${resolved}: ${comment.text.replace(/\n/g, "  \n")}`);
+        });
+        return lines.join("\n\n");
+    });
+    return ["## Discussion", "_Google Docs comments that couldn't be attached to the text of this document._", ...blocks].join("\n\n");
+}
@@ -0,0 +1,59 @@
+// googleDrive.js
+// Reads the owner and last modification of a Doc, Sheet or Slides deck from the Google Drive API, with
+// the Google account connected in the options. The editor pages only show a relative "last edit", and
+// saves made in the background (auto-sync, Drive bulk export, retries) have no page to read at all.
+
+const DRIVE_FILES_URL = "https://www.googleapis.com/drive/v3/files";
+const METADATA_FIELDS = "owners(displayName,emailAddress),modifiedTime";
+
+/**
+ * Gets an OAuth token for the Drive API without prompting; the options page asks for consent.
+ * @returns {Promise<string>}
+ */
+function getAuthToken() {
+    return new Promise((resolve, reject) => {
+        chrome.identity.getAuthToken({ interactive: false }, (result) => {
+            if (chrome.runtime.lastError) {
+                return reject(new Error(`Google Drive isn't connected: ${chrome.runtime.lastError.message}`));
+            }
+            // Older Chrome versions pass the token itself, newer ones { token, grantedScopes }
+            const token = typeof result === "string" ? result : result && result.token;
+            if (!token) {
+                return reject(new Error("Google Drive isn't connected"));
+            }
+            resolve(token);
+        });
+    });
+}
+
+function fetchFile(fileId, token) {
+    const url = `${DRIVE_FILES_URL}/${encodeURIComponent(fileId)}?fields=${encodeURIComponent(METADATA_FIELDS)}&supportsAllDrives=true`;
+    return fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+}
+
+/**
+ * Reads the metadata header fields of a Google file.
+ * Files in shared drives have no owner; their owner is returned empty.
+ * @param {string} fileId - Google file ID
+ * @returns {Promise<Object>} { owner, lastModified } (lastModified is an ISO timestamp)
+ */
+export async function fetchDriveMetadata(fileId) {
+    let token = await getAuthToken();
+    let response = await fetchFile(fileId, token);
+    if (response.status === 401) {
+        // The cached token expired or was revoked: drop it and try once with a new one
+        await chrome.identity.removeCachedAuthToken({ token });
+        token = await getAuthToken();
+        response = await fetchFile(fileId, token);
+    }
+    if (!response.ok) {
+        throw new Error(`Drive API error (${response.status}): ${await response.text()}`);
+    }
+
+    const file = await response.json();
+    const owner = (file.owners || [])[0];
+    return {
+        owner: owner ? owner.displayName || owner.emailAddress || "" : "",
+        lastModified: file.modifiedTime || ""
+    };
+}
@@ -0,0 +1,254 @@
+// googleSlides.js
+// Turns a Google Slides deck into Markdown, one section per slide. The slide text and speaker notes
+// come from the deck's .pptx export, the only export that keeps the slide boundaries and the notes.
+import { readZipFiles, decodeXml, readAttribute } from './officeArchive.js';
+
+const TITLE_PLACEHOLDERS = ["title", "ctrTitle"];
+const SKIPPED_PLACEHOLDERS = ["sldNum", "dt", "ftr", "sldImg"]; // Slide numbers, dates, footers, notes thumbnail
+
+/**
+ * Resolves the target of a relationship against the folder of the part that declares it.
+ * @param {string} partPath - Path of the declaring part, e.g. "ppt/slides/slide1.xml"
+ * @param {string} target - Relationship target, e.g. "../notesSlides/notesSlide1.xml"
+ * @returns {string} Path inside the archive
+ */
+function resolvePartPath(partPath, target) {
+    if (target.startsWith("/")) {
+        return target.slice(1);
+    }
+    const segments = partPath.split("/").slice(0, -1);
+    target.split("/").forEach((segment) => {
+        if (segment === "..") segments.pop();
+        else if (segment && segment !== ".") segments.push(segment);
+    });
+    return segments.join("/");
+}
+
+/**
+ * Reads the relationships of a part from its .rels file.
+ * @param {Object} files - Archive files (path -> text)
+ * @param {string} partPath - Path of the part
+ * @returns {Map<string, Object>} Relationship ID -> { type, target, external }
+ */
+function readRelationships(files, partPath) {
+    const slash = partPath.lastIndexOf("/");
+    const relsPath = `${partPath.slice(0, slash)}/_rels/${partPath.slice(slash + 1)}.rels`;
+    const relationships = new Map();
+    for (const match of (files[relsPath] || "").matchAll(/<Relationship\b([^>]*)>/g)) {
+        const external = readAttribute(match[1], "TargetMode") === "External";
+        const target = readAttribute(match[1], "Target");
+        relationships.set(readAttribute(match[1], "Id"), {
+            type: readAttribute(match[1], "Type").split("/").pop(),
+            target: external ? target : resolvePartPath(partPath, target),
+            external
+        });
+    }
+    return relationships;
+}
+
+/**
+ * Escapes the characters Markdown would otherwise treat as formatting.
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+    return text
+        .replace(/([\\`*_[\]<>|])/g, "\\$1")
+        .replace(/^(\s*)([#+-]|\d+[.)])(?=\s)/gm, (match, indent, marker) => `${indent}\\${marker}`);
+}
+
+/**
+ * Renders the runs of a DrawingML paragraph (<a:p>) as Markdown, keeping bold, italic and links.
+ * @param {string} paragraphXml - Paragraph markup
+ * @param {Map} relationships - Relationships of the slide, for hyperlinks
+ * @returns {string}
+ */
+function renderRuns(paragraphXml, relationships) {
+    const segments = [];
+    for (const match of paragraphXml.matchAll(/<a:(r|fld)\b[^>]*>([\s\S]*?)<\/a:\1>|<a:br\b[^>]*\/>/g)) {
+        if (!match[1]) {
+            segments.push({ text: "\n", bold: false, italic: false, link: "" });
+            continue;
+        }
+        const properties = (match[2].match(/<a:rPr\b([^>]*)\/?>/) || ["", ""])[1];
+        const linkId = (match[2].match(/<a:hlinkClick\b[^>]*\br:id="([^"]*)"/) || [])[1];
+        const link = linkId && relationships.get(linkId);
+        segments.push({
+            text: [...match[2].matchAll(/<a:t>([^<]*)<\/a:t>/g)].map((text) => decodeXml(text[1])).join(""),
+            bold: /\bb="1"/.test(properties),
+            italic: /\bi="1"/.test(properties),
+            link: link && link.external ? link.target : ""
+        });
+    }
+
+    // Runs split by spelling marks or language changes share their formatting: merge them first
+    const merged = [];
+    segments.forEach((segment) => {
+        const last = merged[merged.length - 1];
+        if (last && last.bold === segment.bold && last.italic === segment.italic && last.link === segment.link) {
+            last.text += segment.text;
+        } else {
+            merged.push({ ...segment });
+        }
+    });
+
+    return merged.map(({ text, bold, italic, link }) => {
+        const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        if (!core) return text;
+        const marker = `${bold ? "**" : ""}${italic ? "_" : ""}`;
+        let rendered = `${marker}${escapeMarkdown(core)}${[...marker].reverse().join("")}`;
+        if (link) {
+            rendered = `[${rendered}](${link})`;
+        }
+        return `${leading}${rendered}${trailing}`;
+    }).join("").replace(/[ \t]*\n[ \t]*/g, "\n").trim();
+}
+
+/**
+ * Renders the paragraphs of a text body. Paragraphs with bullets (or of a body placeholder, which
+ * has bullets by default) become list items indented by their level.
+ * @param {string} bodyXml - <p:txBody> markup
+ * @param {Map} relationships - Relationships of the slide
+ * @param {boolean} bulletsByDefault - Whether the shape is a body placeholder
+ * @returns {string[]} Markdown blocks; consecutive list items are joined into one block
+ */
+function renderTextBody(bodyXml, relationships, bulletsByDefault) {
+    const blocks = [];
+    let list = null;
+    for (const match of bodyXml.matchAll(/<a:p>([\s\S]*?)<\/a:p>/g)) {
+        const paragraphXml = match[1];
+        const text = renderRuns(paragraphXml, relationships);
+        if (!text) continue;
+
+        const properties = paragraphXml.match(/<a:pPr\b([^>]*)(?:\/>|>([\s\S]*?)<\/a:pPr>)/) || [];
+        const bullets = properties[2] || "";
+        const numbered = bullets.includes("<a:buAutoNum");
+        const isListItem = !bullets.includes("<a:buNone") && (bulletsByDefault || numbered || bullets.includes("<a:buChar"));
+        if (!isListItem) {
+            list = null;
+            blocks.push(text);
+            continue;
+        }
+
+        const level = parseInt(readAttribute(properties[1] || "", "lvl"), 10) || 0;
+        const item = `${"   ".repeat(level)}${numbered ? "1." : "-"} ${text.replace(/\n/g, `\n${"   ".repeat(level + 1)}`)}`;
+        if (list) {
+            list.push(item);
+        } else {
+            list = [item];
+            blocks.push(list);
+        }
+    }
+    return blocks.map((block) => (Array.isArray(block) ? block.join("\n") : block));
+}
+
+/**
+ * Renders a DrawingML table (<a:tbl>) as a Markdown table with its first row as the header.
+ * @param {string} tableXml - Table markup
+ * @param {Map} relationships - Relationships of the slide
+ * @returns {string}
+ */
+function renderTable(tableXml, relationships) {
+    const rows = [...tableXml.matchAll(/<a:tr\b[^>]*>([\s\S]*?)<\/a:tr>/g)].map((row) =>
+        [...row[1].matchAll(/<a:tc\b[^>]*>([\s\S]*?)<\/a:tc>/g)].map((cell) =>
+            renderTextBody(cell[1], relationships, false).join(" ").replace(/\n/g, " ")
+        )
+    );
+    const width = Math.max(0, ...rows.map((row) => row.length));
+    if (width === 0) {
+        return "";
+    }
+    const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || "").join(" | ")} |`;
+    return [line(rows[0]), line(Array(width).fill("---")), ...rows.slice(1).map(line)].join("\n");
+}
+
+/**
+ * Reads the title and text of a slide (or notes page), in shape order.
+ * @param {string} xml - Slide markup
+ * @param {Map} relationships - Relationships of the slide
+ * @returns {Object} { title, blocks: string[] }
+ */
+function readShapes(xml, relationships) {
+    const titles = [];
+    const blocks = [];
+    for (const match of xml.matchAll(/<p:sp\b[^>]*>([\s\S]*?)<\/p:sp>|<p:graphicFrame\b[^>]*>([\s\S]*?)<\/p:graphicFrame>/g)) {
+        if (match[2] !== undefined) {
+            const table = match[2].match(/<a:tbl\b[^>]*>[\s\S]*<\/a:tbl>/);
+            const rendered = table ? renderTable(table[0], relationships) : "";
+            if (rendered) blocks.push(rendered);
+            continue;
+        }
+
+        const shape = match[1];
+        const placeholder = shape.match(/<p:ph\b([^>]*)\/?>/);
+        const placeholderType = placeholder ? readAttribute(placeholder[1], "type") || "body" : "";
+        const body = shape.match(/<p:txBody>([\s\S]*?)<\/p:txBody>/);
+        if (!body || SKIPPED_PLACEHOLDERS.includes(placeholderType)) continue;
+
+        if (TITLE_PLACEHOLDERS.includes(placeholderType)) {
+            const title = renderTextBody(body[1], relationships, false).join(" ").replace(/\s+/g, " ");
+            if (title) titles.push(title);
+            continue;
+        }
+        blocks.push(...renderTextBody(body[1], relationships, placeholderType === "body"));
+    }
+    return { title: titles.join(" "), blocks };
+}
+
+/**
+ * Reads the slides of a Google Slides deck from its .pptx export.
+ * @param {ArrayBuffer} pptx - .pptx export of the deck
+ * @returns {Promise<Object[]>} Slides in deck order: [{ title, text, notes }] with Markdown text and notes
+ */
+export async function readPresentation(pptx) {
+    const files = await readZipFiles(
+        pptx,
+        (name) => name.startsWith("ppt/") && (name.endsWith(".xml") || name.endsWith(".rels")),
+        ".pptx"
+    );
+    const presentation = files["ppt/presentation.xml"];
+    if (!presentation) {
+        throw new Error("Received unexpected file format for the .pptx export");
+    }
+
+    const presentationRels = readRelationships(files, "ppt/presentation.xml");
+    return [...presentation.matchAll(/<p:sldId\b([^>]*)\/?>/g)]
+        .map((match) => presentationRels.get(readAttribute(match[1], "r:id")))
+        .filter((relationship) => relationship && files[relationship.target])
+        .map(({ target }) => {
+            const relationships = readRelationships(files, target);
+            const { title, blocks } = readShapes(files[target], relationships);
+
+            let notes = "";
+            const notesRel = [...relationships.values()].find((relationship) => relationship.type === "notesSlide");
+            if (notesRel && files[notesRel.target]) {
+                notes = readShapes(files[notesRel.target], readRelationships(files, notesRel.target)).blocks.join("\n\n");
+            }
+            return { title, text: blocks.join("\n\n"), notes };
+        });
+}
+
+/**
+ * Renders the slides as one Markdown document with a section per slide: its title, its image
+ * (when one was uploaded), its text and its speaker notes.
+ * @param {Object[]} slides - Slides from readPresentation
+ * @param {string[]} [imageUrls] - Image URL of each slide, by index ("" for none)
+ * @returns {string}
+ */
+export function renderSlidesMarkdown(slides, imageUrls = []) {
+    return slides.map((slide, index) => {
+        const number = index + 1;
+        const parts = [`## Slide ${number}${slide.title ? `: ${slide.title}` : ""}`];
+        if (imageUrls[index]) {
+            parts.push(`![Slide ${number}](${imageUrls[index]})`);
+        }
+        if (slide.text) {
+            parts.push(slide.text);
+        }
+        if (slide.notes) {
+            const quoted = slide.notes.split("\n").map((line) => (line ? `> ${line}` : ">")).join("\n");
+            parts.push(`> **Speaker notes**\n>\n${quoted}`);
+        }
+        return parts.join("\n\n");
+    }).join("\n\n");
+}
@@ -0,0 +1,163 @@
+// headerTemplate.js
+// Shared by background.js and the options page (template preview).
+
+export const HEADER_PLACEHOLDERS = [
+    "title",
+    "sourceUrl",
+    "owner",
+    "lastModified",
+    "clippedAt",
+    "clippedDate",
+    "collection",
+    "type"
+];
+
+// One "Label: value" line per header field.
+export const DEFAULT_HEADER_TEMPLATE = `Title: {{title}}
+Source: {{sourceUrl}}
+Owner: {{owner}}
+Last Modified: {{lastModified}}
+Clipped Date: {{clippedAt}}
+Collection: {{collection}}`;
+
+const NOT_SPECIFIED = "(Not specified)";
+
+// {{type}} values; anything else is a Google Doc
+const TYPE_NAMES = { sheet: "Google Sheet", slides: "Google Slides" };
+
+/**
+ * Replaces {{placeholder}} tokens with metadata values.
+ * Unknown placeholders are left untouched; empty values become "(Not specified)".
+ * @param {string} text - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string}
+ */
+function fillPlaceholders(text, values) {
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (token, name) => {
+        if (!HEADER_PLACEHOLDERS.includes(name)) return token;
+        const value = values[name];
+        return value === undefined || value === null || String(value).trim() === "" ? NOT_SPECIFIED : String(value);
+    });
+}
+
+/**
+ * Splits the filled template into header fields.
+ * @param {string} text - Filled template
+ * @returns {Array<{label: string, value: string}>}
+ */
+function parseFields(text) {
+    return text
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .map((line) => {
+            const separator = line.indexOf(":");
+            // Keep URLs ("https://...") intact when a line has no label.
+            if (separator <= 0 || line.slice(separator, separator + 3) === "://") {
+                return { label: "", value: line };
+            }
+            return { label: line.slice(0, separator).trim(), value: line.slice(separator + 1).trim() };
+        });
+}
+
+const renderers = {
+    table: (fields) => [
+        "| Field | Value |",
+        "| ---- | ---- |",
+        ...fields.map(({ label, value }) => `| ${label.replace(/\|/g, "\\|")} | ${value.replace(/\|/g, "\\|")} |`)
+    ].join("\n"),
+
+    frontmatter: (fields) => [
+        "```yaml",
+        "---",
+        ...fields.map(({ label, value }) => {
+            const key = (label || "note").toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+            return `${key}: ${JSON.stringify(value)}`;
+        }),
+        "---",
+        "```"
+    ].join("\n"),
+
+    blockquote: (fields) => fields
+        .map(({ label, value }) => (label ? `> **${label}:** ${value}` : `> ${value}`))
+        .join("\n>\n"),
+
+    footer: (fields) => [
+        "---",
+        ...fields.map(({ label, value }) => (label ? `_${label}: ${value}_` : `_${value}_`))
+    ].join("\n\n")
+};
+
+// Headers as the renderers above write them, and as Outline gives them back (e.g. "*" for "_")
+const TOP_HEADER_PATTERNS = [
+    /^\|\s*Field\s*\|\s*Value\s*\|.*(?:\n\|.*)*/,
+    /^```yaml\n---\n[\s\S]*?\n---\n```/,
+    /^> (?:\\?\*){2}[^*\n]+:(?:\\?\*){2}.*(?:\n>.*)*/
+];
+const FOOTER_PATTERN = /(?:^|\n)(?:---|\*\*\*|___)[ \t]*(?:\n+([_*]).*\1[ \t]*)+$/;
+
+/**
+ * Removes a metadata header written by the extension, in any style, from a document's text,
+ * e.g. to compare a saved document with a new export even if the header style was changed since.
+ * @param {string} markdown - Document text
+ * @returns {string} The text without its header
+ */
+export function stripHeader(markdown) {
+    const text = (markdown || "").replace(/\r\n/g, "\n").trim();
+    const topHeader = TOP_HEADER_PATTERNS.find((pattern) => pattern.test(text));
+    if (topHeader) {
+        return text.replace(topHeader, "").trim();
+    }
+    return text.replace(FOOTER_PATTERN, "").trim();
+}
+
+/**
+ * Describes where an excerpt comes from, e.g. "[Setup](https://docs.google.com/...#heading=h.x)".
+ * @param {Object} excerpt - { section, sectionUrl }
+ * @param {string} sourceUrl - URL of the whole document
+ * @returns {string}
+ */
+function describeExcerpt({ section, sectionUrl }, sourceUrl) {
+    const url = sectionUrl || sourceUrl;
+    if (!section) {
+        return url ? `Selection from [the source document](${url})` : "Selection from the source document";
+    }
+    return url ? `[${section.replace(/[[\]]/g, "\\$&")}](${url})` : section;
+}
+
+/**
+ * Renders the metadata header for a document.
+ * Excerpts always get an "Excerpt" field linking to the section they were taken from, and documents
+ * with an attached original an "Original file" field linking to it.
+ * @param {Object} metadata - { title, sourceUrl, owner, lastModified, collection, type, clippedAt,
+ *   excerpt: { section, sectionUrl }, originalFile: { name, url } }
+ * @param {Object} settings - { template, style }
+ * @returns {Object} { headerMarkdown, headerPosition } ("" when the template is empty)
+ */
+export function renderHeader(metadata, { template = DEFAULT_HEADER_TEMPLATE, style = "table" } = {}) {
+    const clippedAt = metadata.clippedAt || new Date().toISOString();
+    const values = {
+        ...metadata,
+        clippedAt,
+        clippedDate: clippedAt.split("T")[0],
+        type: TYPE_NAMES[metadata.type] || "Google Doc"
+    };
+
+    const fields = parseFields(fillPlaceholders(template || "", values));
+    if (metadata.excerpt) {
+        fields.push({ label: "Excerpt", value: describeExcerpt(metadata.excerpt, metadata.sourceUrl) });
+    }
+    if (metadata.originalFile) {
+        const { name, url } = metadata.originalFile;
+        fields.push({ label: "Original file", value: `[${name.replace(/[[\]]/g, "\\$&")}](${url})` });
+    }
+    if (fields.length === 0) {
+        return { headerMarkdown: "", headerPosition: "top" };
+    }
+
+    const renderer = renderers[style] || renderers.table;
+    return {
+        headerMarkdown: renderer(fields),
+        headerPosition: style === "footer" ? "bottom" : "top"
+    };
+}
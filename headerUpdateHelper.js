@@ -6,7 +6,8 @@ export async function appendHeaderToDocument(
     apiToken,
     docId,
     headerMarkdown,
-    position = 'bottom' // "top" to prepend, "bottom" to append
+    position = 'bottom', // "top" to prepend, "bottom" to append
+    publish = true // false keeps a draft unpublished
 ) {
     const api = new OutlineAPI(outlineUrl, apiToken);
     try {
@@ -22,7 +23,7 @@ export async function appendHeaderToDocument(
                 title: currentTitle, // Preserve title
                 text: newText,
                 append: false,
-                publish: true,
+                publish,
                 done: true
             });
             return result;
@@ -33,7 +34,7 @@ export async function appendHeaderToDocument(
                 title: currentTitle,
                 text: headerMarkdown,
                 append: true,
-                publish: true,
+                publish,
                 done: true
             });
             return result;
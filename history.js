@@ -0,0 +1,210 @@
+// history.js
+const TYPE_LABELS = {
+    doc: "Google Doc",
+    sheet: "Google Sheet",
+    workbook: "Workbook",
+    slides: "Google Slides",
+    header: "Header update"
+};
+const STATUS_LABELS = {
+    done: "Saved",
+    failed: "Failed",
+    cancelled: "Cancelled"
+};
+const EXPORT_FIELDS = [
+    "finishedAt",
+    "status",
+    "type",
+    "title",
+    "sourceUrl",
+    "collection",
+    "profile",
+    "outlineUrl",
+    "durationMs",
+    "error"
+];
+
+let historyEntries = [];
+
+function sendMessage(msg) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage(msg, (response) => {
+            if (chrome.runtime.lastError) {
+                return reject(chrome.runtime.lastError);
+            }
+            if (!response || !response.success) {
+                return reject(new Error((response && response.error) || "Unknown error"));
+            }
+            resolve(response);
+        });
+    });
+}
+
+function formatDuration(durationMs) {
+    if (durationMs === null || durationMs === undefined) return "";
+    return durationMs < 1000 ? `${durationMs} ms` : `${(durationMs / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Applies the search box and the status/type filters.
+ * @returns {Object[]} Matching entries, newest first
+ */
+function getFilteredEntries() {
+    const query = document.getElementById("historySearch").value.trim().toLowerCase();
+    const status = document.getElementById("historyStatus").value;
+    const type = document.getElementById("historyType").value;
+
+    return historyEntries.filter((entry) => {
+        if (status !== "all" && entry.status !== status) return false;
+        if (type !== "all" && entry.type !== type) return false;
+        if (!query) return true;
+        return [entry.title, entry.sourceUrl, entry.collection, entry.profile, entry.outlineUrl, entry.error]
+            .some((value) => (value || "").toLowerCase().includes(query));
+    });
+}
+
+function createLink(text, href) {
+    const link = document.createElement("a");
+    link.textContent = text;
+    link.href = href;
+    link.target = "_blank";
+    link.rel = "noopener";
+    return link;
+}
+
+function createCell(content, className) {
+    const cell = document.createElement("td");
+    if (className) cell.className = className;
+    if (content instanceof Node) {
+        cell.appendChild(content);
+    } else {
+        cell.textContent = content || "";
+    }
+    return cell;
+}
+
+function createRow(entry) {
+    const row = document.createElement("tr");
+    row.appendChild(createCell(new Date(entry.finishedAt).toLocaleString()));
+    row.appendChild(createCell(TYPE_LABELS[entry.type] || entry.type));
+
+    const titleText = entry.excerpt ? `${entry.title} (excerpt)` : entry.title;
+    const title = entry.sourceUrl
+        ? createLink(titleText || entry.sourceUrl, entry.sourceUrl)
+        : document.createTextNode(titleText || "(Untitled)");
+    row.appendChild(createCell(title));
+    row.appendChild(createCell(entry.collection));
+
+    const statusCell = createCell(STATUS_LABELS[entry.status] || entry.status, `status-${entry.status}`);
+    if (entry.error) {
+        const error = document.createElement("div");
+        error.className = "error";
+        error.textContent = entry.error;
+        statusCell.appendChild(error);
+    }
+    row.appendChild(statusCell);
+    row.appendChild(createCell(formatDuration(entry.durationMs)));
+
+    const actions = createCell("", "actions");
+    if (entry.outlineUrl) {
+        actions.appendChild(createLink("Open in Outline", entry.outlineUrl));
+    }
+    if (entry.status !== "done") {
+        const retryButton = document.createElement("button");
+        retryButton.type = "button";
+        retryButton.className = "secondary small";
+        retryButton.textContent = "Retry";
+        retryButton.addEventListener("click", () => retryEntry(entry, retryButton));
+        actions.appendChild(retryButton);
+    }
+    row.appendChild(actions);
+    return row;
+}
+
+function renderHistory() {
+    const entries = getFilteredEntries();
+    document.getElementById("historyRows").replaceChildren(...entries.map((entry) => createRow(entry)));
+    document.getElementById("historyEmpty").style.display = entries.length === 0 ? "block" : "none";
+    document.getElementById("historyEmpty").textContent = historyEntries.length === 0
+        ? "No saves recorded yet."
+        : "No entries match the filters.";
+    document.getElementById("historyCount").textContent = `${entries.length} of ${historyEntries.length} entries`;
+}
+
+async function loadHistory() {
+    try {
+        const { entries } = await sendMessage({ action: "getHistory" });
+        historyEntries = entries;
+    } catch (err) {
+        historyEntries = [];
+        alert("Could not load the history: " + err.message);
+    }
+    renderHistory();
+}
+
+async function retryEntry(entry, button) {
+    button.disabled = true;
+    button.textContent = "Retrying...";
+    try {
+        await sendMessage({ action: "retryHistoryEntry", entryId: entry.id });
+        // The retried save shows up as a new entry once it finishes
+        button.textContent = "Queued";
+    } catch (err) {
+        button.disabled = false;
+        button.textContent = "Retry";
+        alert("Retry failed: " + err.message);
+    }
+}
+
+function toCsvValue(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function downloadFile(fileName, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+document.getElementById("exportCsv").addEventListener("click", () => {
+    const lines = [EXPORT_FIELDS.join(",")].concat(
+        getFilteredEntries().map((entry) => EXPORT_FIELDS.map((field) => toCsvValue(entry[field])).join(","))
+    );
+    downloadFile(`outline-export-history-${new Date().toISOString().split("T")[0]}.csv`, "text/csv", lines.join("\n"));
+});
+
+document.getElementById("exportJson").addEventListener("click", () => {
+    downloadFile(
+        `outline-export-history-${new Date().toISOString().split("T")[0]}.json`,
+        "application/json",
+        JSON.stringify(getFilteredEntries(), null, 2)
+    );
+});
+
+document.getElementById("clearHistory").addEventListener("click", async () => {
+    if (!confirm("Clear the whole export history?")) return;
+    try {
+        await sendMessage({ action: "clearHistory" });
+    } catch (err) {
+        alert("Could not clear the history: " + err.message);
+    }
+    loadHistory();
+});
+
+["historySearch", "historyStatus", "historyType"].forEach((id) => {
+    document.getElementById(id).addEventListener("input", renderHistory);
+});
+
+// Refresh when a save (including a retry) finishes while the page is open
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes.exportHistory) {
+        historyEntries = changes.exportHistory.newValue || [];
+        renderHistory();
+    }
+});
+
+document.addEventListener("DOMContentLoaded", loadHistory);
@@ -0,0 +1,89 @@
+// imageAttachments.js
+import { logger } from './logger.js';
+
+// Images embedded by Google's Markdown export: base64 data URIs or short-lived googleusercontent links.
+const IMAGE_SOURCE = String.raw`data:image\/[a-zA-Z0-9.+-]+;base64,[A-Za-z0-9+/=\s]+|https:\/\/[^\s<>()]*googleusercontent\.com[^\s<>()]*`;
+const INLINE_IMAGE = new RegExp(String.raw`!\[([^\]]*)\]\(<?(${IMAGE_SOURCE})>?(\s+"[^"]*")?\)`, "g");
+const REFERENCE_DEFINITION = new RegExp(String.raw`^[ \t]*\[([^\]]+)\]:[ \t]*<?(${IMAGE_SOURCE})>?[^\n]*\n?`, "gm");
+const REFERENCE_IMAGE = /!\[([^\]]*)\]\[([^\]]*)\]/g;
+
+const EXTENSIONS = {
+    "image/png": "png",
+    "image/jpeg": "jpg",
+    "image/gif": "gif",
+    "image/webp": "webp",
+    "image/svg+xml": "svg"
+};
+
+/**
+ * Downloads an embedded image (data URI or remote URL) as a Blob.
+ * @param {string} source - Image source from the Markdown
+ * @returns {Promise<Blob>}
+ */
+async function fetchImage(source) {
+    const response = await fetch(source.replace(/\s+/g, ""));
+    if (!response.ok) {
+        throw new Error(`Failed to download image (Status: ${response.status})`);
+    }
+    return response.blob();
+}
+
+/**
+ * Uploads every embedded image in the exported Markdown as an Outline attachment and rewrites
+ * the references to the attachment URLs. Reference-style images (`![][image1]` with a
+ * `[image1]: <data:...>` definition, as Google exports them) are converted to inline images.
+ * Images that fail to upload keep their original reference.
+ * @param {OutlineAPI} api - Outline API instance
+ * @param {string} markdown - Exported Markdown
+ * @param {string|null} documentId - Document the attachments belong to, if it already exists
+ * @returns {Promise<string>} Markdown with rewritten image links
+ */
+export async function uploadEmbeddedImages(api, markdown, documentId = null) {
+    const sources = new Set();
+    for (const match of markdown.matchAll(INLINE_IMAGE)) sources.add(match[2]);
+    for (const match of markdown.matchAll(REFERENCE_DEFINITION)) sources.add(match[2]);
+
+    if (sources.size === 0) {
+        return markdown;
+    }
+    logger.info(`Uploading ${sources.size} embedded image(s) as attachments...`);
+
+    const uploaded = new Map();
+    let index = 0;
+    for (const source of sources) {
+        index++;
+        try {
+            const blob = await fetchImage(source);
+            const contentType = blob.type || "image/png";
+            const attachment = await api.uploadAttachment({
+                name: `image-${index}.${EXTENSIONS[contentType] || "png"}`,
+                contentType,
+                file: blob,
+                documentId
+            });
+            uploaded.set(source, attachment.url);
+        } catch (err) {
+            logger.error(`Failed to upload embedded image ${index}/${sources.size}: ${err.message}`);
+        }
+    }
+
+    // Resolve reference definitions that now point at attachments, and drop them.
+    const references = new Map();
+    let result = markdown.replace(REFERENCE_DEFINITION, (definition, label, source) => {
+        if (!uploaded.has(source)) return definition;
+        references.set(label.toLowerCase(), uploaded.get(source));
+        return "";
+    });
+
+    result = result.replace(REFERENCE_IMAGE, (image, alt, label) => {
+        const url = references.get((label || alt).toLowerCase());
+        return url ? `![${alt}](${url})` : image;
+    });
+
+    result = result.replace(INLINE_IMAGE, (image, alt, source, title = "") => {
+        return uploaded.has(source) ? `![${alt}](${uploaded.get(source)}${title})` : image;
+    });
+
+    logger.info(`Uploaded ${uploaded.size}/${sources.size} embedded image(s).`);
+    return result.replace(/\n{3,}$/, "\n");
+}
@@ -0,0 +1,136 @@
+// markdownDiff.js
+// Compares the text of a saved Outline document with a new export line by line, for the preview
+// shown before a linked document is overwritten. Blank lines are ignored, and lines are compared
+// without the differences Outline introduces when it stores Markdown (escapes, list markers,
+// image URLs replaced by attachments).
+
+const MAX_COMPARISONS = 4000000; // Past this, the changed middle is shown as removed, then added
+
+/**
+ * Shortens images for display and comparison: inline images keep their alt text only, reference
+ * images (`![][image1]`) become inline, and the definitions of embedded images are dropped.
+ * @param {string} markdown - Markdown text
+ * @returns {string}
+ */
+export function maskImages(markdown) {
+    return markdown
+        .replace(/^\s*\[[^\]\n]+\]:\s*<?(?:data:|https:\/\/[^\s>]*googleusercontent\.com)[^\n]*$/gm, "")
+        .replace(/!\[([^\]\n]*)\]\((?:[^()\s]|\([^()\s]*\))*(?:\s+"[^"\n]*")?\)/g, "![$1](…)")
+        .replace(/!\[([^\]\n]*)\]\[[^\]\n]*\]/g, "![$1](…)");
+}
+
+/**
+ * Reduces a line to what matters for the comparison.
+ * @param {string} line - Line with masked images
+ * @returns {string}
+ */
+function comparisonKey(line) {
+    return line
+        .replace(/\\([!-/:-@[-`{-~])/g, "$1")
+        .replace(/^(\s*)[*+-](?=\s)/, "$1-")
+        .replace(/^(\s*)\d+[.)](?=\s)/, "$11.")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+/**
+ * Splits Markdown into its non-blank lines.
+ * @param {string} markdown - Markdown text
+ * @returns {Array<{text: string, key: string}>}
+ */
+function splitLines(markdown) {
+    return maskImages(markdown.replace(/\r\n/g, "\n"))
+        .split("\n")
+        .filter((line) => line.trim() !== "")
+        .map((text) => ({ text, key: comparisonKey(text) }));
+}
+
+/**
+ * Lists the operations turning one list of lines into another, by longest common subsequence.
+ * @param {Object[]} before - Lines of the current text
+ * @param {Object[]} after - Lines of the new text
+ * @returns {Array<{type: string, text: string}>}
+ */
+function diffLines(before, after) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start].key === after[start].key) {
+        start++;
+    }
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1].key === after[endAfter - 1].key) {
+        endBefore--;
+        endAfter--;
+    }
+
+    const head = after.slice(0, start).map(({ text }) => ({ type: "same", text }));
+    const tail = after.slice(endAfter).map(({ text }) => ({ type: "same", text }));
+    const oldMiddle = before.slice(start, endBefore);
+    const newMiddle = after.slice(start, endAfter);
+    const rows = oldMiddle.length;
+    const columns = newMiddle.length;
+
+    if (rows * columns > MAX_COMPARISONS) {
+        return [
+            ...head,
+            ...oldMiddle.map(({ text }) => ({ type: "removed", text })),
+            ...newMiddle.map(({ text }) => ({ type: "added", text })),
+            ...tail
+        ];
+    }
+
+    // lengths[i * (columns + 1) + j]: longest common subsequence of oldMiddle[i..] and newMiddle[j..]
+    const width = columns + 1;
+    const lengths = new Uint32Array((rows + 1) * width);
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = columns - 1; j >= 0; j--) {
+            lengths[i * width + j] = oldMiddle[i].key === newMiddle[j].key
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < columns) {
+        if (oldMiddle[i].key === newMiddle[j].key) {
+            middle.push({ type: "same", text: newMiddle[j].text });
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            middle.push({ type: "removed", text: oldMiddle[i++].text });
+        } else {
+            middle.push({ type: "added", text: newMiddle[j++].text });
+        }
+    }
+    oldMiddle.slice(i).forEach(({ text }) => middle.push({ type: "removed", text }));
+    newMiddle.slice(j).forEach(({ text }) => middle.push({ type: "added", text }));
+
+    return [...head, ...middle, ...tail];
+}
+
+/**
+ * Compares two Markdown texts line by line.
+ * @param {string} oldMarkdown - Current text (without its metadata header)
+ * @param {string} newMarkdown - New text
+ * @returns {Object} { changes: [{ type: "same"|"added"|"removed", text }], added, removed } where
+ *   consecutive lines of the same type are joined into one change and added/removed count lines
+ */
+export function diffMarkdown(oldMarkdown, newMarkdown) {
+    const operations = diffLines(splitLines(oldMarkdown || ""), splitLines(newMarkdown || ""));
+    const changes = [];
+    let added = 0;
+    let removed = 0;
+    operations.forEach(({ type, text }) => {
+        if (type === "added") added++;
+        if (type === "removed") removed++;
+        const last = changes[changes.length - 1];
+        if (last && last.type === type) {
+            last.text += `\n${text}`;
+        } else {
+            changes.push({ type, text });
+        }
+    });
+    return { changes, added, removed };
+}
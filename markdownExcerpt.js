@@ -0,0 +1,147 @@
+// markdownExcerpt.js
+// Maps the text selected in the Docs editor to the matching lines of the document's Markdown export.
+
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const TABLE_ROW_PATTERN = /^\s*\|/;
+
+/**
+ * Removes Markdown syntax from a line, leaving the text as it reads in the editor.
+ * @param {string} line - Markdown line
+ * @returns {string}
+ */
+function stripMarkup(line) {
+    return line
+        .replace(/^\s{0,3}#{1,6}\s+/, "")                          // Heading markers
+        .replace(/^\s*>\s?/, "")                                   // Blockquotes
+        .replace(/^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/, "") // List markers and checkboxes
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, "")                      // Images
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")                   // Links keep their text
+        .replace(/\\([\\`*_{}[\]()#+\-.!|>~])/g, "$1")             // Escaped characters
+        .replace(/[*_~`|]/g, " ")                                  // Emphasis, code and table pipes
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+/**
+ * Reduces text to a comparable form: no markup, lowercase, single spaces.
+ * Both the export and the selection go through it, so markup the selection lacks doesn't matter.
+ * @param {string} text - Markdown or plain text
+ * @returns {string}
+ */
+function toComparable(text) {
+    return stripMarkup(text).toLowerCase();
+}
+
+function headingLevel(line) {
+    const match = line.match(HEADING_PATTERN);
+    return match ? match[1].length : 0;
+}
+
+/**
+ * Extracts the part of a Markdown export that matches the selected text.
+ * The selection is matched line by line (Docs paragraphs are single Markdown lines) and widened to
+ * whole lines and whole tables. A selection that is just a heading takes the heading's whole section.
+ * @param {string} markdown - Markdown export of the whole document
+ * @param {string} selectionText - Text selected in the editor
+ * @returns {Object|null} { markdown, heading: { text, level } | null } with the heading the excerpt
+ *   starts in, or null when the selection can't be found in the export
+ */
+export function extractExcerpt(markdown, selectionText) {
+    const lines = markdown.split("\n");
+    const comparable = lines.map(toComparable);
+    const selected = selectionText.split("\n").map(toComparable).filter(Boolean);
+
+    const findLine = (text, from) => {
+        for (let i = from; i < lines.length; i++) {
+            if (comparable[i] && comparable[i].includes(text)) return i;
+        }
+        return -1;
+    };
+
+    // The first selected line that appears in the export anchors the excerpt
+    let start = -1;
+    let next = 0;
+    while (start === -1 && next < selected.length) {
+        start = findLine(selected[next], 0);
+        next++;
+    }
+    if (start === -1) {
+        return null;
+    }
+
+    // Follow the remaining lines in order; lines that don't match (e.g. table cells) are skipped
+    let end = start;
+    for (const text of selected.slice(next)) {
+        const index = findLine(text, end);
+        if (index !== -1) end = index;
+    }
+
+    const level = headingLevel(lines[start]);
+    if (level && end === start && selected.length === 1 && comparable[start] === selected[0]) {
+        // A selected heading stands for its section: everything up to the next heading of the same or a higher level
+        end = lines.length - 1;
+        for (let i = start + 1; i < lines.length; i++) {
+            const nextLevel = headingLevel(lines[i]);
+            if (nextLevel && nextLevel <= level) {
+                end = i - 1;
+                break;
+            }
+        }
+    }
+
+    // Tables only render with their header row, so partially selected tables are taken whole
+    while (start > 0 && TABLE_ROW_PATTERN.test(lines[start]) && TABLE_ROW_PATTERN.test(lines[start - 1])) start--;
+    while (end < lines.length - 1 && TABLE_ROW_PATTERN.test(lines[end]) && TABLE_ROW_PATTERN.test(lines[end + 1])) end++;
+
+    let heading = null;
+    for (let i = start; i >= 0; i--) {
+        const headingMatch = lines[i].match(HEADING_PATTERN);
+        if (headingMatch) {
+            heading = { text: stripMarkup(headingMatch[2]), level: headingMatch[1].length };
+            break;
+        }
+    }
+
+    return { markdown: lines.slice(start, end + 1).join("\n").trim(), heading };
+}
+
+/**
+ * Tells whether text from the editor (e.g. a comment's quoted text) appears in a Markdown export.
+ * @param {string} markdown - Markdown export
+ * @param {string} text - Editor text, possibly spanning several paragraphs
+ * @returns {boolean}
+ */
+export function markdownContainsText(markdown, text) {
+    const flatten = (value) => value.split("\n").map(toComparable).filter(Boolean).join(" ");
+    const wanted = flatten(text);
+    return wanted !== "" && flatten(markdown).includes(wanted);
+}
+
+function decodeHtmlEntities(text) {
+    const named = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+        if (code[0] === "#") {
+            const value = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isNaN(value) ? entity : String.fromCodePoint(value);
+        }
+        return named[code.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Finds the ID Google Docs gives a heading, as used in "#heading=h.xxx" links.
+ * @param {string} html - HTML export of the document (its headings carry id="h.xxx")
+ * @param {string} headingText - Heading text as returned by extractExcerpt
+ * @returns {string|null} The heading ID, or null when no heading has that text
+ */
+export function findHeadingId(html, headingText) {
+    const wanted = toComparable(headingText);
+    const pattern = /<h[1-6]\b[^>]*\bid="(h\.[^"]+)"[^>]*>([\s\S]*?)<\/h[1-6]>/gi;
+    for (const match of html.matchAll(pattern)) {
+        const text = decodeHtmlEntities(match[2].replace(/<[^>]+>/g, ""));
+        if (toComparable(text) === wanted) {
+            return match[1];
+        }
+    }
+    return null;
+}
@@ -0,0 +1,335 @@
+// markdownNormalizer.js
+// Shared by background.js and the options page: cleans up quirks of Google's Markdown export before
+// a Doc is saved to Outline. Each rule can be turned off in the options.
+
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})/;
+const INLINE_CODE_PATTERN = /(`+)(?:(?!\1)[^\n])+?\1(?!`)/g;
+const HEADING_PATTERN = /^\s{0,3}#{1,6}\s/;
+const ORDERED_ITEM_PATTERN = /^(\s*)(\d+)([.)])(\s+)/;
+const THEMATIC_BREAK_PATTERN = /^\s{0,3}([*_-])(\s*\1){2,}\s*$/;
+const TABLE_ROW_PATTERN = /^\s*\|.*\|\s*$/;
+
+/**
+ * Splits Markdown into fenced code blocks and the text between them.
+ * @param {string} markdown - Markdown
+ * @returns {Object[]} [{ code, text }] in document order
+ */
+function splitFencedBlocks(markdown) {
+    const segments = [];
+    let current = { code: false, lines: [] };
+    let fence = null;
+    for (const line of markdown.split("\n")) {
+        if (!fence) {
+            const match = line.match(FENCE_PATTERN);
+            if (match) {
+                if (current.lines.length > 0) segments.push(current);
+                current = { code: true, lines: [line] };
+                fence = match[1];
+                continue;
+            }
+            current.lines.push(line);
+            continue;
+        }
+        current.lines.push(line);
+        const trimmed = line.trim();
+        if (trimmed.length >= fence.length && trimmed === fence[0].repeat(trimmed.length)) {
+            segments.push(current);
+            current = { code: false, lines: [] };
+            fence = null;
+        }
+    }
+    if (current.lines.length > 0) segments.push(current);
+    return segments.map((segment) => ({ code: segment.code, text: segment.lines.join("\n") }));
+}
+
+// Applies fn to the text outside fenced code blocks.
+function mapText(markdown, fn) {
+    return splitFencedBlocks(markdown).map((segment) => (segment.code ? segment.text : fn(segment.text))).join("\n");
+}
+
+/**
+ * Applies fn to the parts of each line outside code (fenced blocks and inline code spans).
+ * @param {string} markdown - Markdown
+ * @param {Function} fn - (text, atLineStart) => text
+ * @returns {string}
+ */
+function mapOutsideCode(markdown, fn) {
+    return mapText(markdown, (text) => text.split("\n").map((line) => {
+        let result = "";
+        let last = 0;
+        for (const match of line.matchAll(INLINE_CODE_PATTERN)) {
+            result += fn(line.slice(last, match.index), last === 0) + match[0];
+            last = match.index + match[0].length;
+        }
+        return result + fn(line.slice(last), last === 0);
+    }).join("\n"));
+}
+
+/**
+ * Applies fn to code: fenced code blocks and inline code spans.
+ * @param {string} markdown - Markdown
+ * @param {Function} fn - (code) => code
+ * @returns {string}
+ */
+function mapCode(markdown, fn) {
+    return splitFencedBlocks(markdown)
+        .map((segment) => (segment.code ? fn(segment.text) : segment.text.replace(INLINE_CODE_PATTERN, (span) => fn(span))))
+        .join("\n");
+}
+
+/**
+ * Removes backslash escapes Google adds to characters that need none where they stand.
+ * Escapes that prevent a list, heading, quote, link or emphasis are kept.
+ */
+function removeExtraEscapes(markdown) {
+    return mapOutsideCode(markdown, (text, atLineStart) => text.replace(/\\([_*#.\-+!()>~={}])/g, (escape, char, offset) => {
+        const before = text.slice(0, offset);
+        const after = text.slice(offset + 2);
+        const lineStart = atLineStart && /^\s*$/.test(before);
+        switch (char) {
+            case "_":
+                return /[\p{L}\p{N}]$/u.test(before) && /^[\p{L}\p{N}]/u.test(after) ? char : escape;
+            case "*":
+                return !lineStart && /(^|\s)$/.test(before) && /^(\s|$)/.test(after) ? char : escape;
+            case ".":
+            case ")":
+                // "1\." at the start of a line would become a numbered list
+                return (atLineStart && /^\s*\d+$/.test(before)) || (char === ")" && before.includes("](")) ? escape : char;
+            case "(":
+                return before.endsWith("]") ? escape : char;
+            case "!":
+                return after.startsWith("[") ? escape : char;
+            case "~":
+                return before.endsWith("~") || /^(\\?~)/.test(after) ? escape : char;
+            default:
+                // #, -, +, >, = start headings, lists, quotes and underlines at the start of a line
+                return lineStart ? escape : char;
+        }
+    }));
+}
+
+/**
+ * Replaces typographic quotes in code with plain ones, which the code needs to work when copied.
+ */
+function straightenQuotesInCode(markdown) {
+    return mapCode(markdown, (code) => code.replace(/[“”„‟″]/g, "\"").replace(/[‘’‚‛′]/g, "'"));
+}
+
+/**
+ * Removes heading IDs ("{#h.abc}") and empty bookmark anchors and links Google adds for internal links.
+ */
+function removeHeadingIds(markdown) {
+    return mapText(markdown, (text) => text.split("\n").map((line) => {
+        const cleaned = line
+            .replace(/<a\s+(?:name|id)="[^"]*"\s*>\s*<\/a>/g, "")
+            .replace(/\[\]\(#[^)]*\)/g, "");
+        return HEADING_PATTERN.test(cleaned) ? cleaned.replace(/\s*\{#[^}]*\}\s*$/, "") : cleaned;
+    }).join("\n"));
+}
+
+/**
+ * Removes empty bold runs ("****", "** **", "__ __").
+ */
+function removeEmptyEmphasis(markdown) {
+    return mapOutsideCode(markdown, (text, atLineStart) => {
+        if (atLineStart && THEMATIC_BREAK_PATTERN.test(text)) {
+            return text;
+        }
+        // The spaces inside the run are kept between words, but not at the start of a line
+        return text.replace(/(\*\*|__)([ \t]*)\1/g, (run, marker, spaces, offset) => (atLineStart && offset === 0 ? "" : spaces));
+    });
+}
+
+/**
+ * Numbers ordered lists continuously. Google exports every item as "1." and separates items with
+ * blank lines, so a list interrupted by nested content starts over at 1; blank lines between
+ * items are removed and the items renumbered from the list's first number.
+ */
+function renumberLists(markdown) {
+    return mapText(markdown, (text) => {
+        const lines = text.split("\n");
+        const output = [];
+        const runs = new Map(); // Indent -> { next, delimiter }
+        const orderedIndent = (line) => {
+            const match = line && line.match(ORDERED_ITEM_PATTERN);
+            return match ? match[1].length : -1;
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            if (line.trim() === "") {
+                // Blank lines between two items of the same list would make it a loose list
+                let next = i;
+                while (next < lines.length && lines[next].trim() === "") next++;
+                const previousIndent = orderedIndent(output[output.length - 1]);
+                if (previousIndent !== -1 && previousIndent === orderedIndent(lines[next])) {
+                    i = next - 1;
+                    continue;
+                }
+                output.push(line);
+                continue;
+            }
+
+            const match = line.match(ORDERED_ITEM_PATTERN);
+            const indent = line.match(/^\s*/)[0].length;
+            for (const runIndent of [...runs.keys()]) {
+                // Text at or left of a list's indent ends it, unless it's the next item
+                if (runIndent > indent || (runIndent === indent && !match)) runs.delete(runIndent);
+            }
+            if (!match) {
+                output.push(line);
+                continue;
+            }
+
+            const [prefix, spaces, start, delimiter, gap] = match;
+            const run = runs.get(spaces.length);
+            const number = run && run.delimiter === delimiter ? run.next : parseInt(start, 10);
+            runs.set(spaces.length, { next: number + 1, delimiter });
+            output.push(`${spaces}${number}${delimiter}${gap}${line.slice(prefix.length)}`);
+        }
+        return output.join("\n");
+    });
+}
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, "").replace(/\|$/, "").split(/(?<!\\)\|/);
+}
+
+function isDelimiterRow(line) {
+    return splitTableRow(line).every((cell) => /^\s*:?-+:?\s*$/.test(cell));
+}
+
+/**
+ * Gives every table a header row: tables without a delimiter row get one after their first row,
+ * and an empty header row is replaced by the first data row.
+ */
+function addTableHeaders(markdown) {
+    return mapText(markdown, (text) => {
+        const lines = text.split("\n");
+        const output = [];
+        for (let i = 0; i < lines.length; i++) {
+            if (!TABLE_ROW_PATTERN.test(lines[i])) {
+                output.push(lines[i]);
+                continue;
+            }
+            let end = i;
+            while (end + 1 < lines.length && TABLE_ROW_PATTERN.test(lines[end + 1])) end++;
+            let rows = lines.slice(i, end + 1);
+            i = end;
+
+            const delimiterIndex = rows.findIndex(isDelimiterRow);
+            if (delimiterIndex === -1) {
+                const columns = splitTableRow(rows[0]).length;
+                rows.splice(1, 0, `| ${Array(columns).fill("---").join(" | ")} |`);
+            } else if (delimiterIndex === 1 && rows.length > 2 && splitTableRow(rows[0]).every((cell) => cell.trim() === "")) {
+                rows = [rows[2], rows[1], ...rows.slice(3)];
+            }
+            output.push(...rows);
+        }
+        return output.join("\n");
+    });
+}
+
+/**
+ * Turns paragraphs set in a monospace font, which Google exports as lines that are one inline code
+ * span each, into fenced code blocks. Consecutive paragraphs become one block.
+ */
+function fenceMonospaceParagraphs(markdown) {
+    const readCodeLine = (line) => {
+        const match = line.match(/^(`+)((?:(?!\1)[^\n])+?)\1(?!`)\s*\\?\s*$/);
+        if (!match) return null;
+        const code = match[2];
+        // A code span drops one space on each side when both are there
+        return /^ .* $/.test(code) && code.trim() !== "" ? code.slice(1, -1) : code;
+    };
+
+    return mapText(markdown, (text) => {
+        const lines = text.split("\n");
+        const output = [];
+        for (let i = 0; i < lines.length; i++) {
+            const first = readCodeLine(lines[i]);
+            if (first === null) {
+                output.push(lines[i]);
+                continue;
+            }
+            const block = [first];
+            let next = i + 1;
+            while (next < lines.length) {
+                // Google separates paragraphs with one blank line
+                const skip = lines[next].trim() === "" ? 1 : 0;
+                const code = next + skip < lines.length ? readCodeLine(lines[next + skip]) : null;
+                if (code === null) break;
+                block.push(code);
+                next += skip + 1;
+            }
+            i = next - 1;
+
+            const longestRun = Math.max(0, ...block.join("\n").split(/[^`]+/).map((run) => run.length));
+            const fence = "`".repeat(Math.max(3, longestRun + 1));
+            output.push(fence, ...block, fence);
+        }
+        return output.join("\n");
+    });
+}
+
+/**
+ * The cleanup rules, in the order they run.
+ * Each has an ID (the key in the "markdownRules" setting), a label for the options page and a default.
+ */
+export const MARKDOWN_RULES = [
+    { id: "headingIds", label: "Remove heading IDs and empty anchors", enabledByDefault: true, apply: removeHeadingIds },
+    { id: "emptyEmphasis", label: "Remove empty bold runs", enabledByDefault: true, apply: removeEmptyEmphasis },
+    { id: "extraEscapes", label: "Remove unneeded backslash escapes (\\_, \\*, \\#, ...)", enabledByDefault: true, apply: removeExtraEscapes },
+    { id: "monospaceCodeBlocks", label: "Convert monospace paragraphs to fenced code blocks", enabledByDefault: true, apply: fenceMonospaceParagraphs },
+    { id: "codeQuotes", label: "Use straight quotes in code", enabledByDefault: true, apply: straightenQuotesInCode },
+    { id: "listNumbering", label: "Number ordered lists continuously", enabledByDefault: true, apply: renumberLists },
+    { id: "tableHeaders", label: "Give tables a header row", enabledByDefault: true, apply: addTableHeaders }
+];
+
+/**
+ * Tells whether a rule is on.
+ * @param {Object} rule - Entry of MARKDOWN_RULES
+ * @param {Object} [settings] - The "markdownRules" setting: rule ID -> enabled
+ * @returns {boolean}
+ */
+export function isRuleEnabled(rule, settings = {}) {
+    return typeof settings[rule.id] === "boolean" ? settings[rule.id] : rule.enabledByDefault;
+}
+
+/**
+ * Runs the enabled cleanup rules over a Markdown export.
+ * @param {string} markdown - Markdown exported by Google Docs
+ * @param {Object} [settings] - The "markdownRules" setting: rule ID -> enabled (missing rules use their default)
+ * @returns {string} The cleaned Markdown
+ */
+export function normalizeMarkdown(markdown, settings = {}) {
+    return MARKDOWN_RULES
+        .filter((rule) => isRuleEnabled(rule, settings))
+        .reduce((text, rule) => rule.apply(text), markdown);
+}
+
+// Sample export with one of each quirk, for the preview on the options page
+export const NORMALIZATION_SAMPLE = [
+    "# Release Notes {#h.3k2j1x9opq}",
+    "",
+    "Set the new\\_config\\_file option \\(optional\\) \\- see below\\.****",
+    "",
+    "** **Setup",
+    "",
+    "1. Install the package",
+    "",
+    "    * Needs Node 18",
+    "",
+    "1. Run the setup script",
+    "",
+    "1. Restart the server",
+    "",
+    "`npm install --save “outline-client”`",
+    "",
+    "`const name = ‘docs’;`",
+    "",
+    "|  |  |",
+    "| --- | --- |",
+    "| Option | Default |",
+    "| timeout | 30 |"
+].join("\n");
@@ -0,0 +1,86 @@
+// officeArchive.js
+// Reads the XML parts of Office files exported by Google (.docx for Docs, .pptx for Slides).
+
+/**
+ * Inflates a raw DEFLATE stream (zip compression method 8).
+ * @param {Uint8Array} bytes - Compressed data
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reads text files from a zip archive through its central directory.
+ * @param {ArrayBuffer} buffer - Zip archive
+ * @param {string[]|Function} wanted - Paths of the files to read, or a (path) => boolean filter
+ * @param {string} [format] - File format, for error messages (e.g. ".docx")
+ * @returns {Promise<Object>} Map of path -> file text, for the files that exist
+ */
+export async function readZipFiles(buffer, wanted, format = "zip") {
+    const isWanted = typeof wanted === "function" ? wanted : (name) => wanted.includes(name);
+    const view = new DataView(buffer);
+    let directoryEnd = -1;
+    // The end-of-directory record is followed by a comment of at most 64 KB
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            directoryEnd = i;
+            break;
+        }
+    }
+    if (directoryEnd === -1) {
+        throw new Error(`Received unexpected file format for the ${format} export`);
+    }
+
+    const decoder = new TextDecoder();
+    const files = {};
+    const count = view.getUint16(directoryEnd + 10, true);
+    let offset = view.getUint32(directoryEnd + 16, true);
+    for (let i = 0; i < count && view.getUint32(offset, true) === 0x02014b50; i++) {
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (!isWanted(name)) continue;
+        if (method !== 0 && method !== 8) {
+            throw new Error(`Unsupported compression in the ${format} export (${name})`);
+        }
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = new Uint8Array(buffer, dataStart, compressedSize);
+        files[name] = decoder.decode(method === 0 ? data : await inflateRaw(data));
+    }
+    return files;
+}
+
+/**
+ * Replaces the XML entities of a text node or attribute value.
+ * @param {string} text - Escaped text
+ * @returns {string}
+ */
+export function decodeXml(text) {
+    const named = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+        if (code[0] === "#") {
+            const value = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isNaN(value) ? entity : String.fromCodePoint(value);
+        }
+        return named[code.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Reads an attribute from the attribute string of a tag.
+ * @param {string} attributes - Attributes of the tag, e.g. ` w:id="3" w:author="Jane"`
+ * @param {string} name - Attribute name
+ * @returns {string} The decoded value, or "" when the attribute is missing
+ */
+export function readAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+    return match ? decodeXml(match[1]) : "";
+}
@@ -1,32 +1,352 @@
 // options.js
-document.getElementById("settings-form").addEventListener("submit", (e) => {
+document.getElementById("settings-form").addEventListener("submit", async (e) => {
     e.preventDefault();
-    const outlineUrl = document.getElementById("outlineUrl").value.trim();
-    if (!isValidUrl(outlineUrl)) {
-        alert("Please enter a valid URL for the Outline API Base URL.");
+    readProfileForm();
+    const tokenMode = document.getElementById("tokenStorage").value;
+    const passphrase = document.getElementById("tokenPassphrase").value;
+    if (tokenMode === "encrypted" && tokenStorage.locked) {
+        alert("Unlock the API tokens first, or choose another way to store them and enter the tokens again.");
+        return;
+    }
+    if (tokenMode === "encrypted" && tokenStorage.mode !== "encrypted" && !passphrase) {
+        alert("Enter a passphrase to encrypt the API tokens with.");
         return;
+    }
+    for (const profile of profiles) {
+        if (!profile.outlineUrl || !profile.apiToken) {
+            showProfile(profile.id);
+            alert(`Both API Base URL and API Token are required (profile "${profile.name}").`);
+            return;
+        }
+        if (!isValidUrl(profile.outlineUrl)) {
+            showProfile(profile.id);
+            alert(`Please enter a valid URL for the Outline API Base URL (profile "${profile.name}").`);
+            return;
         }
+        // Use default values if the inputs are left empty
+        profile.googleDocsCollectionName = profile.googleDocsCollectionName || "google-docs";
+        profile.googleSheetsCollectionName = profile.googleSheetsCollectionName || "google-sheets";
+        profile.googleSlidesCollectionName = profile.googleSlidesCollectionName || "google-slides";
+    }
 
-    const apiToken = document.getElementById("apiToken").value.trim();
-    // Use default values if the inputs are left empty
-    const googleDocsCollectionName = document.getElementById("googleDocsCollectionName").value.trim() || "google-docs";
-    const googleSheetsCollectionName = document.getElementById("googleSheetsCollectionName").value.trim() || "google-sheets";
     const enableSaveButton = document.getElementById("enableSaveButton").checked;
+    const showSaveDialog = document.getElementById("showSaveDialog").checked;
+    const detectDuplicates = document.getElementById("detectDuplicates").checked;
+    const previewOverwrite = document.getElementById("previewOverwrite").checked;
+    const driveMetadata = document.getElementById("driveMetadata").checked;
+    const carryComments = document.getElementById("carryComments").checked;
+    const attachOriginal = document.getElementById("attachOriginal").checked;
+    const originalDocFormat = document.getElementById("originalDocFormat").value || "docx";
+    const originalSheetFormat = document.getElementById("originalSheetFormat").value || "xlsx";
+    const originalMaxSizeValue = parseInt(document.getElementById("originalMaxSizeMb").value, 10);
+    const originalMaxSizeMb = Number.isNaN(originalMaxSizeValue) ? 10 : Math.max(0, originalMaxSizeValue);
+    const sheetExportMode = document.getElementById("sheetExportMode").value || "activeSheet";
+    const sheetImportFormat = document.getElementById("sheetImportFormat").value || "markdown";
+    const sheetMaxRowsValue = parseInt(document.getElementById("sheetMaxRows").value, 10);
+    const sheetMaxRows = Number.isNaN(sheetMaxRowsValue) ? 1000 : Math.max(0, sheetMaxRowsValue);
+    const autoSyncInterval = parseInt(document.getElementById("autoSyncInterval").value, 10) || 60;
 
-    if (!outlineUrl || !apiToken) {
-        alert("Both API Base URL and API Token are required.");
+    const routingRules = readRoutingRules();
+    const headerStyle = document.getElementById("headerStyle").value || "table";
+    const headerTemplate = document.getElementById("headerTemplate").value;
+    const markdownRules = readMarkdownRules();
+
+    const { LEGACY_PROFILE_KEYS } = await import("./profiles.js");
+    const { saveApiTokens, getTokenStorage, getApiTokens } = await import("./apiTokens.js");
+    try {
+        const saved = tokenStorage.locked ? {} : await getApiTokens();
+        const tokens = Object.fromEntries(profiles.map((profile) => {
+            const savedToken = saved[profile.id];
+            // The background may have refreshed this sign-in since the page was loaded: keep its newer tokens
+            const sameSignIn = isSignedIn(profile) && savedToken && savedToken.signedInAt === profile.apiToken.signedInAt;
+            return [profile.id, sameSignIn ? savedToken : profile.apiToken];
+        }));
+        await saveApiTokens(tokens, { mode: tokenMode, passphrase });
+    } catch (err) {
+        alert("Could not save the API tokens: " + err.message);
         return;
     }
+    document.getElementById("tokenPassphrase").value = "";
+    delete document.getElementById("tokenStorage").dataset.changed;
+    tokenStorage = await getTokenStorage();
+    renderTokenStorage();
 
-    chrome.storage.sync.set({ outlineUrl, apiToken, googleDocsCollectionName, googleSheetsCollectionName, enableSaveButton }, () => {
-        alert("Settings saved!");
+    // Tokens are kept apart from the synced profiles
+    const storedProfiles = profiles.map(({ apiToken, ...profile }) => profile);
+    chrome.storage.sync.set({ profiles: storedProfiles, defaultProfileId, enableSaveButton, sheetExportMode, sheetImportFormat, sheetMaxRows, autoSyncInterval, routingRules, headerStyle, headerTemplate, driveMetadata, showSaveDialog, detectDuplicates, previewOverwrite, carryComments, attachOriginal, originalDocFormat, originalSheetFormat, originalMaxSizeMb, markdownRules }, () => {
+        // The single-workspace settings now live in the "default" profile
+        chrome.storage.sync.remove(LEGACY_PROFILE_KEYS, () => {
+            alert("Settings saved!");
+        });
     });
 });
 
+/* --- Outline profiles --- */
+
+const PROFILE_FIELDS = [
+    "outlineUrl",
+    "apiToken",
+    "oauthClientId",
+    "googleDocsCollectionName",
+    "googleSheetsCollectionName",
+    "googleSlidesCollectionName"
+];
+
+let profiles = [];
+let defaultProfileId = "";
+let selectedProfileId = "";
+let tokenStorage = { mode: "local", locked: false };
+
+function createProfile(id, name) {
+    return {
+        id,
+        name,
+        outlineUrl: "",
+        apiToken: "",
+        oauthClientId: "",
+        googleDocsCollectionName: "",
+        googleSheetsCollectionName: "",
+        googleSlidesCollectionName: ""
+    };
+}
+
+function getSelectedProfile() {
+    return profiles.find((profile) => profile.id === selectedProfileId);
+}
+
+// Copies the form fields into the profile being edited.
+function readProfileForm() {
+    const profile = getSelectedProfile();
+    if (!profile) return;
+    profile.name = document.getElementById("profileName").value.trim() || profile.name;
+    PROFILE_FIELDS.forEach((field) => {
+        if (field === "apiToken" && isSignedIn(profile)) return; // The sign-in replaces the token field
+        profile[field] = document.getElementById(field).value.trim();
+    });
+}
+
+function renderProfileList() {
+    const select = document.getElementById("profileSelect");
+    select.replaceChildren(...profiles.map((profile) => {
+        const option = document.createElement("option");
+        option.value = profile.id;
+        option.textContent = profile.id === defaultProfileId ? `${profile.name} (default)` : profile.name;
+        return option;
+    }));
+    select.value = selectedProfileId;
+    document.getElementById("deleteProfile").disabled = profiles.length < 2;
+}
+
+function showProfile(profileId) {
+    selectedProfileId = profileId;
+    const profile = getSelectedProfile();
+    document.getElementById("profileName").value = profile.name;
+    document.getElementById("profileIsDefault").checked = profile.id === defaultProfileId;
+    PROFILE_FIELDS.forEach((field) => {
+        document.getElementById(field).value = isSignedIn(profile) && field === "apiToken" ? "" : profile[field] || "";
+    });
+    document.getElementById("oauthClientSecret").value = "";
+    document.getElementById("connectionStatus").textContent = "";
+    showApiToken(false);
+    renderSignIn();
+    renderProfileList();
+}
+
+async function loadProfiles() {
+    const { DEFAULT_PROFILE_ID, getProfileSettings } = await import("./profiles.js");
+    const { migrateApiTokens, getTokenStorage, getApiTokens } = await import("./apiTokens.js");
+    try {
+        await migrateApiTokens();
+    } catch (err) {
+        alert("Could not move the API tokens out of synced storage: " + err.message);
+    }
+    tokenStorage = await getTokenStorage();
+    const tokens = tokenStorage.locked ? {} : await getApiTokens();
+    const settings = await getProfileSettings();
+    profiles = (settings.profiles.length > 0 ? settings.profiles : [createProfile(DEFAULT_PROFILE_ID, "Default")])
+        .map((profile) => ({ ...profile, apiToken: tokens[profile.id] || "" }));
+    document.getElementById("oauthRedirectUrl").textContent = chrome.identity.getRedirectURL("outline");
+    defaultProfileId = settings.profiles.length > 0 ? settings.defaultProfileId : DEFAULT_PROFILE_ID;
+    showProfile(defaultProfileId);
+    renderTokenStorage();
+}
+
+document.getElementById("profileSelect").addEventListener("change", (event) => {
+    readProfileForm();
+    showProfile(event.target.value);
+});
+
+document.getElementById("profileName").addEventListener("change", () => {
+    readProfileForm();
+    renderProfileList();
+});
+
+document.getElementById("profileIsDefault").addEventListener("change", (event) => {
+    if (event.target.checked) {
+        defaultProfileId = selectedProfileId;
+    } else if (defaultProfileId === selectedProfileId) {
+        // One profile is always the default: pick another one to change it
+        event.target.checked = true;
+    }
+    renderProfileList();
+});
+
+document.getElementById("addProfile").addEventListener("click", async () => {
+    const { createProfileId } = await import("./profiles.js");
+    readProfileForm();
+    const profile = createProfile(createProfileId(), `Profile ${profiles.length + 1}`);
+    profiles.push(profile);
+    showProfile(profile.id);
+    document.getElementById("profileName").focus();
+});
+
+document.getElementById("deleteProfile").addEventListener("click", () => {
+    const profile = getSelectedProfile();
+    if (!profile || profiles.length < 2) return;
+    if (!confirm(`Delete the profile "${profile.name}"? This takes effect when you save the settings.`)) return;
+    profiles = profiles.filter((entry) => entry.id !== profile.id);
+    if (defaultProfileId === profile.id) {
+        defaultProfileId = profiles[0].id;
+    }
+    showProfile(defaultProfileId);
+});
+
+/* --- API token storage --- */
+
+function showApiToken(visible) {
+    document.getElementById("apiToken").type = visible ? "text" : "password";
+    document.getElementById("toggleApiToken").textContent = visible ? "Hide" : "Show";
+}
+
+document.getElementById("toggleApiToken").addEventListener("click", () => {
+    showApiToken(document.getElementById("apiToken").type === "password");
+});
+
+function renderTokenStorage() {
+    const select = document.getElementById("tokenStorage");
+    if (!select.dataset.changed) {
+        select.value = tokenStorage.mode;
+    }
+    const encrypted = select.value === "encrypted";
+    // Locked tokens can only be unlocked, or replaced by choosing another storage
+    const locked = tokenStorage.locked && encrypted;
+
+    document.getElementById("tokenPassphraseGroup").style.display = encrypted ? "block" : "none";
+    document.getElementById("unlockTokens").style.display = locked ? "inline-block" : "none";
+    document.getElementById("lockTokens").style.display = tokenStorage.mode === "encrypted" && !tokenStorage.locked ? "inline-block" : "none";
+
+    let hint = "You enter the passphrase once per browser session to unlock the tokens. It can't be recovered: if you forget it, choose another option and enter the tokens again.";
+    if (locked) {
+        hint = "The tokens are locked. Enter the passphrase and click Unlock.";
+    } else if (tokenStorage.mode === "encrypted") {
+        hint = "Leave empty to keep the current passphrase, or enter a new one.";
+    }
+    document.getElementById("tokenPassphraseHint").textContent = hint;
+    renderSignIn();
+}
+
+document.getElementById("tokenStorage").addEventListener("change", (event) => {
+    event.target.dataset.changed = "true";
+    renderTokenStorage();
+});
+
+document.getElementById("unlockTokens").addEventListener("click", async () => {
+    const passphraseInput = document.getElementById("tokenPassphrase");
+    const { unlockApiTokens } = await import("./apiTokens.js");
+    try {
+        const tokens = await unlockApiTokens(passphraseInput.value);
+        profiles.forEach((profile) => {
+            profile.apiToken = tokens[profile.id] || "";
+        });
+    } catch (err) {
+        alert("Could not unlock the API tokens: " + err.message);
+        return;
+    }
+    passphraseInput.value = "";
+    tokenStorage = { mode: "encrypted", locked: false };
+    renderTokenStorage();
+    showProfile(selectedProfileId);
+});
+
+document.getElementById("lockTokens").addEventListener("click", async () => {
+    const { lockApiTokens } = await import("./apiTokens.js");
+    await lockApiTokens();
+    profiles.forEach((profile) => {
+        profile.apiToken = "";
+    });
+    tokenStorage = { mode: "encrypted", locked: true };
+    delete document.getElementById("tokenStorage").dataset.changed;
+    renderTokenStorage();
+    showProfile(selectedProfileId);
+});
+
+/* --- OAuth sign-in --- */
+
+// A profile signed in with OAuth holds its credential object instead of an API token string.
+function isSignedIn(profile) {
+    return Boolean(profile && profile.apiToken && typeof profile.apiToken === "object");
+}
+
+function renderSignIn() {
+    const profile = getSelectedProfile();
+    const signedIn = isSignedIn(profile);
+    const locked = tokenStorage.locked && document.getElementById("tokenStorage").value === "encrypted";
+
+    document.getElementById("apiTokenField").style.display = signedIn ? "none" : "flex";
+    document.getElementById("oauthAccount").style.display = signedIn ? "flex" : "none";
+    document.getElementById("oauthSignInGroup").style.display = signedIn || locked ? "none" : "block";
+    // Disabled fields aren't required, so a signed-in or locked profile can still be saved
+    document.getElementById("apiToken").disabled = signedIn || locked;
+    document.getElementById("apiToken").placeholder = locked ? "Locked" : "Your API token";
+    document.getElementById("toggleApiToken").disabled = locked;
+
+    if (signedIn) {
+        const account = profile.apiToken.account;
+        document.getElementById("oauthAccountStatus").textContent = account
+            ? `Connected as ${account.user} @ ${account.team} (OAuth)`
+            : "Signed in with OAuth";
+    }
+}
+
+document.getElementById("oauthSignIn").addEventListener("click", async () => {
+    const outlineUrl = document.getElementById("outlineUrl").value.trim();
+    const clientId = document.getElementById("oauthClientId").value.trim();
+    const clientSecret = document.getElementById("oauthClientSecret").value.trim();
+    const connectionStatus = document.getElementById("connectionStatus");
+
+    if (!isValidUrl(outlineUrl) || !clientId) {
+        connectionStatus.textContent = "Enter the Outline API Base URL and the OAuth client ID before signing in.";
+        connectionStatus.style.color = "red";
+        return;
+    }
+
+    connectionStatus.textContent = "Signing in...";
+    connectionStatus.style.color = "";
+    try {
+        const { signIn, describeAccount } = await import("./outlineOAuth.js");
+        const credential = await signIn({ outlineUrl, clientId, clientSecret });
+        readProfileForm();
+        getSelectedProfile().apiToken = credential;
+        showProfile(selectedProfileId);
+        connectionStatus.textContent = `${describeAccount(credential.account)}. Save the settings to keep this sign-in.`;
+        connectionStatus.style.color = "green";
+    } catch (err) {
+        connectionStatus.textContent = "Sign-in failed: " + err.message;
+        connectionStatus.style.color = "red";
+    }
+});
+
+document.getElementById("oauthSignOut").addEventListener("click", () => {
+    readProfileForm();
+    getSelectedProfile().apiToken = "";
+    showProfile(selectedProfileId);
+    document.getElementById("apiToken").focus();
+});
 
 document.getElementById("testConnection").addEventListener("click", async () => {
+    const profile = getSelectedProfile();
     const outlineUrl = document.getElementById("outlineUrl").value.trim();
-    const apiToken = document.getElementById("apiToken").value.trim();
+    const apiToken = isSignedIn(profile) ? profile.apiToken.accessToken : document.getElementById("apiToken").value.trim();
     const connectionStatus = document.getElementById("connectionStatus");
 
     if (!outlineUrl || !apiToken) {
@@ -36,6 +356,20 @@ document.getElementById("testConnection").addEventListener("click", async () =>
 
     connectionStatus.textContent = "Testing connection...";
 
+    const { describeAccount, readAccount, isCredentialExpired } = await import("./outlineOAuth.js");
+    if (isSignedIn(profile) && isCredentialExpired(profile.apiToken)) {
+        // Only the background refreshes saved sign-ins, so an expired one is tested through it
+        try {
+            const { account } = await sendMessage({ action: "getAuthInfo", profileId: profile.id });
+            connectionStatus.textContent = describeAccount(account);
+            connectionStatus.style.color = "green";
+        } catch (err) {
+            connectionStatus.textContent = "Connection failed: " + err.message;
+            connectionStatus.style.color = "red";
+        }
+        return;
+    }
+
     // Remove trailing slashes and build the test endpoint URL
     const testEndpoint = `${outlineUrl.replace(/\/+$/, '')}/api/auth.info`;
 
@@ -48,7 +382,7 @@ document.getElementById("testConnection").addEventListener("click", async () =>
             }
         });
         if (response.ok) {
-            connectionStatus.textContent = "Connection successful!";
+            connectionStatus.textContent = describeAccount(readAccount(await response.json()));
             connectionStatus.style.color = "green";
         } else {
             connectionStatus.textContent = `Connection failed: ${response.status} ${response.statusText}`;
@@ -62,27 +396,345 @@ document.getElementById("testConnection").addEventListener("click", async () =>
 
 // Load saved settings on page load
 document.addEventListener("DOMContentLoaded", () => {
+    loadProfiles();
     chrome.storage.sync.get(
-        ["outlineUrl", "apiToken", "googleDocsCollectionName", "googleSheetsCollectionName", "enableSaveButton"],
+        ["enableSaveButton", "sheetExportMode", "sheetImportFormat", "sheetMaxRows", "autoSyncInterval", "routingRules", "headerStyle", "headerTemplate", "driveMetadata", "showSaveDialog", "detectDuplicates", "previewOverwrite", "carryComments", "attachOriginal", "originalDocFormat", "originalSheetFormat", "originalMaxSizeMb", "markdownRules"],
         (result) => {
-            if (result.outlineUrl) {
-                document.getElementById("outlineUrl").value = result.outlineUrl;
+            if (result.sheetExportMode) {
+                document.getElementById("sheetExportMode").value = result.sheetExportMode;
+            }
+            if (result.sheetImportFormat) {
+                document.getElementById("sheetImportFormat").value = result.sheetImportFormat;
+            }
+            if (result.sheetMaxRows !== undefined) {
+                document.getElementById("sheetMaxRows").value = result.sheetMaxRows;
             }
-            if (result.apiToken) {
-                document.getElementById("apiToken").value = result.apiToken;
+            if (result.autoSyncInterval) {
+                document.getElementById("autoSyncInterval").value = String(result.autoSyncInterval);
             }
-            if (result.googleDocsCollectionName) {
-                document.getElementById("googleDocsCollectionName").value = result.googleDocsCollectionName;
+            if (result.originalDocFormat) {
+                document.getElementById("originalDocFormat").value = result.originalDocFormat;
             }
-            if (result.googleSheetsCollectionName) {
-                document.getElementById("googleSheetsCollectionName").value = result.googleSheetsCollectionName;
+            if (result.originalSheetFormat) {
+                document.getElementById("originalSheetFormat").value = result.originalSheetFormat;
             }
+            if (result.originalMaxSizeMb !== undefined) {
+                document.getElementById("originalMaxSizeMb").value = result.originalMaxSizeMb;
+            }
+            renderRoutingRules(result.routingRules || []);
+            if (result.headerStyle) {
+                document.getElementById("headerStyle").value = result.headerStyle;
+            }
+            loadHeaderTemplate(result.headerTemplate);
+            renderMarkdownRules(result.markdownRules || {});
             // Set the checkbox state (default to true if not set)
             document.getElementById("enableSaveButton").checked = result.enableSaveButton !== false;
+            document.getElementById("showSaveDialog").checked = result.showSaveDialog === true;
+            document.getElementById("detectDuplicates").checked = result.detectDuplicates !== false;
+            document.getElementById("previewOverwrite").checked = result.previewOverwrite !== false;
+            document.getElementById("driveMetadata").checked = result.driveMetadata === true;
+            document.getElementById("carryComments").checked = result.carryComments === true;
+            document.getElementById("attachOriginal").checked = result.attachOriginal === true;
         }
     );
 });
 
+/* --- Metadata header template --- */
+
+async function loadHeaderTemplate(savedTemplate) {
+    const { DEFAULT_HEADER_TEMPLATE } = await import("./headerTemplate.js");
+    document.getElementById("headerTemplate").value =
+        typeof savedTemplate === "string" ? savedTemplate : DEFAULT_HEADER_TEMPLATE;
+}
+
+// Render the current template and style with sample metadata.
+document.getElementById("previewHeader").addEventListener("click", async () => {
+    const preview = document.getElementById("headerPreview");
+    try {
+        const { renderHeader } = await import("./headerTemplate.js");
+        const { headerMarkdown, headerPosition } = renderHeader(
+            {
+                title: "Quarterly Planning",
+                sourceUrl: "https://docs.google.com/document/d/1AbCdEf/edit",
+                owner: "jane@example.com",
+                lastModified: "2025-03-14T09:26:53.000Z",
+                collection: document.getElementById("googleDocsCollectionName").value.trim() || "google-docs",
+                type: "doc"
+            },
+            {
+                template: document.getElementById("headerTemplate").value,
+                style: document.getElementById("headerStyle").value
+            }
+        );
+        preview.textContent = headerMarkdown
+            ? `(${headerPosition === "bottom" ? "appended at the bottom" : "prepended at the top"})\n\n${headerMarkdown}`
+            : "(no header)";
+    } catch (err) {
+        preview.textContent = "Preview failed: " + err.message;
+    }
+});
+
+// The background reads Drive metadata without prompting, so ask for consent when it is turned on.
+document.getElementById("driveMetadata").addEventListener("change", (event) => {
+    if (!event.target.checked) {
+        return;
+    }
+    chrome.identity.getAuthToken({ interactive: true }, (result) => {
+        const token = typeof result === "string" ? result : result && result.token;
+        if (chrome.runtime.lastError || !token) {
+            event.target.checked = false;
+            alert("Could not connect Google Drive: " + (chrome.runtime.lastError ? chrome.runtime.lastError.message : "no access was granted"));
+        }
+    });
+});
+
+/* --- Markdown cleanup rules --- */
+
+async function renderMarkdownRules(settings) {
+    const { MARKDOWN_RULES, NORMALIZATION_SAMPLE, isRuleEnabled } = await import("./markdownNormalizer.js");
+    document.getElementById("markdownRules").replaceChildren(...MARKDOWN_RULES.map((rule) => {
+        const label = document.createElement("label");
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.className = "markdown-rule";
+        checkbox.value = rule.id;
+        checkbox.checked = isRuleEnabled(rule, settings);
+        label.append(checkbox, ` ${rule.label}`);
+        return label;
+    }));
+    const sample = document.getElementById("normalizationSample");
+    if (!sample.value) {
+        sample.value = NORMALIZATION_SAMPLE;
+    }
+}
+
+function readMarkdownRules() {
+    return Object.fromEntries(Array.from(document.querySelectorAll("#markdownRules .markdown-rule"))
+        .map((checkbox) => [checkbox.value, checkbox.checked]));
+}
+
+// Show the sample before (in the text area) and after the checked rules.
+document.getElementById("previewNormalization").addEventListener("click", async () => {
+    const preview = document.getElementById("normalizationPreview");
+    try {
+        const { normalizeMarkdown } = await import("./markdownNormalizer.js");
+        preview.textContent = normalizeMarkdown(document.getElementById("normalizationSample").value, readMarkdownRules()) || "(empty)";
+    } catch (err) {
+        preview.textContent = "Preview failed: " + err.message;
+    }
+});
+
+/* --- Routing rules editor --- */
+
+const RULE_FIELDS = [["title", "Title"], ["url", "URL"]];
+const RULE_OPERATORS = [["matches", "matches regex"], ["contains", "contains"]];
+const RULE_TYPES = [["any", "Docs, Sheets & Slides"], ["doc", "Docs only"], ["sheet", "Sheets only"], ["slides", "Slides only"]];
+
+function createSelect(className, choices, value) {
+    const select = document.createElement("select");
+    select.className = className;
+    choices.forEach(([optionValue, text]) => {
+        const option = document.createElement("option");
+        option.value = optionValue;
+        option.textContent = text;
+        select.appendChild(option);
+    });
+    if (value) select.value = value;
+    return select;
+}
+
+function createInput(className, placeholder, value) {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = className;
+    input.placeholder = placeholder;
+    input.value = value || "";
+    return input;
+}
+
+function createRuleRow(rule = {}) {
+    const row = document.createElement("div");
+    row.className = "routing-rule";
+
+    const conditions = document.createElement("div");
+    conditions.className = "routing-rule-line";
+    conditions.appendChild(createSelect("rule-field", RULE_FIELDS, rule.field));
+    conditions.appendChild(createSelect("rule-operator", RULE_OPERATORS, rule.operator));
+    conditions.appendChild(createSelect("rule-type", RULE_TYPES, rule.type));
+
+    const pattern = createInput("rule-pattern", "Pattern, e.g. ^RFC-", rule.pattern);
+    const target = createInput("rule-target", "Collection or Collection/Parent, e.g. Engineering/RFCs", rule.target);
+
+    const actions = document.createElement("div");
+    actions.className = "routing-rule-line";
+    [["\u2191", -1], ["\u2193", 1]].forEach(([text, offset]) => {
+        const moveButton = document.createElement("button");
+        moveButton.type = "button";
+        moveButton.className = "secondary small";
+        moveButton.textContent = text;
+        moveButton.title = offset < 0 ? "Move up" : "Move down";
+        moveButton.addEventListener("click", () => {
+            const sibling = offset < 0 ? row.previousElementSibling : row.nextElementSibling;
+            if (!sibling) return;
+            row.parentNode.insertBefore(row, offset < 0 ? sibling : sibling.nextElementSibling);
+        });
+        actions.appendChild(moveButton);
+    });
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "secondary small";
+    removeButton.textContent = "Remove";
+    removeButton.addEventListener("click", () => row.remove());
+    actions.appendChild(removeButton);
+
+    row.appendChild(conditions);
+    row.appendChild(pattern);
+    row.appendChild(target);
+    row.appendChild(actions);
+    return row;
+}
+
+function renderRoutingRules(rules) {
+    const container = document.getElementById("routingRules");
+    container.replaceChildren(...rules.map((rule) => createRuleRow(rule)));
+}
+
+function readRoutingRules() {
+    return Array.from(document.querySelectorAll("#routingRules .routing-rule"))
+        .map((row) => ({
+            field: row.querySelector(".rule-field").value,
+            operator: row.querySelector(".rule-operator").value,
+            type: row.querySelector(".rule-type").value,
+            pattern: row.querySelector(".rule-pattern").value.trim(),
+            target: row.querySelector(".rule-target").value.trim()
+        }))
+        .filter((rule) => rule.pattern && rule.target);
+}
+
+document.getElementById("addRoutingRule").addEventListener("click", () => {
+    document.getElementById("routingRules").appendChild(createRuleRow());
+});
+
+// Dry-run the rules currently in the editor (saved or not) against a sample title/URL.
+document.getElementById("testRoutingRules").addEventListener("click", async () => {
+    const resultElement = document.getElementById("routingTestResult");
+    const title = document.getElementById("routingTestTitle").value.trim();
+    const url = document.getElementById("routingTestUrl").value.trim();
+    const type = url.includes("/spreadsheets/") ? "sheet" : url.includes("/presentation/") ? "slides" : "doc";
+
+    try {
+        const { findMatchingRule } = await import("./routingRules.js");
+        const match = findMatchingRule(readRoutingRules(), { title, url, type });
+        if (match) {
+            resultElement.textContent = `Rule #${match.index + 1} matches \u2192 ${match.rule.target}`;
+            resultElement.style.color = "green";
+        } else {
+            const fallbackField = { doc: "googleDocsCollectionName", sheet: "googleSheetsCollectionName", slides: "googleSlidesCollectionName" }[type];
+            const fallback = document.getElementById(fallbackField).value.trim() || { doc: "google-docs", sheet: "google-sheets", slides: "google-slides" }[type];
+            resultElement.textContent = `No rule matches \u2192 default collection "${fallback}"`;
+            resultElement.style.color = "#666";
+        }
+    } catch (err) {
+        resultElement.textContent = "Test failed: " + err.message;
+        resultElement.style.color = "red";
+    }
+});
+
+/* --- Offline save queue --- */
+
+const SAVE_ACTION_LABELS = {
+    saveGoogleDoc: "Google Doc",
+    importGoogleSheet: "Google Sheet",
+    importGoogleWorkbook: "Google Sheets workbook",
+    saveGoogleSlides: "Google Slides deck"
+};
+
+function sendMessage(msg) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage(msg, (response) => {
+            if (chrome.runtime.lastError) {
+                return reject(chrome.runtime.lastError);
+            }
+            if (!response || !response.success) {
+                return reject(new Error((response && response.error) || "Unknown error"));
+            }
+            resolve(response);
+        });
+    });
+}
+
+function createQueueItem(job) {
+    const item = document.createElement("div");
+    item.className = "queue-item";
+
+    const details = document.createElement("div");
+    details.className = "queue-item-details";
+    const title = document.createElement(job.sourceUrl ? "a" : "span");
+    title.textContent = job.title || "(Untitled)";
+    if (job.sourceUrl) {
+        title.href = job.sourceUrl;
+        title.target = "_blank";
+    }
+    details.appendChild(title);
+
+    const info = document.createElement("div");
+    info.className = "hint";
+    info.textContent = `${SAVE_ACTION_LABELS[job.action] || job.action}, queued ${new Date(job.createdAt).toLocaleString()}`
+        + (job.deferredExport ? " (exported when online)" : "")
+        + (job.error ? ` — ${job.error}` : "");
+    details.appendChild(info);
+
+    const cancelButton = document.createElement("button");
+    cancelButton.type = "button";
+    cancelButton.className = "secondary small";
+    cancelButton.textContent = "Cancel";
+    cancelButton.addEventListener("click", async () => {
+        cancelButton.disabled = true;
+        try {
+            await sendMessage({ action: "cancelSaveJob", jobId: job.id });
+        } catch (err) {
+            alert("Could not cancel: " + err.message);
+        }
+        renderSaveQueue();
+    });
+
+    item.appendChild(details);
+    item.appendChild(cancelButton);
+    return item;
+}
+
+async function renderSaveQueue() {
+    const list = document.getElementById("saveQueueList");
+    try {
+        const { jobs } = await sendMessage({ action: "getSaveQueue" });
+        if (jobs.length === 0) {
+            list.textContent = "Nothing is queued.";
+        } else {
+            list.replaceChildren(...jobs.map((job) => createQueueItem(job)));
+        }
+    } catch (err) {
+        list.textContent = "Could not load the queue: " + err.message;
+    }
+}
+
+document.getElementById("flushSaveQueue").addEventListener("click", async () => {
+    try {
+        await sendMessage({ action: "flushSaveQueue" });
+    } catch (err) {
+        alert("Retry failed: " + err.message);
+    }
+    renderSaveQueue();
+});
+
+// The background reports every change of the queue (saved, cancelled or newly queued).
+chrome.runtime.onMessage.addListener((message) => {
+    if (message && message.action === "saveQueueChanged") {
+        renderSaveQueue();
+    }
+});
+
+document.addEventListener("DOMContentLoaded", renderSaveQueue);
+
 // options.js
 function isValidUrl(url) {
     try {
@@ -1,10 +1,32 @@
 // outlineAPI.js
+import {
+    OutlineAPIError,
+    OutlineNotFoundError,
+    createNetworkError,
+    createResponseError,
+    toOutlineError,
+    withContext
+} from './outlineErrors.js';
+
 class OutlineAPI {
+    // async (baseUrl, expiredToken) => new access token or null; see setTokenRefresher
+    static tokenRefresher = null;
+
     constructor(baseUrl, apiToken) {
         this.baseUrl = baseUrl.replace(/\/+$/, '');
         this.apiToken = apiToken;
     }
 
+    /**
+     * Registers how expired OAuth access tokens are refreshed. When a request gets a 401, the refresher
+     * is asked for a new token once and the request is retried with it.
+     * @param {Function|null} refresher - async (baseUrl, expiredToken) => new access token, or null when
+     *   the token can't be refreshed (e.g. a manually entered API token)
+     */
+    static setTokenRefresher(refresher) {
+        OutlineAPI.tokenRefresher = refresher;
+    }
+
     /**
      * Centralized request helper.
      *
@@ -20,6 +42,8 @@ class OutlineAPI {
      *   - signal {AbortSignal} (optional): Abort signal to cancel the request.
      *   - ...rest: All other options passed to fetch.
      * @returns {Promise<Object>} The parsed JSON response.
+     * @throws {OutlineAPIError} An OutlineAuthError, OutlineNotFoundError, OutlineRateLimitError,
+     *   OutlineServerError or OutlineNetworkError where one applies (see outlineErrors.js).
      */
     async _request(endpoint, options = {}) {
         // Destructure custom options
@@ -28,7 +52,8 @@ class OutlineAPI {
         let headers = restOptions.headers || {};
 
         // Automatically attach the Authorization header if not present.
-        if (!headers["Authorization"]) {
+        const usesOwnToken = !headers["Authorization"];
+        if (usesOwnToken) {
             headers["Authorization"] = `Bearer ${this.apiToken}`;
         }
 
@@ -45,6 +70,7 @@ class OutlineAPI {
 
         let attempts = 0;
         const maxAttempts = retry + 1; // Original attempt plus retries
+        let tokenRefreshed = false;
 
         while (attempts < maxAttempts) {
             try {
@@ -59,21 +85,25 @@ class OutlineAPI {
 
                     // Don't retry client errors (4xx), only server errors (5xx)
                     if (statusCode >= 400 && statusCode < 500) {
-                        if (statusCode === 401 || statusCode === 403) {
-                            throw new Error(`Authentication error (${statusCode}): ${errorText}`);
-                        } else if (statusCode === 404) {
-                            throw new Error(`Resource not found (404): ${errorText}`);
-                        } else if (statusCode === 429) {
-                            // Rate limiting - special case that should retry with backoff
-                            if (attempts < maxAttempts) {
-                                // Exponential backoff for rate limiting
-                                const backoffDelay = retryDelay * Math.pow(2, attempts - 1);
-                                console.warn(`[WARNING] Rate limited. Retrying in ${backoffDelay}ms...`);
-                                await new Promise(resolve => setTimeout(resolve, backoffDelay));
+                        if (statusCode === 401 && usesOwnToken && !tokenRefreshed && OutlineAPI.tokenRefresher) {
+                            tokenRefreshed = true;
+                            const newToken = await this._refreshToken();
+                            if (newToken) {
+                                console.info("[INFO] Access token expired. Retrying with a refreshed token...");
+                                this.apiToken = newToken;
+                                headers["Authorization"] = `Bearer ${newToken}`;
+                                attempts--; // The retry with the new token doesn't count as an attempt
                                 continue;
                             }
                         }
-                        throw new Error(`API error (${statusCode}): ${errorText}`);
+                        if (statusCode === 429 && attempts < maxAttempts) {
+                            // Rate limiting - special case that should retry with backoff
+                            const backoffDelay = retryDelay * Math.pow(2, attempts - 1);
+                            console.warn(`[WARNING] Rate limited. Retrying in ${backoffDelay}ms...`);
+                            await new Promise(resolve => setTimeout(resolve, backoffDelay));
+                            continue;
+                        }
+                        throw createResponseError(statusCode, errorText);
                     }
 
                     // For server errors, retry if we have attempts left
@@ -89,7 +119,7 @@ class OutlineAPI {
                         continue;
                     }
 
-                    throw new Error(`Outline API error: ${response.status} - ${errorText}`);
+                    throw createResponseError(statusCode, errorText);
                 }
 
                 // Success response - parse JSON
@@ -99,17 +129,26 @@ class OutlineAPI {
                     return json;
                 } catch (jsonError) {
                     console.error(`[ERROR] Failed to parse JSON response:`, jsonError);
-                    throw new Error(`Invalid JSON response: ${jsonError.message}`);
+                    throw new OutlineAPIError(`Invalid JSON response: ${jsonError.message}`, {
+                        status: response.status,
+                        code: "invalid_response",
+                        cause: jsonError
+                    });
                 }
             } catch (error) {
                 // Handle AbortError specifically
                 if (error.name === 'AbortError') {
                     console.info('[INFO] Request was cancelled by user');
-                    throw new Error('Request cancelled');
+                    throw new OutlineAPIError('Request cancelled', { code: "cancelled", cause: error });
+                }
+
+                // Outline answered with an error; retries for it were already decided above
+                if (error instanceof OutlineAPIError) {
+                    throw error;
                 }
 
                 // Handle network errors (offline, connection refused, etc.)
-                if (error.name === 'TypeError' && error.message.includes('network')) {
+                if (error.name === 'TypeError') {
                     if (attempts < maxAttempts) {
                         // Use exponential backoff for network errors too
                         const backoffDelay = retryDelay * Math.pow(2, attempts - 1);
@@ -120,12 +159,11 @@ class OutlineAPI {
                         await new Promise(resolve => setTimeout(resolve, delayWithJitter));
                         continue;
                     }
-                    throw new Error(`Network error: ${error.message}. Please check your internet connection.`);
+                    throw createNetworkError(error);
                 }
 
                 // For other errors, retry if we have attempts left
-                if (attempts < maxAttempts && !error.message.includes('Authentication error') &&
-                    !error.message.includes('Resource not found')) {
+                if (attempts < maxAttempts) {
                     // Use exponential backoff for all retryable errors
                     const backoffDelay = retryDelay * Math.pow(2, attempts - 1);
                     const jitter = backoffDelay * 0.2 * (Math.random() * 2 - 1);
@@ -138,12 +176,75 @@ class OutlineAPI {
                     continue;
                 }
 
-                // No more retries or non-retryable error
-                throw error;
+                // No more retries
+                throw toOutlineError(error);
+            }
+        }
+    }
+
+    /**
+     * Asks the registered refresher for a new access token.
+     * @returns {Promise<string|null>} The new token, or null when it couldn't be refreshed
+     * @throws {OutlineNetworkError} When Outline couldn't be reached, so the request can be retried later
+     *   instead of failing as if the sign-in had expired
+     */
+    async _refreshToken() {
+        try {
+            return await OutlineAPI.tokenRefresher(this.baseUrl, this.apiToken);
+        } catch (error) {
+            console.error(`[ERROR] Failed to refresh the access token: ${error.message}`);
+            if (error.name === 'TypeError') {
+                throw createNetworkError(error);
             }
+            return null;
         }
     }
 
+    /**
+     * Walks every page of a list endpoint, moving the offset cursor by the size of each page.
+     * @param {string} method - List method: "listDocuments", "searchDocuments", "listCollections" or "listComments"
+     * @param {Object} params - Parameters of that method, without offset and limit
+     * @param {Object} options
+     *   - pageSize {number} (optional): Items per request (default 100, Outline's maximum).
+     *   - maxItems {number} (optional): Stop after this many items (default all).
+     * @returns {AsyncGenerator<Object>} The items of each page's `data`, in order
+     */
+    async *paginate(method, params = {}, { pageSize = 100, maxItems = Infinity } = {}) {
+        let offset = 0;
+        let count = 0;
+        while (count < maxItems) {
+            const page = await this[method]({ ...params, offset, limit: pageSize });
+            const items = Array.isArray(page.data) ? page.data : [];
+            for (const item of items) {
+                if (count >= maxItems) {
+                    return;
+                }
+                count++;
+                yield item;
+            }
+            // A short page is the last one
+            if (items.length < pageSize) {
+                return;
+            }
+            offset += items.length;
+        }
+    }
+
+    /**
+     * Collects every page of a list endpoint into one array.
+     * @param {string} method - List method, see paginate
+     * @param {Object} params - Parameters of that method, without offset and limit
+     * @param {Object} options - { pageSize, maxItems }, see paginate
+     * @returns {Promise<Object[]>} All items
+     */
+    async listAll(method, params = {}, options = {}) {
+        const items = [];
+        for await (const item of this.paginate(method, params, options)) {
+            items.push(item);
+        }
+        return items;
+    }
+
     /**
      * Creates a new collection
      * @param {string} collectionName - The name for the new collection
@@ -171,7 +272,7 @@ class OutlineAPI {
             return result.data.id;
         } catch (error) {
             console.error(`Failed to create collection: ${error.message}`);
-            throw new Error(`Failed to create collection: ${error.message}`);
+            throw withContext(error, "Failed to create collection");
         }
     }
 
@@ -199,7 +300,7 @@ class OutlineAPI {
             return result;
         } catch (error) {
             console.error(`Failed to create document: ${error.message}`);
-            throw new Error(`Failed to create document: ${error.message}`);
+            throw withContext(error, "Failed to create document");
         }
     }
 
@@ -231,7 +332,7 @@ class OutlineAPI {
             return result;
         } catch (error) {
             console.error(`Failed to import document: ${error.message}`);
-            throw new Error(`Failed to import document: ${error.message}`);
+            throw withContext(error, "Failed to import document");
         }
     }
 
@@ -256,7 +357,7 @@ class OutlineAPI {
             return result;
         } catch (error) {
             console.error(`Failed to update document ${id}: ${error.message}`);
-            throw new Error(`Failed to update document: ${error.message}`);
+            throw withContext(error, "Failed to update document");
         }
     }
 
@@ -280,7 +381,327 @@ class OutlineAPI {
             return result;
         } catch (error) {
             console.error(`Failed to get document ${id}: ${error.message}`);
-            throw new Error(`Failed to get document: ${error.message}`);
+            throw withContext(error, "Failed to get document");
+        }
+    }
+
+    /**
+     * Lists documents in a collection, optionally limited to the children of a parent document
+     * @param {Object} params - { collectionId, parentDocumentId, offset, limit }
+     * @returns {Promise<Object>} List result with `data` array and `pagination`
+     */
+    async listDocuments({ collectionId, parentDocumentId, offset = 0, limit = 25 }) {
+        const endpoint = `${this.baseUrl}/api/documents.list`;
+        const payload = { collectionId, offset, limit, sort: "title", direction: "ASC" };
+        if (parentDocumentId !== undefined) {
+            payload.parentDocumentId = parentDocumentId;
+        }
+        console.log(`Listing documents with payload: ${JSON.stringify(payload)}`);
+
+        try {
+            return await this._request(endpoint, {
+                method: "POST",
+                body: JSON.stringify(payload),
+                retry: 2,
+                retryDelay: 1000
+            });
+        } catch (error) {
+            console.error(`Failed to list documents: ${error.message}`);
+            throw withContext(error, "Failed to list documents");
+        }
+    }
+
+    /**
+     * Searches documents by full text, optionally within a collection
+     * @param {Object} params - { query, collectionId, offset, limit }
+     * @returns {Promise<Object>} Search result with `data` array of { context, document }
+     */
+    async searchDocuments({ query, collectionId = null, offset = 0, limit = 25 }) {
+        const endpoint = `${this.baseUrl}/api/documents.search`;
+        const payload = { query, offset, limit };
+        if (collectionId) {
+            payload.collectionId = collectionId;
+        }
+        console.log(`Searching documents with payload: ${JSON.stringify(payload)}`);
+
+        try {
+            return await this._request(endpoint, {
+                method: "POST",
+                body: JSON.stringify(payload),
+                retry: 2,
+                retryDelay: 1000
+            });
+        } catch (error) {
+            console.error(`Failed to search documents: ${error.message}`);
+            throw withContext(error, "Failed to search documents");
+        }
+    }
+
+    /**
+     * Moves a document to another collection and/or parent document
+     * @param {Object} params - { id, collectionId, parentDocumentId }
+     * @returns {Promise<Object>} Move result
+     */
+    async moveDocument({ id, collectionId, parentDocumentId = null }) {
+        const endpoint = `${this.baseUrl}/api/documents.move`;
+        const payload = { id, collectionId, parentDocumentId: parentDocumentId || null };
+        console.log(`Moving document ${id} with payload: ${JSON.stringify(payload)}`);
+
+        try {
+            const result = await this._request(endpoint, {
+                method: "POST",
+                body: JSON.stringify(payload),
+                retry: 2,
+                retryDelay: 1000
+            });
+            console.log(`Document ${id} moved successfully`);
+            return result;
+        } catch (error) {
+            console.error(`Failed to move document ${id}: ${error.message}`);
+            throw withContext(error, "Failed to move document");
+        }
+    }
+
+    /**
+     * Deletes a document
+     * @param {string} id - Document ID
+     * @param {boolean} permanent - Skip the trash and delete permanently
+     * @returns {Promise<Object>} Deletion result
+     */
+    async deleteDocument(id, permanent = false) {
+        const endpoint = `${this.baseUrl}/api/documents.delete`;
+        console.log(`Deleting document ${id} (permanent: ${permanent})`);
+
+        try {
+            const result = await this._request(endpoint, {
+                method: "POST",
+                body: JSON.stringify({ id, permanent }),
+                retry: 2,
+                retryDelay: 1000
+            });
+            console.log(`Document ${id} deleted successfully`);
+            return result;
+        } catch (error) {
+            console.error(`Failed to delete document ${id}: ${error.message}`);
+            throw withContext(error, "Failed to delete document");
+        }
+    }
+
+    /**
+     * Archives a document; it leaves the collection's tree but can be restored
+     * @param {string} id - Document ID
+     * @returns {Promise<Object>} Archive result with the document in `data`
+     */
+    async archiveDocument(id) {
+        const endpoint = `${this.baseUrl}/api/documents.archive`;
+        console.log(`Archiving document ${id}`);
+
+        try {
+            const result = await this._request(endpoint, {
+                method: "POST",
+                body: JSON.stringify({ id }),
+                retry: 2,
+                retryDelay: 1000
+            });
+            console.log(`Document ${id} archived successfully`);
+            return result;
+        } catch (error) {
+            console.error(`Failed to archive document ${id}: ${error.message}`);
+            throw withContext(error, "Failed to archive document");
+        }
+    }
+
+    /**
+     * Restores an archived or deleted (trashed) document
+     * @param {string} id - Document ID
+     * @param {Object} options - { collectionId } to restore into another collection, e.g. when the
+     *   original one is gone
+     * @returns {Promise<Object>} Restore result with the document in `data`
+     */
+    async restoreDocument(id, { collectionId = null } = {}) {
+        const endpoint = `${this.baseUrl}/api/documents.restore`;
+        const payload = { id };
+        if (collectionId) {
+            payload.collectionId = collectionId;
+        }
+        console.log(`Restoring document ${id}`);
+
+        try {
+            const result = await this._request(endpoint, {
+                method: "POST",
+                body: JSON.stringify(payload),
+                retry: 2,
+                retryDelay: 1000
+            });
+            console.log(`Document ${id} restored successfully`);
+            return result;
+        } catch (error) {
+            console.error(`Failed to restore document ${id}: ${error.message}`);
+            throw withContext(error, "Failed to restore document");
+        }
+    }
+
+    /**
+     * Adds a comment to a document
+     * @param {Object} params
+     *   - documentId {string}: Document to comment on.
+     *   - text {string}: Comment body as Markdown.
+     *   - parentCommentId {string} (optional): Comment to reply to.
+     * @returns {Promise<Object>} Creation result with the comment in `data`
+     */
+    async createComment({ documentId, text, parentCommentId = null }) {
+        const endpoint = `${this.baseUrl}/api/comments.create`;
+        const payload = { documentId, text };
+        if (parentCommentId) {
+            payload.parentCommentId = parentCommentId;
+        }
+        console.log(`Creating comment on document ${documentId}${parentCommentId ? ` (reply to ${parentCommentId})` : ""}`);
+
+        try {
+            const result = await this._request(endpoint, {
+                method: "POST",
+                body: JSON.stringify(payload),
+                retry: 2,
+                retryDelay: 1000
+            });
+            if (!result.data || !result.data.id) {
+                throw new Error("Invalid comment response");
+            }
+            return result;
+        } catch (error) {
+            console.error(`Failed to create comment on document ${documentId}: ${error.message}`);
+            throw withContext(error, "Failed to create comment");
+        }
+    }
+
+    /**
+     * Lists the comments of a document
+     * @param {Object} params - { documentId, offset, limit }
+     * @returns {Promise<Object>} List result with `data` array and `pagination`
+     */
+    async listComments({ documentId, offset = 0, limit = 25 }) {
+        const endpoint = `${this.baseUrl}/api/comments.list`;
+        console.log(`Listing comments of document ${documentId} (offset: ${offset}, limit: ${limit})`);
+
+        try {
+            return await this._request(endpoint, {
+                method: "POST",
+                body: JSON.stringify({ documentId, offset, limit }),
+                retry: 2,
+                retryDelay: 1000
+            });
+        } catch (error) {
+            console.error(`Failed to list comments of document ${documentId}: ${error.message}`);
+            throw withContext(error, "Failed to list comments");
+        }
+    }
+
+    /**
+     * Uploads a file as an Outline attachment.
+     * Creates the attachment via attachments.create, then posts the file to the returned upload URL
+     * (Outline itself for local storage, or a presigned S3-compatible URL).
+     * @param {Object} params
+     *   - name {string}: File name.
+     *   - contentType {string}: MIME type.
+     *   - file {Blob}: File contents.
+     *   - documentId {string} (optional): Document the attachment belongs to.
+     *   - preset {string} (optional): Attachment preset (default "documentAttachment").
+     * @returns {Promise<Object>} The attachment data (including its stable `url`)
+     */
+    async uploadAttachment({ name, contentType, file, documentId = null, preset = "documentAttachment" }) {
+        const endpoint = `${this.baseUrl}/api/attachments.create`;
+        const payload = { name, contentType, size: file.size, preset };
+        if (documentId) {
+            payload.documentId = documentId;
+        }
+        console.log(`Creating attachment "${name}" (${contentType}, ${file.size} bytes)`);
+
+        try {
+            const result = await this._request(endpoint, {
+                method: "POST",
+                body: JSON.stringify(payload),
+                retry: 2,
+                retryDelay: 1000
+            });
+
+            const { uploadUrl, form, attachment } = result.data || {};
+            if (!uploadUrl || !attachment) {
+                throw new Error("Invalid attachment response");
+            }
+
+            const formData = new FormData();
+            Object.entries(form || {}).forEach(([key, value]) => formData.append(key, value));
+            formData.append("file", file, name);
+
+            // Relative upload URLs point at Outline's own storage and need the API token.
+            const targetUrl = new URL(uploadUrl, `${this.baseUrl}/`);
+            const headers = {};
+            if (targetUrl.origin === new URL(this.baseUrl).origin) {
+                headers["Authorization"] = `Bearer ${this.apiToken}`;
+            }
+
+            let uploadResponse;
+            try {
+                uploadResponse = await fetch(targetUrl.toString(), {
+                    method: "POST",
+                    headers,
+                    body: formData
+                });
+            } catch (fetchError) {
+                throw createNetworkError(fetchError);
+            }
+            if (!uploadResponse.ok) {
+                const errorText = await uploadResponse.text();
+                throw withContext(createResponseError(uploadResponse.status, errorText), "Upload failed");
+            }
+
+            console.log(`Attachment uploaded successfully: ${attachment.url}`);
+            return attachment;
+        } catch (error) {
+            console.error(`Failed to upload attachment "${name}": ${error.message}`);
+            throw withContext(error, "Failed to upload attachment");
+        }
+    }
+
+    /**
+     * Lists collections the token has access to
+     * @param {Object} params - { offset, limit }
+     * @returns {Promise<Object>} List result with `data` array and `pagination`
+     */
+    async listCollections({ offset = 0, limit = 100 } = {}) {
+        const endpoint = `${this.baseUrl}/api/collections.list`;
+        console.log(`Listing collections (offset: ${offset}, limit: ${limit})`);
+
+        try {
+            return await this._request(endpoint, {
+                method: "POST",
+                body: JSON.stringify({ offset, limit }),
+                retry: 2,
+                retryDelay: 1000
+            });
+        } catch (error) {
+            console.error(`Failed to list collections: ${error.message}`);
+            throw withContext(error, "Failed to list collections");
+        }
+    }
+
+    /**
+     * Returns the user and team the token belongs to
+     * @returns {Promise<Object>} auth.info result with `data.user` and `data.team`
+     */
+    async getAuthInfo() {
+        const endpoint = `${this.baseUrl}/api/auth.info`;
+        console.log("Fetching auth info");
+
+        try {
+            return await this._request(endpoint, {
+                method: "POST",
+                retry: 2,
+                retryDelay: 1000
+            });
+        } catch (error) {
+            console.error(`Failed to fetch auth info: ${error.message}`);
+            throw withContext(error, "Failed to fetch auth info");
         }
     }
 
@@ -308,18 +729,18 @@ class OutlineAPI {
 
             if (result.data.deletedAt) {
                 console.error(`Collection ${collectionId} is marked as deleted.`);
-                throw new Error(`Collection ${collectionId} is deleted.`);
+                throw new OutlineNotFoundError(`Collection ${collectionId} is deleted.`, { code: "collection_deleted" });
             }
 
             if (result.data.archivedAt) {
                 console.error(`Collection ${collectionId} is archived.`);
-                throw new Error(`Collection ${collectionId} is archived.`);
+                throw new OutlineNotFoundError(`Collection ${collectionId} is archived.`, { code: "collection_archived" });
             }
 
             return result;
         } catch (error) {
             console.error(`Failed to get collection ${collectionId}: ${error.message}`);
-            throw new Error(`Failed to get collection: ${error.message}`);
+            throw withContext(error, "Failed to get collection");
         }
     }
 }
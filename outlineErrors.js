@@ -0,0 +1,116 @@
+// outlineErrors.js
+// Errors thrown by OutlineAPI. Callers branch on the class and the retryable flag instead of the
+// message text, e.g. to drop a link to a deleted document or to queue a save until Outline is back.
+
+/**
+ * Base class of the errors thrown by OutlineAPI.
+ * @property {number} status - HTTP status (0 when Outline didn't answer)
+ * @property {string} code - Outline error code, e.g. "not_found" or "authentication_required" ("" if unknown)
+ * @property {boolean} retryable - Whether the same request may succeed later
+ */
+export class OutlineAPIError extends Error {
+    constructor(message, { status = 0, code = "", retryable = false, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = new.target.name;
+        this.status = status;
+        this.code = code;
+        this.retryable = retryable;
+    }
+}
+
+// 401/403: the token is missing, expired or not allowed to do this
+export class OutlineAuthError extends OutlineAPIError {}
+
+// 404, or a document/collection that is deleted or archived
+export class OutlineNotFoundError extends OutlineAPIError {}
+
+// 429: too many requests; retry after a while
+export class OutlineRateLimitError extends OutlineAPIError {}
+
+// 5xx: Outline (or a proxy in front of it) failed
+export class OutlineServerError extends OutlineAPIError {}
+
+// Outline couldn't be reached at all (offline, DNS, connection refused)
+export class OutlineNetworkError extends OutlineAPIError {}
+
+/**
+ * Tells whether a failed HTTP status may go away on its own: rate limiting, and proxies or
+ * gateways reporting that Outline is unavailable. Other errors need a change to the request.
+ * @param {number} status - HTTP status
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+    return status === 429 || (status >= 502 && status <= 504);
+}
+
+/**
+ * Builds the error for a failed Outline response.
+ * @param {number} status - HTTP status
+ * @param {string} body - Response body; Outline answers with { ok: false, error, message }
+ * @returns {OutlineAPIError}
+ */
+export function createResponseError(status, body) {
+    let code = "";
+    try {
+        code = JSON.parse(body).error || "";
+    } catch (err) {
+        // Not JSON, e.g. an HTML error page from a proxy
+    }
+    const options = { status, code, retryable: isRetryableStatus(status) };
+
+    if (status === 401 || status === 403) {
+        return new OutlineAuthError(`Authentication error (${status}): ${body}`, options);
+    }
+    if (status === 404) {
+        return new OutlineNotFoundError(`Resource not found (404): ${body}`, options);
+    }
+    if (status === 429) {
+        return new OutlineRateLimitError(`API error (429): ${body}`, options);
+    }
+    if (status >= 500) {
+        return new OutlineServerError(`Outline API error: ${status} - ${body}`, options);
+    }
+    return new OutlineAPIError(`API error (${status}): ${body}`, options);
+}
+
+/**
+ * Builds the error for a fetch that failed without a response (offline, DNS, connection refused).
+ * @param {Error} error - The TypeError thrown by fetch
+ * @returns {OutlineNetworkError}
+ */
+export function createNetworkError(error) {
+    return new OutlineNetworkError(
+        `Network error: ${error.message}. Please check your internet connection.`,
+        { retryable: true, cause: error }
+    );
+}
+
+/**
+ * Turns any error into an OutlineAPIError; errors that aren't one already (e.g. an unexpected
+ * response shape) become non-retryable.
+ * @param {Error} error - The error
+ * @returns {OutlineAPIError}
+ */
+export function toOutlineError(error) {
+    if (error instanceof OutlineAPIError) {
+        return error;
+    }
+    return new OutlineAPIError((error && error.message) || String(error), { cause: error });
+}
+
+/**
+ * Prefixes an error's message with what was being done, keeping its class and details.
+ * @param {Error} error - The error
+ * @param {string} context - E.g. "Failed to update document"
+ * @returns {OutlineAPIError}
+ */
+export function withContext(error, context) {
+    const outlineError = toOutlineError(error);
+    const ErrorClass = outlineError.constructor;
+    return new ErrorClass(`${context}: ${outlineError.message}`, {
+        status: outlineError.status,
+        code: outlineError.code,
+        retryable: outlineError.retryable,
+        cause: outlineError
+    });
+}
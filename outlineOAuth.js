@@ -0,0 +1,170 @@
+// outlineOAuth.js
+// Shared by background.js and the options page: signs in to Outline with an OAuth app
+// (authorization code flow with PKCE) and refreshes the access tokens it hands out.
+import OutlineAPI from './outlineAPI.js';
+
+export const OAUTH_SCOPES = "read write";
+const EXPIRY_MARGIN = 60 * 1000; // Refresh tokens that expire within a minute
+
+function toBase64Url(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_")
+        .replace(/=+$/, "");
+}
+
+function randomString(byteLength) {
+    return toBase64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+/**
+ * Returns the callback URL to register with the Outline OAuth app.
+ * @returns {string}
+ */
+export function getRedirectUrl() {
+    return chrome.identity.getRedirectURL("outline");
+}
+
+/**
+ * Calls Outline's token endpoint.
+ * @param {string} outlineUrl - Outline base URL
+ * @param {Object} params - Form parameters (grant_type, code or refresh_token, client_id, ...)
+ * @returns {Promise<Object>} The token response ({ access_token, refresh_token, expires_in })
+ */
+async function requestToken(outlineUrl, params) {
+    const response = await fetch(`${outlineUrl}/oauth/token`, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams(params)
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch (err) {
+        // Reported below with the raw response
+    }
+    if (!response.ok || !json || !json.access_token) {
+        const reason = (json && (json.error_description || json.error || json.message)) || text;
+        throw new Error(`OAuth token request failed (${response.status}): ${reason}`);
+    }
+    return json;
+}
+
+/**
+ * Builds the stored credential from a token response.
+ * @param {Object} json - Token response
+ * @param {Object} client - { clientId, clientSecret }
+ * @param {Object} [previous] - Credential being refreshed
+ * @returns {Object} { type: "oauth", accessToken, refreshToken, expiresAt, clientId, clientSecret, signedInAt, account }
+ */
+function toCredential(json, { clientId, clientSecret }, previous = {}) {
+    return {
+        type: "oauth",
+        accessToken: json.access_token,
+        refreshToken: json.refresh_token || previous.refreshToken || "",
+        expiresAt: json.expires_in ? Date.now() + json.expires_in * 1000 : null,
+        clientId,
+        clientSecret,
+        signedInAt: previous.signedInAt || new Date().toISOString(),
+        account: previous.account || null
+    };
+}
+
+/**
+ * Reads the user and team names from an auth.info result.
+ * @param {Object} authInfo - Result of OutlineAPI.getAuthInfo
+ * @returns {Object} { user, team }
+ */
+export function readAccount(authInfo) {
+    const data = (authInfo && authInfo.data) || {};
+    return {
+        user: (data.user && (data.user.name || data.user.email)) || "unknown user",
+        team: (data.team && data.team.name) || "unknown team"
+    };
+}
+
+/**
+ * Describes the account a profile is connected as.
+ * @param {Object} account - { user, team }
+ * @returns {string} E.g. "Connected as Jane Doe @ Acme"
+ */
+export function describeAccount(account) {
+    return `Connected as ${account.user} @ ${account.team}`;
+}
+
+/**
+ * Signs in to Outline in a browser window and returns the new credential.
+ * @param {Object} params
+ *   - outlineUrl {string}: Outline base URL
+ *   - clientId {string}: Client ID of the Outline OAuth app
+ *   - clientSecret {string} (optional): Client secret, for apps that require one
+ * @returns {Promise<Object>} The credential (see toCredential), with the signed-in account
+ */
+export async function signIn({ outlineUrl, clientId, clientSecret = "" }) {
+    const baseUrl = outlineUrl.replace(/\/+$/, "");
+    const redirectUri = getRedirectUrl();
+    const state = randomString(16);
+    const verifier = randomString(32);
+    const challenge = toBase64Url(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier)));
+
+    const authorizeUrl = new URL(`${baseUrl}/oauth/authorize`);
+    authorizeUrl.search = new URLSearchParams({
+        response_type: "code",
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: OAUTH_SCOPES,
+        state,
+        code_challenge: challenge,
+        code_challenge_method: "S256"
+    }).toString();
+
+    const responseUrl = await chrome.identity.launchWebAuthFlow({ url: authorizeUrl.toString(), interactive: true });
+    const params = new URL(responseUrl).searchParams;
+    if (params.get("error")) {
+        throw new Error(`Outline refused the sign-in: ${params.get("error_description") || params.get("error")}`);
+    }
+    if (params.get("state") !== state || !params.get("code")) {
+        throw new Error("The sign-in response doesn't match the request. Please try again.");
+    }
+
+    const json = await requestToken(baseUrl, {
+        grant_type: "authorization_code",
+        code: params.get("code"),
+        redirect_uri: redirectUri,
+        client_id: clientId,
+        code_verifier: verifier,
+        ...(clientSecret ? { client_secret: clientSecret } : {})
+    });
+    const credential = toCredential(json, { clientId, clientSecret });
+    credential.account = readAccount(await new OutlineAPI(baseUrl, credential.accessToken).getAuthInfo());
+    return credential;
+}
+
+/**
+ * Tells whether a credential's access token has expired (or is about to).
+ * @param {Object} credential - OAuth credential
+ * @returns {boolean}
+ */
+export function isCredentialExpired(credential) {
+    return Boolean(credential.expiresAt) && credential.expiresAt - EXPIRY_MARGIN < Date.now();
+}
+
+/**
+ * Gets a new access token with the credential's refresh token.
+ * @param {string} outlineUrl - Outline base URL
+ * @param {Object} credential - OAuth credential
+ * @returns {Promise<Object>} The refreshed credential
+ */
+export async function refreshCredential(outlineUrl, credential) {
+    if (!credential.refreshToken) {
+        throw new Error("The Outline sign-in has expired. Please sign in again in the extension options.");
+    }
+    const json = await requestToken(outlineUrl.replace(/\/+$/, ""), {
+        grant_type: "refresh_token",
+        refresh_token: credential.refreshToken,
+        client_id: credential.clientId,
+        ...(credential.clientSecret ? { client_secret: credential.clientSecret } : {})
+    });
+    return toCredential(json, credential, credential);
+}
@@ -0,0 +1,215 @@
+// overwritePreview.js
+// Used by content.js, spreadsheet.js and slides.js: before a Doc, sheet or Slides deck overwrites its
+// linked Outline document, shows what would change and lets the user overwrite it, append the export
+// as a new section, save a new document or cancel.
+(function() {
+    if (window.OutlineOverwritePreview) {
+        return;
+    }
+
+    const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+    const CONTEXT_LINES = 2; // Unchanged lines shown around each change
+
+    const CHANGE_STYLES = {
+        added: { prefix: "+ ", color: "#116329", backgroundColor: "#e6ffec" },
+        removed: { prefix: "− ", color: "#82071e", backgroundColor: "#ffebe9" },
+        same: { prefix: "  ", color: "#666", backgroundColor: "transparent" }
+    };
+
+    // Wrap chrome.runtime.sendMessage in a promise that rejects on failed responses.
+    const sendMessagePromise = (msg) =>
+        new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage(msg, (response) => {
+                if (chrome.runtime.lastError) {
+                    return reject(chrome.runtime.lastError);
+                }
+                if (!response || !response.success) {
+                    return reject(new Error((response && response.error) || "Unknown error"));
+                }
+                resolve(response);
+            });
+        });
+
+    function createButton(text, primary) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = text;
+        Object.assign(button.style, {
+            padding: "8px 14px",
+            fontSize: "14px",
+            fontFamily: FONT_FAMILY,
+            border: "none",
+            borderRadius: "6px",
+            cursor: "pointer",
+            color: primary ? "#fff" : "#333",
+            backgroundColor: primary ? "#0071e3" : "#e5e5ea"
+        });
+        return button;
+    }
+
+    function createDiffLine(type, text) {
+        const line = document.createElement("div");
+        const { prefix, color, backgroundColor } = CHANGE_STYLES[type];
+        line.textContent = `${prefix}${text}`;
+        Object.assign(line.style, { color, backgroundColor, padding: "0 8px", whiteSpace: "pre-wrap", wordBreak: "break-word" });
+        return line;
+    }
+
+    /**
+     * Renders the changes, collapsing long runs of unchanged lines.
+     * @param {Array<{type: string, text: string}>} changes - From the previewOverwrite action
+     * @returns {HTMLElement}
+     */
+    function renderChanges(changes) {
+        const container = document.createElement("div");
+        Object.assign(container.style, {
+            maxHeight: "50vh",
+            overflowY: "auto",
+            border: "1px solid #eee",
+            borderRadius: "6px",
+            padding: "6px 0",
+            fontFamily: "Menlo, Consolas, monospace",
+            fontSize: "12px",
+            lineHeight: "1.5"
+        });
+
+        changes.forEach(({ type, text }, index) => {
+            let lines = text.split("\n");
+            if (type === "same") {
+                const head = index > 0 ? lines.slice(0, CONTEXT_LINES) : [];
+                const tail = index < changes.length - 1 ? lines.slice(-CONTEXT_LINES) : [];
+                if (head.length + tail.length < lines.length) {
+                    head.forEach((line) => container.appendChild(createDiffLine(type, line)));
+                    const skipped = document.createElement("div");
+                    skipped.textContent = `⋯ ${lines.length - head.length - tail.length} unchanged line(s)`;
+                    Object.assign(skipped.style, { color: "#999", padding: "2px 8px", fontStyle: "italic" });
+                    container.appendChild(skipped);
+                    lines = tail;
+                }
+            }
+            lines.forEach((line) => container.appendChild(createDiffLine(type, line)));
+        });
+        return container;
+    }
+
+    /**
+     * Opens the preview of an overwrite.
+     * @param {Object} preview - Response of the previewOverwrite action: { title, url, changes, added, removed }
+     * @returns {Promise<string|null>} "overwrite", "append" or "new", or null if the user cancelled.
+     */
+    function open(preview) {
+        return new Promise((resolve) => {
+            const overlay = document.createElement("div");
+            Object.assign(overlay.style, {
+                position: "fixed",
+                inset: "0",
+                backgroundColor: "rgba(0,0,0,0.35)",
+                zIndex: 10001,
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "center",
+                fontFamily: FONT_FAMILY
+            });
+
+            const dialog = document.createElement("div");
+            Object.assign(dialog.style, {
+                backgroundColor: "#fff",
+                borderRadius: "12px",
+                boxShadow: "0 4px 24px rgba(0,0,0,0.25)",
+                padding: "24px",
+                width: "640px",
+                maxWidth: "90vw",
+                color: "#333"
+            });
+
+            const heading = document.createElement("div");
+            heading.textContent = `Overwrite “${preview.title || "Untitled"}” in Outline?`;
+            Object.assign(heading.style, { fontSize: "18px", fontWeight: "600" });
+
+            const summary = document.createElement("div");
+            Object.assign(summary.style, { fontSize: "13px", color: "#666", margin: "8px 0 12px" });
+            summary.textContent = `${preview.added} line(s) added, ${preview.removed} line(s) removed since the last save. `;
+            if (preview.url) {
+                const link = document.createElement("a");
+                link.href = preview.url;
+                link.target = "_blank";
+                link.rel = "noopener";
+                link.textContent = "Open the current document";
+                summary.appendChild(link);
+            }
+
+            const buttons = document.createElement("div");
+            Object.assign(buttons.style, { display: "flex", justifyContent: "flex-end", flexWrap: "wrap", gap: "8px", marginTop: "16px" });
+            const cancelButton = createButton("Cancel", false);
+            const newButton = createButton("Save as new document", false);
+            const appendButton = createButton("Append as new section", false);
+            const overwriteButton = createButton("Overwrite", true);
+            buttons.appendChild(cancelButton);
+            buttons.appendChild(newButton);
+            buttons.appendChild(appendButton);
+            buttons.appendChild(overwriteButton);
+
+            dialog.appendChild(heading);
+            dialog.appendChild(summary);
+            dialog.appendChild(renderChanges(preview.changes || []));
+            dialog.appendChild(buttons);
+            overlay.appendChild(dialog);
+            document.body.appendChild(overlay);
+
+            function close(result) {
+                document.removeEventListener("keydown", onKeyDown, true);
+                overlay.remove();
+                resolve(result);
+            }
+
+            function onKeyDown(event) {
+                if (event.key === "Escape") {
+                    event.stopPropagation();
+                    close(null);
+                }
+            }
+
+            cancelButton.addEventListener("click", () => close(null));
+            newButton.addEventListener("click", () => close("new"));
+            appendButton.addEventListener("click", () => close("append"));
+            overwriteButton.addEventListener("click", () => close("overwrite"));
+            overlay.addEventListener("click", (event) => {
+                if (event.target === overlay) close(null);
+            });
+            document.addEventListener("keydown", onKeyDown, true);
+            overwriteButton.focus();
+        });
+    }
+
+    /**
+     * Asks how to save a Doc, sheet or deck that has a linked Outline document, if the export changes it.
+     * Without a linked document, without changes, with the preview turned off in the options or
+     * when the comparison fails, the save goes ahead as an overwrite.
+     * @param {Object} params
+     *   - sourceId {string}: Google source identifier ("doc:<id>", "sheet:<id>:<gid>" or "slides:<id>")
+     *   - profileId {string} (optional): Outline profile of the save
+     *   - content {string}: Markdown export of the Doc, or TSV export of the sheet
+     *   - presentationId {string}, pageIds {string[]}: for a deck, which the background exports itself
+     * @returns {Promise<string|null>} "overwrite", "append" or "new", or null if the user cancelled.
+     */
+    async function confirm({ sourceId, profileId = "", content, presentationId, pageIds }) {
+        const { previewOverwrite } = await chrome.storage.sync.get("previewOverwrite");
+        if (previewOverwrite === false) {
+            return "overwrite";
+        }
+
+        let preview;
+        try {
+            preview = await sendMessagePromise({ action: "previewOverwrite", sourceId, profileId, content, presentationId, pageIds });
+        } catch (err) {
+            console.error("Failed to compare with the linked Outline document:", err);
+            return "overwrite";
+        }
+        if (!preview.linked || preview.added + preview.removed === 0) {
+            return "overwrite";
+        }
+        return open(preview);
+    }
+
+    window.OutlineOverwritePreview = { confirm, open };
+})();
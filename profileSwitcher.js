@@ -0,0 +1,76 @@
+// profileSwitcher.js
+// Shared by content.js, spreadsheet.js and slides.js: picks the Outline profile (workspace) the next save goes to.
+(function() {
+    if (window.OutlineProfiles) {
+        return;
+    }
+
+    let selectedProfileId = ""; // Empty until the profiles are loaded: the background uses the default profile
+
+    /**
+     * Returns the profile picked for the next save.
+     * @returns {string} Profile ID, or "" for the default profile
+     */
+    function getSelectedProfileId() {
+        return selectedProfileId;
+    }
+
+    /**
+     * Adds a profile menu to a floating button. It only shows when more than one profile is configured,
+     * and starts on the default profile.
+     * @param {HTMLElement} container - The floating button container
+     * @param {Object} [options]
+     *   - before {HTMLElement}: Element the menu is inserted before (appended when missing).
+     *   - onChange {Function}: Called with the picked profile ID.
+     */
+    function attachSwitcher(container, { before = null, onChange = () => {} } = {}) {
+        const select = document.createElement("select");
+        select.title = "Outline profile to save to";
+        Object.assign(select.style, {
+            height: "24px",
+            maxWidth: "120px",
+            padding: "0 8px",
+            border: "none",
+            borderRadius: "12px",
+            backgroundColor: "#8e8e93",
+            color: "#fff",
+            cursor: "pointer",
+            display: "none",
+            marginRight: "8px",
+            boxShadow: "0 2px 10px rgba(0,0,0,0.2)",
+            fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+            fontSize: "12px"
+        });
+
+        // Keep clicks on the menu from reaching the button's save handler
+        ["mousedown", "click"].forEach((type) => {
+            select.addEventListener(type, (event) => event.stopPropagation());
+        });
+        select.addEventListener("change", () => {
+            selectedProfileId = select.value;
+            onChange(selectedProfileId);
+        });
+        container.insertBefore(select, before);
+
+        chrome.runtime.sendMessage({ action: "listProfiles" }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+                return;
+            }
+            if (response.profiles.length < 2) {
+                return;
+            }
+            response.profiles.forEach((profile) => {
+                const option = document.createElement("option");
+                option.value = profile.id;
+                option.textContent = profile.name;
+                option.style.color = "#333";
+                select.appendChild(option);
+            });
+            select.value = response.defaultProfileId;
+            selectedProfileId = response.defaultProfileId;
+            select.style.display = "block";
+        });
+    }
+
+    window.OutlineProfiles = { attachSwitcher, getSelectedProfileId };
+})();
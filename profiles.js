@@ -0,0 +1,69 @@
+// profiles.js
+// Shared by background.js and the options page: named Outline workspace profiles.
+import { getSyncStorage } from './storage.js';
+
+// The profile migrated from the single-workspace settings. Its data keeps the original storage keys.
+export const DEFAULT_PROFILE_ID = "default";
+
+// Settings stored before profiles existed; they become the "default" profile.
+export const LEGACY_PROFILE_KEYS = ["outlineUrl", "apiToken", "googleDocsCollectionName", "googleSheetsCollectionName"];
+
+/**
+ * Creates an ID for a new profile.
+ * @returns {string}
+ */
+export function createProfileId() {
+    return `profile-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Scopes a storage key (or map key) to a profile, e.g. "collectionId" -> "collectionId:profile-123".
+ * The default profile keeps the plain key, so data stored before profiles existed stays valid.
+ * @param {string} key - Unscoped key
+ * @param {string} [profileId] - Profile ID
+ * @returns {string}
+ */
+export function profileScopedKey(key, profileId) {
+    return profileId && profileId !== DEFAULT_PROFILE_ID ? `${key}:${profileId}` : key;
+}
+
+/**
+ * Reads the profiles and the default profile ID.
+ * Settings saved before profiles existed are returned as a single "Default" profile.
+ * The API tokens are kept apart from the profiles (see apiTokens.js).
+ * @returns {Promise<Object>} { profiles: [{ id, name, outlineUrl, googleDocsCollectionName,
+ *   googleSheetsCollectionName, googleSlidesCollectionName }], defaultProfileId }
+ */
+export async function getProfileSettings() {
+    const stored = await getSyncStorage(["profiles", "defaultProfileId", ...LEGACY_PROFILE_KEYS]);
+    if (Array.isArray(stored.profiles) && stored.profiles.length > 0) {
+        const defaultProfile = stored.profiles.find((profile) => profile.id === stored.defaultProfileId);
+        return {
+            profiles: stored.profiles,
+            defaultProfileId: (defaultProfile || stored.profiles[0]).id
+        };
+    }
+    if (!stored.outlineUrl) {
+        return { profiles: [], defaultProfileId: DEFAULT_PROFILE_ID };
+    }
+    return {
+        profiles: [{
+            id: DEFAULT_PROFILE_ID,
+            name: "Default",
+            outlineUrl: stored.outlineUrl || "",
+            googleDocsCollectionName: stored.googleDocsCollectionName || "",
+            googleSheetsCollectionName: stored.googleSheetsCollectionName || ""
+        }],
+        defaultProfileId: DEFAULT_PROFILE_ID
+    };
+}
+
+/**
+ * Returns a profile by ID, or the default profile.
+ * @param {string} [profileId] - Profile ID; empty for the default profile
+ * @returns {Promise<Object|null>} The profile, or null when it doesn't exist
+ */
+export async function getProfile(profileId) {
+    const { profiles, defaultProfileId } = await getProfileSettings();
+    return profiles.find((profile) => profile.id === (profileId || defaultProfileId)) || null;
+}
@@ -0,0 +1,51 @@
+// routingRules.js
+// Shared by background.js and the options page (dry-run tester).
+
+/**
+ * Checks whether a single routing rule matches a document.
+ * @param {Object} rule - { field: "title"|"url", operator: "matches"|"contains", pattern, target, type }
+ * @param {Object} context - { title, url, type: "doc"|"sheet"|"slides" }
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, context) {
+    if (!rule || !rule.pattern || !rule.target) return false;
+    if (rule.type && rule.type !== "any" && rule.type !== context.type) return false;
+
+    const value = (rule.field === "url" ? context.url : context.title) || "";
+
+    if (rule.operator === "matches") {
+        try {
+            return new RegExp(rule.pattern).test(value);
+        } catch (err) {
+            console.warn(`Ignoring routing rule with invalid pattern "${rule.pattern}": ${err.message}`);
+            return false;
+        }
+    }
+
+    return value.toLowerCase().includes(rule.pattern.toLowerCase());
+}
+
+/**
+ * Evaluates routing rules in order and returns the first match.
+ * @param {Object[]} rules - Ordered routing rules
+ * @param {Object} context - { title, url, type }
+ * @returns {Object|null} { rule, index } of the first matching rule, or null
+ */
+export function findMatchingRule(rules, context) {
+    if (!Array.isArray(rules)) return null;
+    const index = rules.findIndex((rule) => ruleMatches(rule, context));
+    return index === -1 ? null : { rule: rules[index], index };
+}
+
+/**
+ * Splits a rule target such as "Engineering/RFCs" into the collection name and parent document path.
+ * @param {string} target - Rule target
+ * @returns {Object} { collectionName, parentPath: string[] }
+ */
+export function parseTarget(target) {
+    const [collectionName, ...parentPath] = (target || "")
+        .split("/")
+        .map((segment) => segment.trim())
+        .filter(Boolean);
+    return { collectionName: collectionName || "", parentPath };
+}
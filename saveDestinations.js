@@ -0,0 +1,65 @@
+// saveDestinations.js
+import { getLocalStorage, setLocalStorage } from './storage.js';
+import { profileScopedKey } from './profiles.js';
+
+const STORAGE_KEY = "saveDestinations";
+
+/**
+ * Extracts the Google Drive file ID from a source identifier ("doc:<id>", "sheet:<id>:<gid>", ...).
+ * @param {string} sourceId - Google source identifier
+ * @returns {string|null}
+ */
+export function googleIdFromSourceId(sourceId) {
+    if (!sourceId) return null;
+    return sourceId.split(":")[1] || null;
+}
+
+/**
+ * Returns the last destination picked for a Google Drive document, if any.
+ * @param {string} googleId - Google Drive file ID
+ * @param {string} [profileId] - Outline profile (collections differ between workspaces)
+ * @returns {Promise<Object|null>} { collectionId, collectionName, parentDocumentId, parentTitle }
+ */
+export async function getSaveDestination(googleId, profileId = "") {
+    if (!googleId) return null;
+    const stored = await getLocalStorage(STORAGE_KEY);
+    const destinations = stored[STORAGE_KEY] || {};
+    return destinations[profileScopedKey(googleId, profileId)] || null;
+}
+
+/**
+ * Remembers the destination picked for a Google Drive document.
+ * @param {string} googleId - Google Drive file ID
+ * @param {Object} destination - { collectionId, collectionName, parentDocumentId, parentTitle }
+ * @param {string} [profileId] - Outline profile
+ * @returns {Promise<void>}
+ */
+export async function rememberSaveDestination(googleId, destination, profileId = "") {
+    if (!googleId || !destination || !destination.collectionId) return;
+    const stored = await getLocalStorage(STORAGE_KEY);
+    const destinations = stored[STORAGE_KEY] || {};
+    destinations[profileScopedKey(googleId, profileId)] = {
+        collectionId: destination.collectionId,
+        collectionName: destination.collectionName || "",
+        parentDocumentId: destination.parentDocumentId || "",
+        parentTitle: destination.parentTitle || ""
+    };
+    await setLocalStorage({ [STORAGE_KEY]: destinations });
+}
+
+/**
+ * Forgets the destination for a Google Drive document (e.g. when its collection is gone).
+ * @param {string} googleId - Google Drive file ID
+ * @param {string} [profileId] - Outline profile
+ * @returns {Promise<void>}
+ */
+export async function forgetSaveDestination(googleId, profileId = "") {
+    if (!googleId) return;
+    const stored = await getLocalStorage(STORAGE_KEY);
+    const destinations = stored[STORAGE_KEY] || {};
+    const key = profileScopedKey(googleId, profileId);
+    if (destinations[key]) {
+        delete destinations[key];
+        await setLocalStorage({ [STORAGE_KEY]: destinations });
+    }
+}
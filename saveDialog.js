@@ -0,0 +1,392 @@
+// saveDialog.js
+// Shared by content.js and spreadsheet.js: the optional dialog shown before a save, with a preview
+// of the export, an editable title, the collection, draft/publish and the metadata header toggle.
+(function() {
+    if (window.OutlineSaveDialog) {
+        return;
+    }
+
+    const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+    const MAX_TITLE_LENGTH = 255; // Outline's limit, checked again by the background
+    const MAX_PREVIEW_BLOCKS = 300; // Longer documents are previewed in part
+    const MAX_PREVIEW_ROWS = 50; // Rows previewed per sheet
+
+    // Wrap chrome.runtime.sendMessage in a promise that rejects on failed responses.
+    const sendMessagePromise = (msg) =>
+        new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage(msg, (response) => {
+                if (chrome.runtime.lastError) {
+                    return reject(chrome.runtime.lastError);
+                }
+                if (!response || !response.success) {
+                    return reject(new Error((response && response.error) || "Unknown error"));
+                }
+                resolve(response);
+            });
+        });
+
+    function createButton(text, primary) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = text;
+        Object.assign(button.style, {
+            padding: "8px 14px",
+            fontSize: "14px",
+            fontFamily: FONT_FAMILY,
+            border: "none",
+            borderRadius: "6px",
+            cursor: "pointer",
+            color: primary ? "#fff" : "#333",
+            backgroundColor: primary ? "#0071e3" : "#e5e5ea"
+        });
+        return button;
+    }
+
+    function createLabel(text) {
+        const label = document.createElement("div");
+        label.textContent = text;
+        Object.assign(label.style, {
+            fontSize: "13px",
+            color: "#666",
+            margin: "12px 0 6px"
+        });
+        return label;
+    }
+
+    function createCheckbox(text, checked) {
+        const label = document.createElement("label");
+        Object.assign(label.style, { display: "flex", alignItems: "center", gap: "6px", fontSize: "14px", marginTop: "8px" });
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.checked = checked;
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(text));
+        return { label, input };
+    }
+
+    function escapeHtml(text) {
+        return text
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#39;");
+    }
+
+    /**
+     * Renders inline Markdown (code, images, links, bold, italic, escapes) as HTML.
+     * Images are shown as placeholders; only http(s) links are kept as links.
+     * @param {string} text - Markdown of one block
+     * @returns {string} HTML
+     */
+    function renderInline(text) {
+        // Code spans and escaped characters are set aside so the rules below leave them alone
+        const stash = [];
+        const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+        const html = escapeHtml(text)
+            .replace(/`([^`]+)`/g, (match, code) => keep(`<code style="background:#f2f2f2;padding:0 3px">${code}</code>`))
+            .replace(/\\([!-/:-@[-`{-~])/g, (match, char) => keep(char))
+            .replace(/!\[([^\]]*)\](?:\([^)]*\)|\[[^\]]*\])/g, (match, alt) =>
+                keep(`<span style="color:#999">[image${alt ? `: ${alt}` : ""}]</span>`))
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)[^)]*\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>')
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, "<strong>$2</strong>")
+            .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?!\w)/g, "$1<em>$2</em>")
+            .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, "$1<em>$2</em>");
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]);
+    }
+
+    function splitTableRow(line) {
+        return line.trim().replace(/^\||\|$/g, "").split(/(?<!\\)\|/).map((cell) => cell.trim());
+    }
+
+    function renderTable(rows) {
+        const [head, ...body] = rows;
+        const cell = (tag, text) => `<${tag} style="border:1px solid #ddd;padding:4px 8px;text-align:left">${renderInline(text)}</${tag}>`;
+        return `<table style="border-collapse:collapse;margin:8px 0;font-size:13px">`
+            + `<tr>${head.map((text) => cell("th", text)).join("")}</tr>`
+            + body.map((row) => `<tr>${row.map((text) => cell("td", text)).join("")}</tr>`).join("")
+            + "</table>";
+    }
+
+    /**
+     * Renders Markdown as HTML for the preview: headings, paragraphs, lists, quotes, code blocks,
+     * tables and rules. Good enough to check an export, not a full CommonMark renderer.
+     * @param {string} markdown - Markdown export
+     * @returns {string} HTML
+     */
+    function renderMarkdown(markdown) {
+        const lines = markdown.replace(/\r\n/g, "\n").split("\n");
+        const isBlockStart = (line) => /^(#{1,6}\s|```|>|\s*\||\s*([-*+]|\d+[.)])\s|(---|\*\*\*|___)\s*$)/.test(line);
+        const blocks = [];
+        let i = 0;
+        while (i < lines.length && blocks.length < MAX_PREVIEW_BLOCKS) {
+            const line = lines[i];
+            if (!line.trim() || /^\s*\[[^\]]+\]:\s/.test(line)) {
+                // Blank lines and link/image definitions (e.g. embedded images) aren't shown
+                i++;
+            } else if (line.startsWith("```")) {
+                const code = [];
+                for (i++; i < lines.length && !lines[i].startsWith("```"); i++) {
+                    code.push(lines[i]);
+                }
+                i++;
+                blocks.push(`<pre style="background:#f6f8fa;padding:8px;overflow-x:auto;font-size:12px">${escapeHtml(code.join("\n"))}</pre>`);
+            } else if (/^#{1,6}\s/.test(line)) {
+                const level = line.match(/^#+/)[0].length;
+                blocks.push(`<h${level} style="margin:12px 0 6px">${renderInline(line.replace(/^#+\s+/, "").replace(/\s*\{#[^}]*\}\s*$/, ""))}</h${level}>`);
+                i++;
+            } else if (/^(---|\*\*\*|___)\s*$/.test(line)) {
+                blocks.push('<hr style="border:none;border-top:1px solid #ddd">');
+                i++;
+            } else if (/^\s*\|/.test(line)) {
+                const rows = [];
+                for (; i < lines.length && /^\s*\|/.test(lines[i]); i++) {
+                    if (!/^\s*\|[\s:|-]+\|\s*$/.test(lines[i])) rows.push(splitTableRow(lines[i]));
+                }
+                if (rows.length > 0) blocks.push(renderTable(rows));
+            } else if (line.startsWith(">")) {
+                const quoted = [];
+                for (; i < lines.length && lines[i].startsWith(">"); i++) {
+                    quoted.push(renderInline(lines[i].replace(/^>\s?/, "")));
+                }
+                blocks.push(`<blockquote style="border-left:3px solid #ddd;margin:8px 0;padding-left:10px;color:#555">${quoted.join("<br>")}</blockquote>`);
+            } else if (/^\s*([-*+]|\d+[.)])\s/.test(line)) {
+                const items = [];
+                for (; i < lines.length && /^\s*([-*+]|\d+[.)])\s/.test(lines[i]); i++) {
+                    const [, indent, marker, text] = lines[i].match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+                    const bullet = /\d/.test(marker) ? marker : "•";
+                    items.push(`<div style="padding-left:${1 + indent.length / 2}em;text-indent:-1em">${bullet} ${renderInline(text)}</div>`);
+                }
+                blocks.push(`<div style="margin:8px 0">${items.join("")}</div>`);
+            } else {
+                const paragraph = [];
+                for (; i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isBlockStart(lines[i])); i++) {
+                    paragraph.push(renderInline(lines[i].trim()));
+                }
+                blocks.push(`<p style="margin:8px 0">${paragraph.join(" ")}</p>`);
+            }
+        }
+        if (i < lines.length) {
+            blocks.push('<p style="color:#999">… (preview shortened)</p>');
+        }
+        return blocks.join("");
+    }
+
+    /**
+     * Renders sheet tabs as tables for the preview. The TSV is parsed like the save parses it, so
+     * quoted cells with tabs or line breaks stay in one cell.
+     * @param {Array<{name: string, tsv: string}>} sheets - Exported tabs
+     * @returns {Promise<string>} HTML
+     */
+    async function renderSheets(sheets) {
+        const { parseTsv } = await import(chrome.runtime.getURL("sheetMarkdown.js"));
+        return sheets.map(({ name, tsv }) => {
+            const rows = parseTsv(tsv).filter((row) => row.some((value) => value.trim() !== ""));
+            const shown = rows.slice(0, MAX_PREVIEW_ROWS);
+            const more = rows.length > MAX_PREVIEW_ROWS
+                ? `<p style="color:#999">… ${rows.length - MAX_PREVIEW_ROWS} more row(s)</p>`
+                : "";
+            const heading = sheets.length > 1 ? `<h3 style="margin:12px 0 6px">${escapeHtml(name)}</h3>` : "";
+            return `${heading}${shown.length > 0 ? renderTable(shown) : ""}${more}`;
+        }).join("");
+    }
+
+    /**
+     * Opens the pre-save dialog.
+     * @param {Object} options
+     *   - title {string}: Proposed document title (shortened to 255 characters if longer).
+     *   - markdown {string} (optional): Markdown export to preview.
+     *   - sheets {Array<{name, tsv}>} (optional): Exported sheet tabs to preview instead.
+     *   - profileId {string} (optional): Outline profile whose collections are listed.
+     *   - destination {Object} (optional): Destination picked before, preselected in the list.
+     * @returns {Promise<Object|null>} { title, destination, publish, includeHeader } where destination
+     *   is null to let the extension decide, or null if the user cancelled.
+     */
+    function open({ title = "", markdown = "", sheets = null, profileId = "", destination = null }) {
+        return new Promise((resolve) => {
+            const overlay = document.createElement("div");
+            Object.assign(overlay.style, {
+                position: "fixed",
+                inset: "0",
+                backgroundColor: "rgba(0,0,0,0.35)",
+                zIndex: 10001,
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "center",
+                fontFamily: FONT_FAMILY
+            });
+
+            const dialog = document.createElement("div");
+            Object.assign(dialog.style, {
+                backgroundColor: "#fff",
+                borderRadius: "12px",
+                boxShadow: "0 4px 24px rgba(0,0,0,0.25)",
+                padding: "24px",
+                width: "720px",
+                maxWidth: "90vw",
+                maxHeight: "90vh",
+                overflowY: "auto",
+                boxSizing: "border-box",
+                color: "#333"
+            });
+
+            const heading = document.createElement("div");
+            heading.textContent = "Save to Outline";
+            Object.assign(heading.style, { fontSize: "18px", fontWeight: "600" });
+
+            const titleInput = document.createElement("input");
+            titleInput.type = "text";
+            titleInput.maxLength = MAX_TITLE_LENGTH;
+            titleInput.value = title.slice(0, MAX_TITLE_LENGTH);
+            Object.assign(titleInput.style, {
+                width: "100%",
+                boxSizing: "border-box",
+                padding: "8px",
+                fontSize: "14px",
+                border: "1px solid #ddd",
+                borderRadius: "6px"
+            });
+            const titleHint = document.createElement("div");
+            Object.assign(titleHint.style, { fontSize: "12px", color: "#b25000", marginTop: "4px" });
+            titleHint.textContent = title.length > MAX_TITLE_LENGTH
+                ? `The title was shortened to Outline's limit of ${MAX_TITLE_LENGTH} characters.`
+                : "";
+
+            const collectionSelect = document.createElement("select");
+            Object.assign(collectionSelect.style, {
+                width: "100%",
+                padding: "8px",
+                fontSize: "14px",
+                border: "1px solid #ddd",
+                borderRadius: "6px"
+            });
+            const automatic = document.createElement("option");
+            automatic.value = "";
+            automatic.textContent = destination
+                ? `${destination.collectionName || "Picked collection"}${destination.parentTitle ? ` / ${destination.parentTitle}` : ""}`
+                : "Automatic (linked document, last destination or routing rules)";
+            collectionSelect.appendChild(automatic);
+
+            const publishOption = createCheckbox("Publish (uncheck to save new documents as drafts)", true);
+            const headerOption = createCheckbox("Add the metadata header", true);
+
+            const preview = document.createElement("div");
+            Object.assign(preview.style, {
+                maxHeight: "40vh",
+                overflowY: "auto",
+                border: "1px solid #eee",
+                borderRadius: "6px",
+                padding: "8px 12px",
+                fontSize: "14px",
+                lineHeight: "1.5"
+            });
+            if (sheets) {
+                preview.textContent = "Loading preview…";
+                renderSheets(sheets)
+                    .then((html) => {
+                        preview.innerHTML = html;
+                    })
+                    .catch((err) => {
+                        preview.textContent = "Preview failed: " + err.message;
+                    });
+            } else {
+                preview.innerHTML = renderMarkdown(markdown);
+            }
+
+            const status = document.createElement("div");
+            Object.assign(status.style, { fontSize: "12px", color: "#666", minHeight: "16px", marginTop: "6px" });
+
+            const buttons = document.createElement("div");
+            Object.assign(buttons.style, { display: "flex", justifyContent: "flex-end", gap: "8px", marginTop: "16px" });
+            const cancelButton = createButton("Cancel", false);
+            const saveButton = createButton("Save", true);
+            buttons.appendChild(cancelButton);
+            buttons.appendChild(saveButton);
+
+            dialog.appendChild(heading);
+            dialog.appendChild(createLabel("Title"));
+            dialog.appendChild(titleInput);
+            dialog.appendChild(titleHint);
+            dialog.appendChild(createLabel("Collection"));
+            dialog.appendChild(collectionSelect);
+            dialog.appendChild(publishOption.label);
+            dialog.appendChild(headerOption.label);
+            dialog.appendChild(createLabel("Preview"));
+            dialog.appendChild(preview);
+            dialog.appendChild(status);
+            dialog.appendChild(buttons);
+            overlay.appendChild(dialog);
+            document.body.appendChild(overlay);
+
+            function close(result) {
+                document.removeEventListener("keydown", onKeyDown, true);
+                overlay.remove();
+                resolve(result);
+            }
+
+            function onKeyDown(event) {
+                if (event.key === "Escape") {
+                    event.stopPropagation();
+                    close(null);
+                }
+            }
+
+            titleInput.addEventListener("input", () => {
+                titleHint.textContent = "";
+            });
+
+            cancelButton.addEventListener("click", () => close(null));
+            overlay.addEventListener("click", (event) => {
+                if (event.target === overlay) close(null);
+            });
+            document.addEventListener("keydown", onKeyDown, true);
+
+            saveButton.addEventListener("click", () => {
+                const newTitle = titleInput.value.trim();
+                if (!newTitle) {
+                    status.textContent = "Enter a title.";
+                    titleInput.focus();
+                    return;
+                }
+                const option = collectionSelect.selectedOptions[0];
+                close({
+                    title: newTitle,
+                    // A collection picked here saves at its root
+                    destination: collectionSelect.value
+                        ? { collectionId: collectionSelect.value, collectionName: option.textContent, parentDocumentId: "", parentTitle: "" }
+                        : destination,
+                    publish: publishOption.input.checked,
+                    includeHeader: headerOption.input.checked
+                });
+            });
+
+            titleInput.focus();
+
+            // Load the collections of the profile
+            sendMessagePromise({ action: "listCollections", profileId }).then((response) => {
+                (response.collections || []).forEach((collection) => {
+                    const option = document.createElement("option");
+                    option.value = collection.id;
+                    option.textContent = collection.name;
+                    collectionSelect.appendChild(option);
+                });
+            }).catch((err) => {
+                status.textContent = `Failed to load collections: ${err.message}`;
+            });
+        });
+    }
+
+    /**
+     * Tells whether the dialog is turned on in the options.
+     * @returns {Promise<boolean>}
+     */
+    function isEnabled() {
+        return new Promise((resolve) => {
+            chrome.storage.sync.get("showSaveDialog", (result) => {
+                resolve(result.showSaveDialog === true);
+            });
+        });
+    }
+
+    window.OutlineSaveDialog = { open, isEnabled };
+})();
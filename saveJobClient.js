@@ -0,0 +1,154 @@
+// saveJobClient.js
+// Shared by content.js, spreadsheet.js and slides.js: submits a save request, follows its job until it finishes,
+// and shows how many saves are queued while offline.
+(function() {
+    if (window.OutlineSaveJobs) {
+        return;
+    }
+
+    const POLL_INTERVAL = 1000; // ms between status checks
+    const MESSAGE_TIMEOUT = 30000; // Per message; the job itself may run longer
+
+    const STEP_LABELS = {
+        resolve: "Preparing",
+        linked: "Preparing",
+        export: "Exporting",
+        parent: "Preparing",
+        excerpt: "Finding selection",
+        normalize: "Cleaning up Markdown",
+        images: "Uploading images",
+        original: "Attaching original file",
+        create: "Creating",
+        import: "Importing",
+        update: "Updating",
+        append: "Appending",
+        cleanup: "Cleaning up",
+        retitle: "Setting title",
+        header: "Adding header",
+        comments: "Copying comments",
+        discussion: "Adding discussion",
+        index: "Listing tabs",
+        image: "Uploading image"
+    };
+
+    function sendMessage(msg) {
+        return new Promise((resolve, reject) => {
+            const messageTimeout = setTimeout(() => {
+                reject(new Error("Message timeout"));
+            }, MESSAGE_TIMEOUT);
+
+            chrome.runtime.sendMessage(msg, (response) => {
+                clearTimeout(messageTimeout);
+                if (chrome.runtime.lastError) {
+                    return reject(chrome.runtime.lastError);
+                }
+                resolve(response);
+            });
+        });
+    }
+
+    /**
+     * Describes the step a job is on, e.g. "Adding header...", "Importing (tab 2)..." or "Uploading image (slide 3)...".
+     * @param {Object} job - Job status from getSaveJobStatus
+     * @returns {string}
+     */
+    function describeStep(job) {
+        if (!job.currentStep) {
+            return job.status === "queued" ? "Queued..." : "Saving...";
+        }
+        const parts = job.currentStep.split(":");
+        const label = STEP_LABELS[parts[parts.length - 1]] || "Saving";
+        return parts[0] === "tab" || parts[0] === "slide" ? `${label} (${parts[0]} ${parts[1]})...` : `${label}...`;
+    }
+
+    /**
+     * Sends a save request and waits until its job is done.
+     * @param {Object} message - Save request (saveGoogleDoc, importGoogleSheet or importGoogleWorkbook)
+     * @param {Function} [onProgress] - Called with a step description while the job runs
+     * @returns {Promise<Object>} The job result ({ success, url, documentId, updated }), the error response,
+     *   or { success: false, queued: true } when the save was queued until the connection is back
+     */
+    async function save(message, onProgress = () => {}) {
+        const submitted = await sendMessage(message);
+        if (!submitted || !submitted.success) {
+            return submitted;
+        }
+
+        for (;;) {
+            const status = await sendMessage({ action: "getSaveJobStatus", jobId: submitted.jobId });
+            if (!status || !status.success) {
+                return status;
+            }
+
+            const job = status.job;
+            if (job.status === "done") {
+                return { success: true, jobId: job.id, ...job.result };
+            }
+            if (job.status === "failed") {
+                return { success: false, jobId: job.id, error: job.error };
+            }
+            if (job.status === "waiting") {
+                // Outline (or Google) is unreachable: the job stays queued and is sent later
+                return { success: false, queued: true, jobId: job.id, error: job.error };
+            }
+
+            onProgress(describeStep(job));
+            await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+        }
+    }
+
+    /**
+     * Adds the "queued (n)" indicator to a floating button and keeps it up to date.
+     * Clicking it opens the queued saves in the extension settings.
+     * Also asks the extension to send queued saves as soon as the browser is back online.
+     * @param {HTMLElement} container - The floating button container (position: fixed)
+     */
+    function attachQueueIndicator(container) {
+        const indicator = document.createElement("div");
+        indicator.title = "Saves waiting for a connection. Click to view.";
+        Object.assign(indicator.style, {
+            position: "absolute",
+            top: "-24px",
+            right: "0",
+            backgroundColor: "#ff9500",
+            color: "#fff",
+            padding: "2px 8px",
+            borderRadius: "10px",
+            fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif",
+            fontSize: "11px",
+            fontWeight: "500",
+            whiteSpace: "nowrap",
+            cursor: "pointer",
+            display: "none"
+        });
+        indicator.addEventListener("click", (event) => {
+            event.stopPropagation();
+            chrome.runtime.sendMessage({ action: "openSaveQueue" }, () => void chrome.runtime.lastError);
+        });
+        container.appendChild(indicator);
+
+        const render = (count) => {
+            indicator.textContent = `queued (${count})`;
+            indicator.style.display = count > 0 ? "block" : "none";
+        };
+
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message && message.action === "saveQueueChanged") {
+                render(message.count);
+            }
+        });
+        sendMessage({ action: "getSaveQueue" })
+            .then((response) => {
+                if (response && response.success) {
+                    render(response.jobs.length);
+                }
+            })
+            .catch((err) => console.error("Failed to read the save queue:", err));
+
+        window.addEventListener("online", () => {
+            chrome.runtime.sendMessage({ action: "flushSaveQueue" }, () => void chrome.runtime.lastError);
+        });
+    }
+
+    window.OutlineSaveJobs = { save, attachQueueIndicator };
+})();
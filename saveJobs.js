@@ -0,0 +1,143 @@
+// saveJobs.js
+import { getLocalStorage, setLocalStorage } from './storage.js';
+
+const STORAGE_KEY = "saveJobs";
+const MAX_FINISHED_JOBS = 20; // Older finished jobs are dropped
+const PAYLOAD_FIELDS = ["content", "fileContent", "sheets"];
+
+let writeQueue = Promise.resolve(); // Serializes read-modify-write cycles of concurrent jobs
+
+/**
+ * Applies a change to the stored jobs once all earlier changes have been written.
+ * @param {Function} mutator - Receives the jobs map and may modify it in place
+ * @returns {Promise<*>} The mutator's return value
+ */
+function mutateJobs(mutator) {
+    const run = writeQueue.then(async () => {
+        const stored = await getLocalStorage(STORAGE_KEY);
+        const jobs = stored[STORAGE_KEY] || {};
+        const result = mutator(jobs);
+        await setLocalStorage({ [STORAGE_KEY]: jobs });
+        return result;
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+function pruneFinishedJobs(jobs) {
+    const finished = Object.keys(jobs)
+        .filter((id) => jobs[id].finishedAt)
+        .sort((a, b) => jobs[a].finishedAt.localeCompare(jobs[b].finishedAt));
+    while (finished.length > MAX_FINISHED_JOBS) {
+        delete jobs[finished.shift()];
+    }
+}
+
+/**
+ * Stores a save request as a job so it can be resumed if the service worker is stopped.
+ * @param {string} action - Save action ("saveGoogleDoc", "importGoogleSheet" or "importGoogleWorkbook")
+ * @param {Object} request - The original save request, including its content
+ * @returns {Promise<Object>} The created job
+ */
+export function createSaveJob(action, request) {
+    const now = new Date().toISOString();
+    const job = {
+        id: `save-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        action,
+        request,
+        status: "queued",
+        currentStep: null,
+        steps: {},
+        attempts: 0,
+        result: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        finishedAt: null
+    };
+    return mutateJobs((jobs) => {
+        pruneFinishedJobs(jobs);
+        jobs[job.id] = job;
+        return job;
+    });
+}
+
+/**
+ * Returns a save job by ID.
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getSaveJob(jobId) {
+    const stored = await getLocalStorage(STORAGE_KEY);
+    const jobs = stored[STORAGE_KEY] || {};
+    return jobs[jobId] || null;
+}
+
+/**
+ * Returns the jobs that are not finished yet: queued, running, or waiting for a connection.
+ * @returns {Promise<Object[]>} Jobs in creation order
+ */
+export async function getUnfinishedSaveJobs() {
+    const stored = await getLocalStorage(STORAGE_KEY);
+    const jobs = stored[STORAGE_KEY] || {};
+    return Object.values(jobs)
+        .filter((job) => !job.finishedAt)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Merges fields into a save job (status, currentStep, attempts, error).
+ * @param {string} jobId - Job ID
+ * @param {Object} patch - Fields to update
+ * @returns {Promise<Object|null>} The updated job
+ */
+export function updateSaveJob(jobId, patch) {
+    return mutateJobs((jobs) => {
+        if (!jobs[jobId]) return null;
+        jobs[jobId] = { ...jobs[jobId], ...patch, updatedAt: new Date().toISOString() };
+        return jobs[jobId];
+    });
+}
+
+/**
+ * Records the result of a completed step so a resumed job skips it.
+ * @param {string} jobId - Job ID
+ * @param {string} step - Step name (e.g. "create", "retitle", "header")
+ * @param {*} result - JSON-serializable step result
+ * @returns {Promise<void>}
+ */
+export function recordJobStep(jobId, step, result) {
+    return mutateJobs((jobs) => {
+        const job = jobs[jobId];
+        if (!job) return;
+        job.steps[step] = result;
+        job.currentStep = null;
+        job.updatedAt = new Date().toISOString();
+    });
+}
+
+/**
+ * Marks a save job as done, failed or cancelled.
+ * Done and cancelled jobs drop their document content and step results to keep storage small.
+ * @param {string} jobId - Job ID
+ * @param {Object} outcome - { status: "done", result }, { status: "failed", error } or { status: "cancelled" }
+ * @returns {Promise<Object|null>} The finished job
+ */
+export function finishSaveJob(jobId, outcome) {
+    return mutateJobs((jobs) => {
+        const job = jobs[jobId];
+        if (!job) return null;
+        const now = new Date().toISOString();
+        Object.assign(job, { result: null, error: null }, outcome, {
+            currentStep: outcome.status === "failed" ? job.currentStep : null,
+            updatedAt: now,
+            finishedAt: now
+        });
+
+        if (job.status !== "failed") {
+            PAYLOAD_FIELDS.forEach((field) => delete job.request[field]);
+            job.steps = Object.fromEntries(Object.keys(job.steps).map((step) => [step, true]));
+        }
+        return job;
+    });
+}
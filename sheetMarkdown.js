@@ -0,0 +1,144 @@
+// sheetMarkdown.js
+
+const NUMERIC_CELL = /^[-+]?[$€£¥]?\s?\d[\d,\s]*(\.\d+)?\s?%?$/;
+
+/**
+ * Parses a Google Sheets TSV export into rows of cells.
+ * Fields containing tabs, newlines or quotes are wrapped in double quotes by the export,
+ * with embedded quotes doubled ("").
+ * @param {string} tsv - Raw TSV export
+ * @returns {string[][]} Rows of cell values
+ */
+export function parseTsv(tsv) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let inQuotes = false;
+    let atCellStart = true;
+    const text = tsv.replace(/\r\n?/g, "\n");
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                cell += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && atCellStart) {
+            inQuotes = true;
+            atCellStart = false;
+        } else if (char === "\t") {
+            row.push(cell);
+            cell = "";
+            atCellStart = true;
+        } else if (char === "\n") {
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+            atCellStart = true;
+        } else {
+            cell += char;
+            atCellStart = false;
+        }
+    }
+
+    if (cell !== "" || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Escapes a cell value for use inside a Markdown table.
+ * @param {string} value - Raw cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCell(value) {
+    return value
+        .trim()
+        .replace(/\\/g, "\\\\")
+        .replace(/\|/g, "\\|")
+        .replace(/\t/g, " ")
+        .replace(/\n/g, "<br>");
+}
+
+/**
+ * Drops trailing empty rows and trailing empty columns, then pads every row to the same width.
+ * @param {string[][]} rows - Parsed rows
+ * @returns {string[][]} Normalized rows
+ */
+function normalizeRows(rows) {
+    const isEmpty = (value) => !value || value.trim() === "";
+
+    let lastRow = rows.length - 1;
+    while (lastRow >= 0 && rows[lastRow].every(isEmpty)) {
+        lastRow--;
+    }
+    const trimmed = rows.slice(0, lastRow + 1);
+
+    let width = 0;
+    for (const row of trimmed) {
+        for (let col = row.length - 1; col >= width; col--) {
+            if (!isEmpty(row[col])) {
+                width = col + 1;
+                break;
+            }
+        }
+    }
+
+    return trimmed.map((row) => {
+        const cells = row.slice(0, width);
+        while (cells.length < width) cells.push("");
+        return cells;
+    });
+}
+
+/**
+ * Converts a TSV export into an Outline-compatible Markdown table.
+ * The first row becomes the header; columns whose non-empty body cells are all numeric
+ * are right-aligned.
+ * @param {string} tsv - Raw TSV export
+ * @param {Object} options
+ *   - maxRows {number} (optional): Maximum number of body rows, 0 for no limit.
+ * @returns {string} Markdown table (with a notice when rows were truncated)
+ */
+export function tsvToMarkdownTable(tsv, { maxRows = 0 } = {}) {
+    const rows = normalizeRows(parseTsv(tsv));
+    if (rows.length === 0 || rows[0].length === 0) {
+        return "";
+    }
+
+    const [header, ...allBody] = rows;
+    const body = maxRows > 0 ? allBody.slice(0, maxRows) : allBody;
+
+    const alignments = header.map((_, col) => {
+        const values = allBody.map((row) => row[col].trim()).filter((value) => value !== "");
+        return values.length > 0 && values.every((value) => NUMERIC_CELL.test(value)) ? "---:" : "---";
+    });
+
+    const toLine = (cells) => `| ${cells.map(escapeCell).join(" | ")} |`;
+    const lines = [
+        toLine(header),
+        `| ${alignments.join(" | ")} |`,
+        ...body.map(toLine)
+    ];
+
+    let markdown = lines.join("\n");
+    if (body.length < allBody.length) {
+        markdown += `\n\n> _Truncated: showing the first ${body.length} of ${allBody.length} rows._`;
+    }
+    return markdown;
+}
@@ -0,0 +1,379 @@
+// slides.js
+(function() {
+    // Only run on Google Slides pages.
+    if (
+        !window.location.hostname.includes("docs.google.com") ||
+        !window.location.pathname.includes("/presentation/")
+    ) {
+        return;
+    }
+
+    chrome.storage.sync.get(["enableSaveButton"], (result) => {
+        if (result.enableSaveButton === false) {
+            return;
+        }
+
+        // Create container for the floating button
+        const buttonContainer = document.createElement("div");
+        Object.assign(buttonContainer.style, {
+            position: "fixed",
+            bottom: "20px",
+            right: "20px",
+            zIndex: 10000,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "flex-end",
+            transition: "all 0.3s ease"
+        });
+
+        // Create the icon button
+        const iconButton = document.createElement("div");
+        Object.assign(iconButton.style, {
+            width: "40px",
+            height: "40px",
+            borderRadius: "50%",
+            backgroundColor: "#0071e3",
+            cursor: "pointer",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            boxShadow: "0 2px 10px rgba(0,0,0,0.2)",
+            transition: "transform 0.3s ease, background-color 0.5s ease"
+        });
+        iconButton.dataset.saved = "false";
+
+        // Create icon element (using extension's icon)
+        const iconElement = document.createElement("img");
+        try {
+            iconElement.src = chrome.runtime.getURL("icons/icon48.png");
+            iconElement.onerror = () => {
+                // Fallback to a text icon if image loading fails
+                iconElement.remove();
+                iconButton.textContent = "O";
+                iconButton.style.fontWeight = "bold";
+                iconButton.style.fontFamily = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+                iconButton.style.fontSize = "16px";
+                iconButton.style.color = "#fff";
+            };
+        } catch (e) {
+            // If chrome.runtime.getURL fails, use text fallback
+            iconButton.textContent = "O";
+            iconButton.style.fontWeight = "bold";
+            iconButton.style.fontFamily = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+            iconButton.style.fontSize = "16px";
+            iconButton.style.color = "#fff";
+        }
+        iconElement.style.width = "24px";
+        iconElement.style.height = "24px";
+        iconElement.style.objectFit = "contain";
+        iconButton.appendChild(iconElement);
+
+        // Identify the presentation (remembered destination, linked Outline document).
+        const presentationMatch = window.location.pathname.match(/\/presentation\/d\/([^\/]+)/);
+        const sourceId = presentationMatch ? `slides:${presentationMatch[1]}` : null;
+
+        // Create the "Save to Outline as…" button that opens the destination picker
+        const pickerButton = document.createElement("div");
+        pickerButton.textContent = "\u22EF";
+        pickerButton.title = "Save to Outline as…";
+        Object.assign(pickerButton.style, {
+            width: "24px",
+            height: "24px",
+            borderRadius: "50%",
+            backgroundColor: "#005bb5",
+            color: "#fff",
+            cursor: "pointer",
+            display: sourceId && window.OutlineDestinationPicker ? "flex" : "none",
+            alignItems: "center",
+            justifyContent: "center",
+            marginRight: "8px",
+            boxShadow: "0 2px 10px rgba(0,0,0,0.2)",
+            fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+            fontSize: "14px"
+        });
+
+        // Create text label that appears on hover
+        const textLabel = document.createElement("div");
+        textLabel.textContent = "Save to Outline";
+        Object.assign(textLabel.style, {
+            backgroundColor: "#0071e3",
+            color: "#fff",
+            padding: "8px 12px",
+            borderRadius: "6px",
+            marginRight: "10px",
+            opacity: "0",
+            transform: "translateX(10px)",
+            transition: "opacity 0.3s ease, transform 0.3s ease",
+            whiteSpace: "nowrap",
+            fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif",
+            fontSize: "14px",
+            fontWeight: "500"
+        });
+
+        // Add elements to the container
+        buttonContainer.appendChild(pickerButton);
+        buttonContainer.appendChild(textLabel);
+        buttonContainer.appendChild(iconButton);
+        document.body.appendChild(buttonContainer);
+
+        // "queued (n)" indicator for saves waiting for a connection
+        if (window.OutlineSaveJobs) {
+            window.OutlineSaveJobs.attachQueueIndicator(buttonContainer);
+        }
+
+        // Outline profile menu, shown when more than one workspace is configured
+        const currentProfileId = () => (window.OutlineProfiles ? window.OutlineProfiles.getSelectedProfileId() : "");
+        if (window.OutlineProfiles) {
+            window.OutlineProfiles.attachSwitcher(buttonContainer, {
+                before: textLabel,
+                // A save to another workspace starts over instead of opening the last saved document
+                onChange: () => {
+                    iconButton.dataset.saved = "false";
+                    iconButton.dataset.url = "";
+                    iconButton.style.backgroundColor = "#0071e3";
+                    textLabel.style.backgroundColor = "#0071e3";
+                    textLabel.textContent = "Save to Outline";
+                }
+            });
+        }
+
+        // Show/hide text on hover
+        buttonContainer.addEventListener("mouseenter", () => {
+            textLabel.style.opacity = "1";
+            textLabel.style.transform = "translateX(0)";
+        });
+
+        buttonContainer.addEventListener("mouseleave", () => {
+            textLabel.style.opacity = "0";
+            textLabel.style.transform = "translateX(10px)";
+        });
+
+        /**
+         * Lists the page IDs of the slides in deck order from the editor's filmstrip, whose
+         * thumbnails have IDs like "filmstrip-slide-3-g1a2b3c_0_5". The background uses them to
+         * export an image of each slide.
+         * @returns {string[]} Page IDs, or [] when the filmstrip isn't available
+         */
+        function readSlidePageIds() {
+            const pages = new Map();
+            document.querySelectorAll('[id^="filmstrip-slide-"]').forEach((element) => {
+                const match = element.id.match(/^filmstrip-slide-(\d+)-(.+)$/);
+                if (match && !pages.has(Number(match[1]))) {
+                    pages.set(Number(match[1]), match[2]);
+                }
+            });
+            return [...pages.keys()].sort((a, b) => a - b).map((index) => pages.get(index));
+        }
+
+        let isProcessing = false;
+
+        async function handleClick(destination = null) {
+            // Prevent concurrent operations
+            if (isProcessing) return;
+            isProcessing = true;
+
+            // If already saved, open the document URL (unless a destination was just picked).
+            if (iconButton.dataset.saved === "true" && !destination) {
+                const url = iconButton.dataset.url;
+                if (url) {
+                    window.open(url, "_blank");
+                }
+                isProcessing = false;
+                return;
+            }
+
+            iconButton.style.pointerEvents = "none";
+            iconButton.style.transform = "scale(1.1)";
+
+            // Update the text label to show progress
+            textLabel.textContent = "Sending...";
+            textLabel.style.opacity = "1";
+            iconButton.dataset.url = "";
+
+            if (!presentationMatch) {
+                displayError("Invalid Presentation");
+                isProcessing = false;
+                return;
+            }
+
+            try {
+                // Collect metadata for the header template (rendered by the background script).
+                const metadata = window.OutlineDocumentMetadata
+                    ? window.OutlineDocumentMetadata.collect("slides")
+                    : { title: document.title, sourceUrl: window.location.href, type: "slides" };
+
+                // The deck is exported by the extension, so offline saves are queued like any other.
+                const message = {
+                    action: "saveGoogleSlides",
+                    presentationId: presentationMatch[1],
+                    pageIds: readSlidePageIds(),
+                    sourceId,
+                    sourceUrl: window.location.href,
+                    profileId: currentProfileId(),
+                    destination,
+                    metadata,
+                    title: document.title
+                };
+
+                // Before the first save from this browser, look for copies already in Outline
+                if (navigator.onLine && window.OutlineDuplicateCheck) {
+                    textLabel.textContent = "Checking Outline...";
+                    if (!(await window.OutlineDuplicateCheck.confirm(message))) {
+                        resetButton();
+                        return;
+                    }
+                }
+
+                // A re-save overwrites the linked Outline document: show what changes first
+                if (navigator.onLine && window.OutlineOverwritePreview) {
+                    textLabel.textContent = "Comparing...";
+                    message.overwriteMode = await window.OutlineOverwritePreview.confirm({
+                        sourceId,
+                        profileId: message.profileId,
+                        presentationId: message.presentationId,
+                        pageIds: message.pageIds
+                    });
+                    if (!message.overwriteMode) {
+                        resetButton();
+                        return;
+                    }
+                }
+
+                try {
+                    // The save runs as a background job; follow its progress until it finishes.
+                    const response = await window.OutlineSaveJobs.save(message, (progress) => {
+                        textLabel.textContent = progress;
+                    });
+
+                    if (response && response.success) {
+                        iconButton.style.backgroundColor = "green";
+                        textLabel.style.backgroundColor = "green";
+                        textLabel.textContent = response.updated ? "Updated! Click to view" : "Saved! Click to view";
+                        textLabel.style.opacity = "1";
+                        iconButton.dataset.saved = "true";
+                        iconButton.dataset.url = response.url || "";
+                        iconButton.style.pointerEvents = "auto";
+                        iconButton.style.transform = "scale(1)";
+
+                        // Keep the text visible for a moment
+                        setTimeout(() => {
+                            if (!buttonContainer.matches(':hover')) {
+                                textLabel.style.opacity = "0";
+                                textLabel.style.transform = "translateX(10px)";
+                            }
+                        }, 2000);
+                    } else if (response && response.queued) {
+                        displayQueued();
+                    } else {
+                        const errorMessage = response && response.error ? response.error : "Unknown error";
+                        throw new Error(errorMessage);
+                    }
+                } catch (messageError) {
+                    if (messageError.message.includes("Extension context invalidated")) {
+                        throw new Error("Extension reloaded. Please refresh the page and try again.");
+                    } else if (messageError.message.includes("Could not establish connection")) {
+                        throw new Error("Connection to extension failed. Please refresh the page.");
+                    } else {
+                        throw messageError;
+                    }
+                }
+            } catch (err) {
+                console.error("Export/save error:", err);
+                let errorMessage = "Error";
+
+                // Determine appropriate error message based on error type
+                if (!navigator.onLine) {
+                    errorMessage = "Offline";
+                } else if (err.message.includes("Status: 401") || err.message.includes("Status: 403")) {
+                    errorMessage = "Auth Error";
+                } else if (err.message.includes("Extension") || err.message.includes("Connection")) {
+                    errorMessage = "Ext Error";
+                } else if (err.message.includes("no slides")) {
+                    errorMessage = "Empty Data";
+                } else if (err.message.includes("unexpected file format")) {
+                    errorMessage = "Format Error";
+                } else if (err.name === 'TypeError' && err.message.includes('network')) {
+                    errorMessage = "Network Error";
+                } else if (err.name === 'AbortError') {
+                    errorMessage = "Cancelled";
+                }
+
+                displayError(errorMessage);
+            } finally {
+                isProcessing = false;
+            }
+        }
+
+        function displayError(message) {
+            iconButton.style.backgroundColor = "red";
+            textLabel.style.backgroundColor = "red";
+            textLabel.textContent = message;
+            textLabel.style.opacity = "1";
+
+            setTimeout(() => {
+                iconButton.style.backgroundColor = "#0071e3";
+                textLabel.style.backgroundColor = "#0071e3";
+                textLabel.textContent = "Save to Outline";
+                iconButton.style.pointerEvents = "auto";
+                iconButton.style.transform = "scale(1)";
+
+                // Hide the text label after showing the error
+                if (!buttonContainer.matches(':hover')) {
+                    textLabel.style.opacity = "0";
+                    textLabel.style.transform = "translateX(10px)";
+                }
+            }, 3000);
+        }
+
+        // Back to the idle button, e.g. after a dialog before the save was cancelled.
+        function resetButton() {
+            iconButton.style.backgroundColor = "#0071e3";
+            textLabel.style.backgroundColor = "#0071e3";
+            textLabel.textContent = "Save to Outline";
+            iconButton.style.pointerEvents = "auto";
+            iconButton.style.transform = "scale(1)";
+
+            if (!buttonContainer.matches(':hover')) {
+                textLabel.style.opacity = "0";
+                textLabel.style.transform = "translateX(10px)";
+            }
+        }
+
+        // Saved for later: the extension sends it when the connection is back.
+        function displayQueued() {
+            iconButton.style.backgroundColor = "#ff9500";
+            textLabel.style.backgroundColor = "#ff9500";
+            textLabel.textContent = "Queued: will save when online";
+            textLabel.style.opacity = "1";
+
+            setTimeout(() => {
+                iconButton.style.backgroundColor = "#0071e3";
+                textLabel.style.backgroundColor = "#0071e3";
+                textLabel.textContent = "Save to Outline";
+                iconButton.style.pointerEvents = "auto";
+                iconButton.style.transform = "scale(1)";
+
+                if (!buttonContainer.matches(':hover')) {
+                    textLabel.style.opacity = "0";
+                    textLabel.style.transform = "translateX(10px)";
+                }
+            }, 3000);
+        }
+
+        // Pick a destination, then save there.
+        pickerButton.addEventListener("click", async (event) => {
+            event.stopPropagation();
+            if (isProcessing) return;
+            const destination = await window.OutlineDestinationPicker.open({
+                sourceId,
+                profileId: currentProfileId()
+            });
+            if (destination) {
+                handleClick(destination);
+            }
+        });
+
+        // Click handler - Delegate to the container for better UX
+        buttonContainer.addEventListener("click", () => handleClick());
+    });
+})();
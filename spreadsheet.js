@@ -8,11 +8,14 @@
         return;
     }
 
-    chrome.storage.sync.get("enableSaveButton", (result) => {
+    chrome.storage.sync.get(["enableSaveButton", "sheetExportMode"], (result) => {
         if (result.enableSaveButton === false) {
             return;
         }
 
+        // "activeSheet" exports the tab in the URL, "workbook" exports every tab.
+        const sheetExportMode = result.sheetExportMode || "activeSheet";
+
         // Create container for the floating button
         const buttonContainer = document.createElement("div");
         Object.assign(buttonContainer.style, {
@@ -68,6 +71,63 @@
         iconElement.style.objectFit = "contain";
         iconButton.appendChild(iconElement);
 
+        // Identify the sheet for "keep in sync" tracking.
+        const sheetMatch = window.location.pathname.match(/\/spreadsheets\/d\/([^\/]+)/);
+        const sheetGid = new URLSearchParams(window.location.search).get("gid") || "0";
+        const syncInfo = sheetMatch ? {
+            sourceId: `sheet:${sheetMatch[1]}:${sheetGid}`,
+            type: "sheet",
+            googleId: sheetMatch[1],
+            gid: sheetGid
+        } : null;
+
+        // Create the "keep in sync" toggle
+        const syncToggle = document.createElement("div");
+        syncToggle.textContent = "\u27F3";
+        Object.assign(syncToggle.style, {
+            width: "24px",
+            height: "24px",
+            borderRadius: "50%",
+            backgroundColor: "#8e8e93",
+            color: "#fff",
+            cursor: "pointer",
+            display: syncInfo ? "flex" : "none",
+            alignItems: "center",
+            justifyContent: "center",
+            marginRight: "8px",
+            boxShadow: "0 2px 10px rgba(0,0,0,0.2)",
+            fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+            fontSize: "14px",
+            transition: "background-color 0.3s ease"
+        });
+
+        function setSyncToggleState(tracked) {
+            syncToggle.dataset.tracked = tracked ? "true" : "false";
+            syncToggle.style.backgroundColor = tracked ? "green" : "#8e8e93";
+            syncToggle.title = tracked ? "Keep in sync: on" : "Keep in sync: off";
+        }
+        setSyncToggleState(false);
+
+        // Create the "Save to Outline as…" button that opens the destination picker
+        const pickerButton = document.createElement("div");
+        pickerButton.textContent = "\u22EF";
+        pickerButton.title = "Save to Outline as…";
+        Object.assign(pickerButton.style, {
+            width: "24px",
+            height: "24px",
+            borderRadius: "50%",
+            backgroundColor: "#005bb5",
+            color: "#fff",
+            cursor: "pointer",
+            display: syncInfo && window.OutlineDestinationPicker ? "flex" : "none",
+            alignItems: "center",
+            justifyContent: "center",
+            marginRight: "8px",
+            boxShadow: "0 2px 10px rgba(0,0,0,0.2)",
+            fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+            fontSize: "14px"
+        });
+
         // Create text label that appears on hover
         const textLabel = document.createElement("div");
         textLabel.textContent = "Save to Outline";
@@ -87,10 +147,33 @@
         });
 
         // Add elements to the container
+        buttonContainer.appendChild(pickerButton);
+        buttonContainer.appendChild(syncToggle);
         buttonContainer.appendChild(textLabel);
         buttonContainer.appendChild(iconButton);
         document.body.appendChild(buttonContainer);
 
+        // "queued (n)" indicator for saves waiting for a connection
+        if (window.OutlineSaveJobs) {
+            window.OutlineSaveJobs.attachQueueIndicator(buttonContainer);
+        }
+
+        // Outline profile menu, shown when more than one workspace is configured
+        const currentProfileId = () => (window.OutlineProfiles ? window.OutlineProfiles.getSelectedProfileId() : "");
+        if (window.OutlineProfiles) {
+            window.OutlineProfiles.attachSwitcher(buttonContainer, {
+                before: textLabel,
+                // A save to another workspace starts over instead of opening the last saved document
+                onChange: () => {
+                    iconButton.dataset.saved = "false";
+                    iconButton.dataset.url = "";
+                    iconButton.style.backgroundColor = "#0071e3";
+                    textLabel.style.backgroundColor = "#0071e3";
+                    textLabel.textContent = "Save to Outline";
+                }
+            });
+        }
+
         // Show/hide text on hover
         buttonContainer.addEventListener("mouseenter", () => {
             textLabel.style.opacity = "1";
@@ -102,15 +185,80 @@
             textLabel.style.transform = "translateX(10px)";
         });
 
+        /**
+         * Fetches one sheet tab as TSV.
+         * @param {string} spreadsheetId - Spreadsheet ID
+         * @param {string} gid - Sheet tab ID
+         * @returns {Promise<string>} TSV content
+         */
+        async function fetchSheetTsv(spreadsheetId, gid) {
+            // Build the export URL (TSV format).
+            const exportUrl = `https://docs.google.com/spreadsheets/d/${spreadsheetId}/export?format=tsv&id=${spreadsheetId}&gid=${gid}`;
+
+            const fetchResponse = await fetch(exportUrl);
+            if (!fetchResponse.ok) {
+                const statusCode = fetchResponse.status;
+                if (statusCode === 401 || statusCode === 403) {
+                    throw new Error("Authentication error. Please make sure you're signed in.");
+                } else if (statusCode === 404) {
+                    throw new Error("Spreadsheet not found.");
+                } else if (statusCode >= 500) {
+                    throw new Error("Google Sheets server error. Please try again later.");
+                } else {
+                    throw new Error(`Failed to fetch spreadsheet (Status: ${statusCode})`);
+                }
+            }
+
+            // Check content type to ensure we got the expected format
+            const contentType = fetchResponse.headers.get('content-type');
+            if (contentType && !contentType.includes('text/') && !contentType.includes('csv')) {
+                throw new Error("Received unexpected file format");
+            }
+
+            return fetchResponse.text();
+        }
+
+        /**
+         * Lists all sheet tabs of the spreadsheet in tab order, using the htmlview page's sheet menu.
+         * Falls back to the active sheet if the tabs can't be discovered.
+         * @param {string} spreadsheetId - Spreadsheet ID
+         * @param {string} activeGid - gid of the active sheet
+         * @returns {Promise<Array<{gid: string, name: string}>>}
+         */
+        async function fetchSheetTabs(spreadsheetId, activeGid) {
+            try {
+                const response = await fetch(`https://docs.google.com/spreadsheets/d/${spreadsheetId}/htmlview`);
+                if (response.ok) {
+                    const html = await response.text();
+                    const page = new DOMParser().parseFromString(html, "text/html");
+                    const tabs = Array.from(page.querySelectorAll('li[id^="sheet-button-"]'))
+                        .map((item) => ({
+                            gid: item.id.replace("sheet-button-", ""),
+                            name: item.textContent.trim()
+                        }))
+                        .filter((tab) => tab.gid && tab.name);
+                    if (tabs.length > 0) {
+                        return tabs;
+                    }
+                }
+                console.warn("Could not discover sheet tabs, exporting the active sheet only.");
+            } catch (err) {
+                console.warn("Failed to discover sheet tabs, exporting the active sheet only:", err);
+            }
+
+            const activeTab = document.querySelector(".docs-sheet-active-tab .docs-sheet-tab-name");
+            return [{ gid: activeGid, name: (activeTab && activeTab.textContent.trim()) || document.title }];
+        }
+
         let isProcessing = false;
 
-        async function handleClick() {
+        async function handleClick(destination = null) {
             // Prevent concurrent operations
             if (isProcessing) return;
             isProcessing = true;
 
-            // If already saved, open the document URL.
-            if (iconButton.dataset.saved === "true") {
+            // If already saved, open the document URL (unless a destination was just picked).
+            if (iconButton.dataset.saved === "true" && !destination) {
                 const url = iconButton.dataset.url;
                 if (url) {
                     window.open(url, "_blank");
@@ -140,82 +288,118 @@
             const urlParams = new URLSearchParams(window.location.search);
             const gid = urlParams.get("gid") || "0";
 
-            // Build the export URL (TSV format).
-            const exportUrl = `https://docs.google.com/spreadsheets/d/${spreadsheetId}/export?format=tsv&id=${spreadsheetId}&gid=${gid}`;
-
             try {
-                // Check network connectivity first
-                if (!navigator.onLine) {
+                // Offline, the active sheet is queued and exported by the extension once the browser is
+                // back online; a whole workbook needs its tab list, which can only be read online.
+                if (!navigator.onLine && sheetExportMode === "workbook") {
                     throw new Error("No internet connection");
                 }
 
-                const fetchResponse = await fetch(exportUrl);
-                if (!fetchResponse.ok) {
-                    const statusCode = fetchResponse.status;
-                    if (statusCode === 401 || statusCode === 403) {
-                        throw new Error("Authentication error. Please make sure you're signed in.");
-                    } else if (statusCode === 404) {
-                        throw new Error("Spreadsheet not found.");
-                    } else if (statusCode >= 500) {
-                        throw new Error("Google Sheets server error. Please try again later.");
-                    } else {
-                        throw new Error(`Failed to fetch spreadsheet (Status: ${statusCode})`);
+                // Collect metadata for the header template (rendered by the background script).
+                const metadata = window.OutlineDocumentMetadata
+                    ? window.OutlineDocumentMetadata.collect("sheet")
+                    : { title: document.title, sourceUrl: window.location.href, type: "sheet" };
+
+                let message;
+                if (sheetExportMode === "workbook") {
+                    // Export every tab, preserving tab order and names.
+                    const tabs = await fetchSheetTabs(spreadsheetId, gid);
+                    const sheets = [];
+                    for (let i = 0; i < tabs.length; i++) {
+                        textLabel.textContent = `Exporting ${i + 1}/${tabs.length}...`;
+                        const tabContent = await fetchSheetTsv(spreadsheetId, tabs[i].gid);
+                        if (!tabContent || tabContent.trim() === '') {
+                            console.info(`Skipping empty sheet "${tabs[i].name}"`);
+                            continue;
+                        }
+                        sheets.push({ gid: tabs[i].gid, name: tabs[i].name, fileContent: tabContent });
+                    }
+                    if (sheets.length === 0) {
+                        throw new Error("Received empty spreadsheet data");
+                    }
+                    textLabel.textContent = "Sending...";
+
+                    message = {
+                        action: "importGoogleWorkbook",
+                        sheets,
+                        sourceId: `workbook:${spreadsheetId}`,
+                        sourceUrl: window.location.href,
+                        profileId: currentProfileId(),
+                        destination,
+                        metadata,
+                        title: document.title
+                    };
+                } else {
+                    const tsvContent = navigator.onLine ? await fetchSheetTsv(spreadsheetId, gid) : null;
+                    if (tsvContent !== null && tsvContent.trim() === '') {
+                        throw new Error("Received empty spreadsheet data");
                     }
+
+                    // Send the TSV content along with the header metadata and title.
+                    // Passing title will allow the background script to update the document title.
+                    message = {
+                        action: "importGoogleSheet",
+                        ...(tsvContent !== null
+                            ? { fileContent: tsvContent }
+                            : { deferredExport: { type: "sheet", googleId: spreadsheetId, gid } }),
+                        sourceId: `sheet:${spreadsheetId}:${gid}`,
+                        sourceUrl: window.location.href,
+                        profileId: currentProfileId(),
+                        destination,
+                        metadata,
+                        title: document.title
+                    };
                 }
 
-                // Check content type to ensure we got the expected format
-                const contentType = fetchResponse.headers.get('content-type');
-                if (contentType && !contentType.includes('text/') && !contentType.includes('csv')) {
-                    throw new Error("Received unexpected file format");
+                // Optional dialog to check the export and adjust the title, collection, draft state and header
+                const exported = message.sheets || (message.fileContent ? [{ name: document.title, fileContent: message.fileContent }] : null);
+                if (exported && window.OutlineSaveDialog && await window.OutlineSaveDialog.isEnabled()) {
+                    const choice = await window.OutlineSaveDialog.open({
+                        title: message.title,
+                        sheets: exported.map((sheet) => ({ name: sheet.name, tsv: sheet.fileContent })),
+                        profileId: message.profileId,
+                        destination
+                    });
+                    if (!choice) {
+                        resetButton();
+                        return;
+                    }
+                    Object.assign(message, choice);
                 }
 
-                const tsvContent = await fetchResponse.text();
-                if (!tsvContent || tsvContent.trim() === '') {
-                    throw new Error("Received empty spreadsheet data");
+                // Before the first save from this browser, look for copies already in Outline
+                if (message.fileContent && window.OutlineDuplicateCheck) {
+                    textLabel.textContent = "Checking Outline...";
+                    if (!(await window.OutlineDuplicateCheck.confirm(message))) {
+                        resetButton();
+                        return;
+                    }
                 }
 
-                // Use the dynamic title for the file name.
-                const fileName = `${document.title}.csv`;
-                // Create a File object with the dynamic file name.
-                const fileObj = new File([tsvContent], fileName, { type: "text/csv" });
-
-                // Generate a dynamic header using current document and time data.
-                const now = new Date();
-                const headerMarkdown = `| Field | Value |
-| ---- | ---- |
-| Title | ${document.title} |
-| Source | ${window.location.href} |
-| Author | (Not specified) |
-| Published | (Not specified) |
-| Created | ${now.toISOString().split('T')[0]} |
-| Clipped Date | ${now.toISOString()} |`;
-
-                // Wrap chrome.runtime.sendMessage in a promise.
-                const sendMessagePromise = (msg) =>
-                    new Promise((resolve, reject) => {
-                        chrome.runtime.sendMessage(msg, (response) => {
-                            if (chrome.runtime.lastError) {
-                                return reject(chrome.runtime.lastError);
-                            }
-                            resolve(response);
-                        });
+                // A re-save overwrites the linked Outline document: show what changes first
+                if (message.fileContent && window.OutlineOverwritePreview) {
+                    textLabel.textContent = "Comparing...";
+                    message.overwriteMode = await window.OutlineOverwritePreview.confirm({
+                        sourceId: message.sourceId,
+                        profileId: message.profileId,
+                        content: message.fileContent
                     });
+                    if (!message.overwriteMode) {
+                        resetButton();
+                        return;
+                    }
+                }
 
                 try {
-                    // Send the TSV content along with headerMarkdown, headerPosition, and title.
-                    // Passing title will allow the background script to update the document title.
-                    const response = await sendMessagePromise({
-                        action: "importGoogleSheet",
-                        fileContent: tsvContent,
-                        headerMarkdown,
-                        headerPosition: "top",
-                        title: document.title
+                    // The save runs as a background job; follow its progress until it finishes.
+                    const response = await window.OutlineSaveJobs.save(message, (progress) => {
+                        textLabel.textContent = progress;
                     });
 
                     if (response && response.success) {
                         iconButton.style.backgroundColor = "green";
                         textLabel.style.backgroundColor = "green";
-                        textLabel.textContent = "Saved! Click to view";
+                        textLabel.textContent = response.updated ? "Updated! Click to view" : "Saved! Click to view";
                         textLabel.style.opacity = "1";
                         iconButton.dataset.saved = "true";
                         iconButton.dataset.url = response.url || "";
@@ -229,6 +413,8 @@
                                 textLabel.style.transform = "translateX(10px)";
                             }
                         }, 2000);
+                    } else if (response && response.queued) {
+                        displayQueued();
                     } else {
                         const errorMessage = response && response.error ? response.error : "Unknown error";
                         throw new Error(errorMessage);
@@ -292,7 +478,86 @@
             }, 3000);
         }
 
+        // Back to the idle button, e.g. after a dialog before the save was cancelled.
+        function resetButton() {
+            iconButton.style.backgroundColor = "#0071e3";
+            textLabel.style.backgroundColor = "#0071e3";
+            textLabel.textContent = "Save to Outline";
+            iconButton.style.pointerEvents = "auto";
+            iconButton.style.transform = "scale(1)";
+
+            if (!buttonContainer.matches(':hover')) {
+                textLabel.style.opacity = "0";
+                textLabel.style.transform = "translateX(10px)";
+            }
+        }
+
+        // Saved for later: the extension sends it when the connection is back.
+        function displayQueued() {
+            iconButton.style.backgroundColor = "#ff9500";
+            textLabel.style.backgroundColor = "#ff9500";
+            textLabel.textContent = "Queued: will save when online";
+            textLabel.style.opacity = "1";
+
+            setTimeout(() => {
+                iconButton.style.backgroundColor = "#0071e3";
+                textLabel.style.backgroundColor = "#0071e3";
+                textLabel.textContent = "Save to Outline";
+                iconButton.style.pointerEvents = "auto";
+                iconButton.style.transform = "scale(1)";
+
+                if (!buttonContainer.matches(':hover')) {
+                    textLabel.style.opacity = "0";
+                    textLabel.style.transform = "translateX(10px)";
+                }
+            }, 3000);
+        }
+
+        // Load the current tracking state.
+        if (syncInfo) {
+            chrome.runtime.sendMessage({ action: "getSyncStatus", sourceId: syncInfo.sourceId }, (response) => {
+                if (chrome.runtime.lastError) {
+                    return;
+                }
+                setSyncToggleState(Boolean(response && response.success && response.tracked));
+            });
+        }
+
+        // Pick a destination, then save there.
+        pickerButton.addEventListener("click", async (event) => {
+            event.stopPropagation();
+            if (isProcessing) return;
+            const destination = await window.OutlineDestinationPicker.open({
+                sourceId: syncInfo.sourceId,
+                profileId: currentProfileId()
+            });
+            if (destination) {
+                handleClick(destination);
+            }
+        });
+
+        // Toggle "keep in sync" without triggering a save.
+        syncToggle.addEventListener("click", (event) => {
+            event.stopPropagation();
+            const enabled = syncToggle.dataset.tracked !== "true";
+            chrome.runtime.sendMessage({
+                action: "setSyncTracking",
+                enabled,
+                profileId: currentProfileId(),
+                ...syncInfo,
+                title: document.title,
+                sourceUrl: window.location.href,
+                owner: window.OutlineDocumentMetadata ? window.OutlineDocumentMetadata.collect("sheet").owner : ""
+            }, (response) => {
+                if (chrome.runtime.lastError || !response || !response.success) {
+                    console.error("Failed to update sync tracking:", chrome.runtime.lastError || (response && response.error));
+                    return;
+                }
+                setSyncToggleState(response.tracked);
+            });
+        });
+
         // Click handler - Delegate to the container for better UX
-        buttonContainer.addEventListener("click", handleClick);
+        buttonContainer.addEventListener("click", () => handleClick());
     });
 })();
\ No newline at end of file
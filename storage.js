@@ -50,3 +50,72 @@ export function getSyncStorage(key) {
         });
     });
 }
+
+/**
+ * Promise-based helper to set items in chrome.storage.sync.
+ * @param {Object} obj
+ * @returns {Promise<void>}
+ */
+export function setSyncStorage(obj) {
+    return new Promise((resolve, reject) => {
+        chrome.storage.sync.set(obj, () => {
+            if (chrome.runtime.lastError) {
+                reject(chrome.runtime.lastError);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Promise-based helper to remove items from a storage area.
+ * @param {string} areaName - "local", "sync" or "session"
+ * @param {string|string[]} key
+ * @returns {Promise<void>}
+ */
+export function removeStorage(areaName, key) {
+    return new Promise((resolve, reject) => {
+        chrome.storage[areaName].remove(key, () => {
+            if (chrome.runtime.lastError) {
+                reject(chrome.runtime.lastError);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Promise-based helper to get items from chrome.storage.session (cleared when the browser closes).
+ * @param {string|string[]} key
+ * @returns {Promise<Object>}
+ */
+export function getSessionStorage(key) {
+    return new Promise((resolve, reject) => {
+        chrome.storage.session.get(key, (result) => {
+            if (chrome.runtime.lastError) {
+                reject(chrome.runtime.lastError);
+            } else {
+                resolve(result);
+            }
+        });
+    });
+}
+
+/**
+ * Promise-based helper to set items in chrome.storage.session.
+ * @param {Object} obj
+ * @returns {Promise<void>}
+ */
+export function setSessionStorage(obj) {
+    return new Promise((resolve, reject) => {
+        chrome.storage.session.set(obj, () => {
+            if (chrome.runtime.lastError) {
+                reject(chrome.runtime.lastError);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
@@ -0,0 +1,69 @@
+// syncTracking.js
+import { getLocalStorage, setLocalStorage } from './storage.js';
+
+const STORAGE_KEY = "trackedDocuments";
+
+/**
+ * Reads all Google docs/sheets marked "keep in sync".
+ * @returns {Promise<Object>} Map of sourceId -> tracking entry
+ */
+export async function getTrackedDocuments() {
+    const stored = await getLocalStorage(STORAGE_KEY);
+    return stored[STORAGE_KEY] || {};
+}
+
+/**
+ * Returns the tracking entry for a Google doc/spreadsheet, if tracked.
+ * @param {string} sourceId - Google source identifier (e.g. "doc:<id>")
+ * @returns {Promise<Object|null>}
+ */
+export async function getTrackedDocument(sourceId) {
+    if (!sourceId) return null;
+    const tracked = await getTrackedDocuments();
+    return tracked[sourceId] || null;
+}
+
+/**
+ * Marks a Google doc/spreadsheet as "keep in sync".
+ * @param {string} sourceId - Google source identifier
+ * @param {Object} entry - { profileId, type, googleId, gid, title, sourceUrl, owner }
+ * @returns {Promise<void>}
+ */
+export async function trackDocument(sourceId, entry) {
+    if (!sourceId) return;
+    const tracked = await getTrackedDocuments();
+    tracked[sourceId] = {
+        ...entry,
+        trackedAt: new Date().toISOString(),
+        lastHash: null,
+        lastSyncedAt: null,
+        lastError: null
+    };
+    await setLocalStorage({ [STORAGE_KEY]: tracked });
+}
+
+/**
+ * Merges fields into an existing tracking entry (e.g. sync results).
+ * @param {string} sourceId - Google source identifier
+ * @param {Object} patch - Fields to update
+ * @returns {Promise<void>}
+ */
+export async function updateTrackedDocument(sourceId, patch) {
+    const tracked = await getTrackedDocuments();
+    if (!tracked[sourceId]) return;
+    tracked[sourceId] = { ...tracked[sourceId], ...patch };
+    await setLocalStorage({ [STORAGE_KEY]: tracked });
+}
+
+/**
+ * Stops syncing a Google doc/spreadsheet.
+ * @param {string} sourceId - Google source identifier
+ * @returns {Promise<void>}
+ */
+export async function untrackDocument(sourceId) {
+    const tracked = await getTrackedDocuments();
+    if (tracked[sourceId]) {
+        delete tracked[sourceId];
+        await setLocalStorage({ [STORAGE_KEY]: tracked });
+    }
+}